@@ -0,0 +1,90 @@
+const USER_AGENT_MAX_LENGTH = 500;
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  VOID: 'void',
+  EXPIRE: 'expire',
+  MERGE: 'merge'
+};
+
+// Кто и откуда выполнил действие: берётся из сессии и заголовков запроса
+const buildActor = (req) => ({
+  actorId: req.session?.uid || null,
+  actorLogin: req.session?.login || null,
+  ip: req.ip || null,
+  userAgent: (req.get('user-agent') || '').slice(0, USER_AGENT_MAX_LENGTH) || null
+});
+
+const createAuditLog = (pool) => {
+  // executor — pool или клиент транзакции, чтобы запись аудита фиксировалась вместе с изменением
+  const record = async (executor, req, { action, entityType, entityId, bookingId, before, after }) => {
+    const actor = buildActor(req);
+    const result = await executor.query(
+      `INSERT INTO audit_log
+        (action, entity_type, entity_id, booking_id, actor_id, actor_login,
+         ip, user_agent, before_data, after_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        action,
+        entityType,
+        entityId === undefined || entityId === null ? null : String(entityId),
+        bookingId || null,
+        actor.actorId,
+        actor.actorLogin,
+        actor.ip,
+        actor.userAgent,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ]
+    );
+    return result.rows[0].id;
+  };
+
+  const search = async ({ actor, from, to, bookingId, entityType, action, limit, offset }) => {
+    const conditions = [];
+    const params = [];
+
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (actor) {
+      if (/^\d+$/.test(actor)) {
+        add('actor_id = ?', Number(actor));
+      } else {
+        add('actor_login = ?', actor.toLowerCase());
+      }
+    }
+    if (from) add('created_at >= ?::timestamptz', from);
+    if (to) add("created_at < (?::timestamptz + INTERVAL '1 day')", to);
+    if (bookingId) add('booking_id = ?', bookingId);
+    if (entityType) add('entity_type = ?', entityType);
+    if (action) add('action = ?', action);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totalResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_log ${where}`,
+      params
+    );
+
+    const rowsResult = await pool.query(
+      `SELECT * FROM audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return { total: totalResult.rows[0].total, rows: rowsResult.rows };
+  };
+
+  return { record, search };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  createAuditLog
+};
@@ -0,0 +1,172 @@
+const { calculateEarnedPoints, validateRedemption } = require('./loyalty');
+const { findTier, toDateString } = require('./tiers');
+const { loadLoyaltyProgram, evaluateGuestTier } = require('./loyaltyProgram');
+const { getLedgerBalance } = require('./ledger');
+
+const ADVISORY_LOCK_PREFIX = 'bonuses_balance:';
+
+// Сериализует изменения баланса одного гостя, в том числе когда строки в bonuses_balance ещё нет
+const lockGuestBalance = (db, phone) =>
+  db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${ADVISORY_LOCK_PREFIX}${phone}`]);
+
+// Несколько гостей блокируются в одном порядке, чтобы параллельные транзакции не ждали друг друга по кругу
+const lockGuestBalances = async (db, phones) => {
+  const unique = Array.from(new Set(phones.filter(Boolean))).sort();
+  for (const phone of unique) {
+    await lockGuestBalance(db, phone);
+  }
+};
+
+const findBalanceForUpdate = async (db, phone) => {
+  const result = await db.query(
+    `SELECT * FROM bonuses_balance
+     WHERE phone = $1
+     ORDER BY last_date_visit DESC NULLS LAST, id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [phone]
+  );
+  return result.rows[0] || null;
+};
+
+// Определяет уровень по правилам программы лояльности (визиты и траты до даты заезда) и начисление
+// за выезд, обновляет число визитов, дату последнего визита и уровень.
+// Сам баланс меняется только через журнал операций (lib/ledger.js).
+// Списание проверяется по балансу из журнала под блокировкой гостя, поэтому два параллельных
+// выезда не могут потратить одни и те же баллы. Если правила списания нарушены, ничего не пишет
+// и возвращает { redemptionError }.
+// Должна вызываться внутри транзакции: db — клиент из withTransaction.
+// При исправлении выезда уровень визита уже известен: его название передают в fixedLevel,
+// и тогда уровень гостя в bonuses_balance не меняется. Если такого уровня больше нет в программе,
+// применяются проценты начального уровня.
+// Визит раньше последнего известного (например, при импорте истории) тоже не меняет уровень гостя:
+// иначе старое проживание понизило бы текущий уровень. Для такого визита previousLevel — null.
+const applyCheckoutAccrual = async (
+  db,
+  { phone, lastName, firstName, checkinDate, totalAmount, bonusSpent, fixedLevel }
+) => {
+  await lockGuestBalance(db, phone);
+  const current = await findBalanceForUpdate(db, phone);
+
+  const isCorrection = fixedLevel !== undefined;
+  const program = await loadLoyaltyProgram(db);
+  const tier = isCorrection
+    ? findTier(program, fixedLevel) || program.tiers[0]
+    : (await evaluateGuestTier(db, phone, checkinDate, program)).tier;
+  const loyaltyLevel = isCorrection && fixedLevel ? fixedLevel : tier.name;
+  const isEarlierVisit =
+    !isCorrection && Boolean(current?.last_date_visit) && checkinDate < toDateString(current.last_date_visit);
+  const keepGuestLevel = isCorrection || isEarlierVisit;
+
+  const redemptionError = validateRedemption({
+    bonusSpent,
+    totalAmount,
+    available: current ? await getLedgerBalance(db, phone) : 0,
+    tier
+  });
+
+  if (redemptionError) {
+    return { redemptionError };
+  }
+
+  const bonusEarned = calculateEarnedPoints(totalAmount, bonusSpent, tier);
+
+  let result;
+  if (current) {
+    result = await db.query(
+      `UPDATE bonuses_balance
+       SET visits_total = COALESCE(visits_total, 0) + 1,
+           last_date_visit = GREATEST(COALESCE(last_date_visit, $2::date), $2::date),
+           loyalty_level = CASE WHEN $4 THEN loyalty_level ELSE $3 END
+       WHERE id = $1
+       RETURNING *`,
+      [current.id, checkinDate, loyaltyLevel, keepGuestLevel]
+    );
+  } else {
+    result = await db.query(
+      `INSERT INTO bonuses_balance
+        (phone, last_name, first_name, loyalty_level, bonus_balances, visits_total, last_date_visit)
+       VALUES ($1, $2, $3, $4, 0, 1, $5)
+       RETURNING *`,
+      [phone, lastName, firstName, loyaltyLevel, checkinDate]
+    );
+  }
+
+  return {
+    loyaltyLevel,
+    previousLevel: isEarlierVisit ? null : current?.loyalty_level || null,
+    bonusEarned,
+    balance: result.rows[0]
+  };
+};
+
+// Убирает визит из статистики гостя: уменьшает число визитов, пересчитывает дату последнего визита,
+// если она относилась к этому выезду, и при revertLevel возвращает уровень, который был до визита.
+// Возвращает { previousLevel, loyaltyLevel } — уровень гостя до и после.
+const revertVisitStats = async (db, guest, { revertLevel }) => {
+  const current = await findBalanceForUpdate(db, guest.guest_phone);
+  const lastVisitResult = await db.query(
+    `SELECT MAX(checkin_date) AS last_visit
+     FROM guests
+     WHERE guest_phone = $1 AND voided_at IS NULL AND id <> $2`,
+    [guest.guest_phone, guest.id]
+  );
+
+  const result = await db.query(
+    `UPDATE bonuses_balance
+     SET visits_total = GREATEST(COALESCE(visits_total, 0) - 1, 0),
+         last_date_visit = CASE
+           WHEN last_date_visit = $2::date THEN $3::date
+           ELSE last_date_visit
+         END,
+         loyalty_level = CASE
+           WHEN $4 AND $5::text IS NOT NULL AND loyalty_level = $6 THEN $5
+           ELSE loyalty_level
+         END
+     WHERE phone = $1
+     RETURNING id, loyalty_level`,
+    [
+      guest.guest_phone,
+      guest.checkin_date,
+      lastVisitResult.rows[0]?.last_visit || null,
+      Boolean(revertLevel),
+      guest.previous_loyalty_level || null,
+      guest.loyalty_level
+    ]
+  );
+  const updated = result.rows.find((row) => row.id === current?.id);
+
+  return {
+    previousLevel: current?.loyalty_level ?? null,
+    loyaltyLevel: updated?.loyalty_level ?? null
+  };
+};
+
+// Текущий баланс гостя в формате ответов API выездов
+const loadBalanceSummary = async (db, phone) => {
+  const result = await db.query(
+    `SELECT visits_total, last_date_visit, loyalty_level
+     FROM bonuses_balance
+     WHERE phone = $1
+     ORDER BY last_date_visit DESC NULLS LAST, id DESC
+     LIMIT 1`,
+    [phone]
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    current_balance: await getLedgerBalance(db, phone),
+    visits_count: row.visits_total ?? 0,
+    last_visit_date: row.last_date_visit ?? null,
+    loyalty_level: row.loyalty_level ?? null
+  };
+};
+
+module.exports = {
+  lockGuestBalance,
+  lockGuestBalances,
+  findBalanceForUpdate,
+  applyCheckoutAccrual,
+  revertVisitStats,
+  loadBalanceSummary
+};
@@ -0,0 +1,190 @@
+const { parseCsv } = require('./csv');
+const {
+  validateCheckoutInput,
+  lockBooking,
+  findCheckoutByBooking,
+  registerCheckout
+} = require('./checkouts');
+const { resolvePrimaryPhone } = require('./profiles');
+
+// Импорт исторических выездов из CSV. Каждая строка проходит ту же проверку и регистрацию,
+// что и POST /api/guests; строки с ошибками и уже зарегистрированные брони пропускаются.
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Допустимые заголовки колонок: имена полей API и заголовки выгрузки /api/export/guests
+const IMPORT_COLUMNS = {
+  guest_phone: ['guest_phone', 'phone', 'телефон'],
+  last_name: ['last_name', 'фамилия'],
+  first_name: ['first_name', 'имя'],
+  checkin_date: ['checkin_date', 'дата заезда'],
+  shelter_booking_id: ['shelter_booking_id', 'booking_id', 'номер бронирования'],
+  total_amount: ['total_amount', 'сумма проживания', 'сумма'],
+  bonus_spent: ['bonus_spent', 'списано баллов'],
+  status: ['status', 'статус']
+};
+
+const REQUIRED_COLUMNS = [
+  'guest_phone',
+  'last_name',
+  'first_name',
+  'checkin_date',
+  'shelter_booking_id',
+  'total_amount'
+];
+
+const NUMERIC_FIELDS = ['total_amount', 'bonus_spent'];
+
+// Значения колонки «Статус» у аннулированных выездов в выгрузке и в API
+const VOIDED_STATUSES = ['аннулирован', 'voided'];
+
+const IMPORT_ROW_STATUSES = {
+  OK: 'ok',
+  DUPLICATE: 'duplicate',
+  ERROR: 'error'
+};
+
+const normalizeHeader = (value) =>
+  String(value).trim().toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ');
+
+// Числа в русском формате: «12 345,50» → «12345.50»
+const normalizeNumber = (value) => {
+  const compact = String(value).replace(/\s/g, '');
+  return compact.includes(',') && !compact.includes('.') ? compact.replace(',', '.') : compact;
+};
+
+const mapHeader = (header) => {
+  const columns = {};
+  header.forEach((title, index) => {
+    const normalized = normalizeHeader(title);
+    const field = Object.keys(IMPORT_COLUMNS).find((name) =>
+      IMPORT_COLUMNS[name].some((alias) => normalizeHeader(alias) === normalized)
+    );
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+  return columns;
+};
+
+// Разбирает файл в строки с полями validateCheckoutInput. Возвращает { rows } или { error }.
+const parseImportFile = (text) => {
+  const { error, rows: records } = parseCsv(text);
+  if (error) {
+    return { error };
+  }
+
+  const [header, ...dataRecords] = records;
+  if (!header || !dataRecords.length) {
+    return { error: 'Файл пуст: нужна строка заголовков и хотя бы одна строка с выездом.' };
+  }
+  if (dataRecords.length > MAX_IMPORT_ROWS) {
+    return { error: `За один раз можно импортировать не более ${MAX_IMPORT_ROWS} строк.` };
+  }
+
+  const columns = mapHeader(header.fields);
+  const missing = REQUIRED_COLUMNS.filter((field) => columns[field] === undefined);
+  if (missing.length) {
+    const accepted = Object.values(IMPORT_COLUMNS)
+      .map((aliases) => aliases.join(' / '))
+      .join('; ');
+    return {
+      error: `В файле нет обязательных колонок: ${missing.join(', ')}. Допустимые заголовки: ${accepted}.`
+    };
+  }
+
+  return {
+    rows: dataRecords.map(({ line, fields }) => {
+      const input = {};
+      Object.entries(columns).forEach(([field, index]) => {
+        const value = (fields[index] ?? '').trim();
+        input[field] = NUMERIC_FIELDS.includes(field) ? normalizeNumber(value) : value;
+      });
+      return { line, input };
+    })
+  };
+};
+
+// Проводит строки в порядке дат заезда, чтобы уровень каждого визита считался по предыдущим.
+// Вызывать внутри транзакции; onImported(db, guest) вызывается для каждого зарегистрированного выезда.
+// Возвращает результаты по строкам файла в исходном порядке.
+const importCheckouts = async (db, rows, { actorId, onImported }) => {
+  const results = [];
+  const valid = [];
+
+  for (const { line, input } of rows) {
+    const { error, values } = VOIDED_STATUSES.includes(normalizeHeader(input.status || ''))
+      ? { error: 'Аннулированные выезды не импортируются.' }
+      : validateCheckoutInput(input);
+    if (error) {
+      results.push({
+        line,
+        status: IMPORT_ROW_STATUSES.ERROR,
+        booking_id: input.shelter_booking_id || null,
+        message: error
+      });
+    } else {
+      valid.push({ line, values });
+    }
+  }
+
+  valid.sort((a, b) => a.values.checkinDate.localeCompare(b.values.checkinDate) || a.line - b.line);
+
+  for (const { line, values } of valid) {
+    await lockBooking(db, values.bookingId);
+    values.phone = await resolvePrimaryPhone(db, values.phone);
+
+    const duplicate = await findCheckoutByBooking(db, values.bookingId);
+    if (duplicate) {
+      results.push({
+        line,
+        status: IMPORT_ROW_STATUSES.DUPLICATE,
+        booking_id: values.bookingId,
+        message: `Выезд по брони ${values.bookingId} уже зарегистрирован`,
+        guest_id: duplicate.id
+      });
+      continue;
+    }
+
+    // Срок сгорания импортированных баллов считается от дня проживания, а не от импорта
+    const registered = await registerCheckout(db, values, { actorId, stayDate: values.checkinDate });
+    if (registered.redemptionError) {
+      results.push({
+        line,
+        status: IMPORT_ROW_STATUSES.ERROR,
+        booking_id: values.bookingId,
+        message: registered.redemptionError.message
+      });
+      continue;
+    }
+
+    await onImported(db, registered.guest);
+    results.push({
+      line,
+      status: IMPORT_ROW_STATUSES.OK,
+      booking_id: values.bookingId,
+      guest_id: registered.guest.id,
+      loyalty_level: registered.guest.loyalty_level,
+      bonus_earned: registered.guest.bonus_earned
+    });
+  }
+
+  results.sort((a, b) => a.line - b.line);
+  const countBy = (status) => results.filter((result) => result.status === status).length;
+
+  return {
+    summary: {
+      total: results.length,
+      imported: countBy(IMPORT_ROW_STATUSES.OK),
+      duplicates: countBy(IMPORT_ROW_STATUSES.DUPLICATE),
+      errors: countBy(IMPORT_ROW_STATUSES.ERROR)
+    },
+    rows: results
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  importCheckouts
+};
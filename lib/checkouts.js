@@ -0,0 +1,231 @@
+const { normalizeCheckinDate } = require('./validation');
+const { applyCheckoutAccrual } = require('./balances');
+const { recordCheckoutTransactions } = require('./ledger');
+const { ensureProfileForPhone } = require('./profiles');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,100}$/;
+
+const INSERT_CHECKOUT_QUERY = `
+  INSERT INTO guests
+  (guest_phone, last_name, first_name, checkin_date, loyalty_level, previous_loyalty_level,
+   shelter_booking_id, total_amount, bonus_spent, bonus_earned, created_by, idempotency_key, profile_id)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+  RETURNING *
+`;
+
+// Поля выезда, которые можно исправить через PATCH /api/guests/:id
+const CHECKOUT_EDITABLE_FIELDS = [
+  'guest_phone',
+  'last_name',
+  'first_name',
+  'checkin_date',
+  'shelter_booking_id',
+  'total_amount',
+  'bonus_spent'
+];
+
+// Общая валидация выезда для создания, исправления и импорта.
+// Возвращает { error } с текстом для пользователя или { values } с нормализованными значениями.
+const validateCheckoutInput = (input) => {
+  const {
+    guest_phone,
+    last_name,
+    first_name,
+    checkin_date,
+    shelter_booking_id,
+    total_amount,
+    bonus_spent
+  } = input || {};
+
+  if (!guest_phone || !last_name || !first_name || !shelter_booking_id || !total_amount) {
+    return {
+      error: 'Заполните обязательные поля: телефон, фамилия, имя, номер бронирования и сумму.'
+    };
+  }
+
+  const normalizedPhoneDigits = String(guest_phone).replace(/\D/g, '');
+  if (normalizedPhoneDigits.length < 10) {
+    return { error: 'Укажите корректный номер телефона гостя.' };
+  }
+  const phoneToStore = normalizedPhoneDigits.slice(-10);
+
+  const lastNameSanitized = String(last_name).trim();
+  const firstNameSanitized = String(first_name).trim();
+  const bookingSanitized = String(shelter_booking_id).trim();
+  const normalizedDate = normalizeCheckinDate(checkin_date);
+
+  if (!lastNameSanitized || !firstNameSanitized) {
+    return { error: 'Фамилия и имя не могут быть пустыми.' };
+  }
+
+  if (lastNameSanitized.length > 120 || firstNameSanitized.length > 120) {
+    return { error: 'Фамилия и имя не должны превышать 120 символов.' };
+  }
+
+  if (!bookingSanitized) {
+    return { error: 'Укажите номер бронирования Shelter.' };
+  }
+
+  if (bookingSanitized.length > 80) {
+    return { error: 'Номер бронирования слишком длинный.' };
+  }
+
+  if (!normalizedDate) {
+    return { error: 'Некорректный формат даты заезда.' };
+  }
+
+  if (Number.isNaN(Date.parse(normalizedDate))) {
+    return { error: 'Дата заезда не распознана.' };
+  }
+
+  const amount = Number.parseFloat(total_amount);
+  if (!Number.isFinite(amount) || amount <= 0 || amount > 1_000_000) {
+    return { error: 'Сумма при выезде должна быть положительным числом не более 1 000 000.' };
+  }
+
+  const bonusValueRaw = Number.parseInt(bonus_spent, 10);
+  const bonusValue = Number.isFinite(bonusValueRaw) && bonusValueRaw > 0 ? bonusValueRaw : 0;
+  if (bonusValue > 1_000_000) {
+    return { error: 'Списанные баллы не могут превышать 1 000 000.' };
+  }
+
+  return {
+    values: {
+      phone: phoneToStore,
+      lastName: lastNameSanitized,
+      firstName: firstNameSanitized,
+      checkinDate: normalizedDate,
+      bookingId: bookingSanitized,
+      totalAmount: amount,
+      bonusSpent: bonusValue
+    }
+  };
+};
+
+// Сохранённая запись guests в формате входных данных validateCheckoutInput
+const toCheckoutInput = (row) => ({
+  guest_phone: row.guest_phone,
+  last_name: row.last_name,
+  first_name: row.first_name,
+  checkin_date:
+    row.checkin_date instanceof Date
+      ? [
+          row.checkin_date.getFullYear(),
+          String(row.checkin_date.getMonth() + 1).padStart(2, '0'),
+          String(row.checkin_date.getDate()).padStart(2, '0')
+        ].join('-')
+      : String(row.checkin_date).slice(0, 10),
+  shelter_booking_id: row.shelter_booking_id,
+  total_amount: row.total_amount,
+  bonus_spent: row.bonus_spent
+});
+
+// Заголовок Idempotency-Key необязателен; возвращает { key } или { error }
+const parseIdempotencyKey = (req) => {
+  const raw = req.get('Idempotency-Key');
+
+  if (raw === undefined || raw === '') {
+    return { key: null };
+  }
+
+  const key = String(raw).trim();
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return {
+      error: 'Idempotency-Key: от 8 до 100 символов — латиница, цифры, «-», «_», «.», «:».'
+    };
+  }
+
+  return { key };
+};
+
+// Сериализует регистрацию выездов с одним номером бронирования
+const lockBooking = (db, bookingId) =>
+  db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`guests:booking:${bookingId}`]);
+
+const findCheckoutByIdempotencyKey = async (db, key) => {
+  const result = await db.query('SELECT * FROM guests WHERE idempotency_key = $1', [key]);
+  return result.rows[0] || null;
+};
+
+// Аннулированные выезды не мешают зарегистрировать бронь заново
+const findCheckoutByBooking = async (db, bookingId, { excludeId = null } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM guests
+     WHERE shelter_booking_id = $1
+       AND voided_at IS NULL
+       AND ($2::int IS NULL OR id <> $2::int)
+     ORDER BY id
+     LIMIT 1`,
+    [bookingId, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+const findCheckoutForUpdate = async (db, id) => {
+  const result = await db.query('SELECT * FROM guests WHERE id = $1 FOR UPDATE', [id]);
+  return result.rows[0] || null;
+};
+
+// Регистрирует выезд: уровень и начисление, запись в guests, операции с баллами и профиль гостя.
+// Вызывать в транзакции под lockBooking, values — результат validateCheckoutInput с основным номером профиля.
+// Возвращает { guest, accrual } или { redemptionError }, если списание не проходит по правилам уровня.
+// stayDate — дата проживания для операций с баллами исторических выездов (импорт), см. appendTransaction.
+const registerCheckout = async (db, values, { actorId, idempotencyKey = null, stayDate = null }) => {
+  // Уровень и начисление считает сервер: значение loyalty_level из формы не используется
+  const accrualResult = await applyCheckoutAccrual(db, values);
+
+  if (accrualResult.redemptionError) {
+    return { redemptionError: accrualResult.redemptionError };
+  }
+
+  const profileId = await ensureProfileForPhone(db, {
+    phone: values.phone,
+    lastName: values.lastName,
+    firstName: values.firstName,
+    actorId
+  });
+
+  const result = await db.query(INSERT_CHECKOUT_QUERY, [
+    values.phone,
+    values.lastName,
+    values.firstName,
+    values.checkinDate,
+    accrualResult.loyaltyLevel,
+    accrualResult.previousLevel,
+    values.bookingId,
+    values.totalAmount,
+    values.bonusSpent,
+    accrualResult.bonusEarned,
+    actorId || null,
+    idempotencyKey,
+    profileId
+  ]);
+  const guest = result.rows[0];
+
+  const ledgerResult = await recordCheckoutTransactions(db, {
+    phone: values.phone,
+    guestId: guest.id,
+    bookingId: guest.shelter_booking_id,
+    bonusSpent: values.bonusSpent,
+    bonusEarned: accrualResult.bonusEarned,
+    actorId,
+    stayDate
+  });
+
+  return {
+    guest,
+    accrual: { ...accrualResult, currentBalance: ledgerResult.balance }
+  };
+};
+
+module.exports = {
+  CHECKOUT_EDITABLE_FIELDS,
+  validateCheckoutInput,
+  toCheckoutInput,
+  parseIdempotencyKey,
+  lockBooking,
+  findCheckoutByIdempotencyKey,
+  findCheckoutByBooking,
+  findCheckoutForUpdate,
+  registerCheckout
+};
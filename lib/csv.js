@@ -0,0 +1,72 @@
+// Разбор CSV по RFC 4180: поля в кавычках могут содержать разделитель, кавычки ("") и переводы строк.
+// Разделитель — «,» или «;»: выбирается тот, которого больше в строке заголовков.
+
+const detectDelimiter = (text) => {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => headerLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+// Возвращает { rows } — массив записей с номером строки файла (line) и полями (fields), либо { error }.
+// Пустые строки пропускаются.
+const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const pushRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      pushRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: `Незакрытая кавычка в записи, начинающейся на строке ${recordLine}.` };
+  }
+  if (field !== '' || fields.length) {
+    pushRecord();
+  }
+
+  return { rows, delimiter };
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,47 @@
+// Выполняет fn(client) внутри транзакции и возвращает её результат.
+// При любой ошибке транзакция откатывается, а ошибка пробрасывается дальше.
+// Если fn вернула объект с rollback: true (например, бизнес-проверка не прошла
+// после частичных изменений), транзакция тоже откатывается, а объект возвращается.
+const withTransaction = async (pool, fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query(result?.rollback ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const isTrue = (value) => String(value || '').toLowerCase() === 'true';
+
+// Настройки пула pg из переменных окружения. SSL по умолчанию включён только в production;
+// PG_SSL=true/false задаёт его явно, например для локального PostgreSQL без SSL.
+const buildPoolConfig = (env = process.env) => {
+  const statementTimeout = Number(env.PG_STATEMENT_TIMEOUT) || 10_000;
+  const sslEnabled = env.PG_SSL
+    ? isTrue(env.PG_SSL)
+    : (env.NODE_ENV || 'production') === 'production';
+
+  return {
+    connectionString: env.DATABASE_URL,
+    max: Number(env.PG_POOL_MAX) || 10,
+    idleTimeoutMillis: Number(env.PG_IDLE_TIMEOUT) || 30_000,
+    connectionTimeoutMillis: Number(env.PG_CONNECTION_TIMEOUT) || 5_000,
+    statement_timeout: statementTimeout,
+    query_timeout: statementTimeout,
+    ssl: sslEnabled
+      ? { rejectUnauthorized: String(env.PG_SSL_REJECT_UNAUTHORIZED || '').toLowerCase() !== 'false' }
+      : false
+  };
+};
+
+module.exports = {
+  withTransaction,
+  buildPoolConfig
+};
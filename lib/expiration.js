@@ -0,0 +1,258 @@
+const { withTransaction } = require('./db');
+const { lockGuestBalance } = require('./balances');
+const {
+  TRANSACTION_TYPES,
+  getLedgerBalance,
+  appendTransaction,
+  syncCachedBalance
+} = require('./ledger');
+const { loadLoyaltyProgram } = require('./loyaltyProgram');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRATION_COMMENT = 'Сгорание баллов по правилам программы';
+
+const addMonths = (value, months) => {
+  const date = new Date(value);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date;
+};
+
+const isExpirationEnabled = (settings) =>
+  Boolean(settings.pointsExpiryMonths || settings.inactivityExpiryMonths);
+
+// Остатки начислений по журналу гостя: списания и прочие уменьшения баланса гасят самые старые
+// поступления первыми (FIFO). entries — операции в хронологическом порядке.
+const buildPointLots = (entries) => {
+  const lots = [];
+
+  for (const entry of entries) {
+    const amount = Number(entry.amount) || 0;
+    if (amount > 0) {
+      lots.push({ remaining: amount, createdAt: new Date(entry.created_at) });
+      continue;
+    }
+
+    let toConsume = -amount;
+    for (const lot of lots) {
+      if (!toConsume) break;
+      const used = Math.min(lot.remaining, toConsume);
+      lot.remaining -= used;
+      toConsume -= used;
+    }
+  }
+
+  return lots.filter((lot) => lot.remaining > 0);
+};
+
+// Сколько баллов уже сгорело к моменту now и сколько сгорит в ближайшие expiryWarningDays дней.
+// Каждое поступление сгорает через pointsExpiryMonths после начисления, а весь остаток —
+// через inactivityExpiryMonths после последнего визита (если визитов нет — после последней операции);
+// срабатывает то правило, что наступает раньше.
+const calculateExpiration = (entries, settings, { lastVisitDate = null, now = new Date() } = {}) => {
+  const result = { expired: 0, expiringSoon: [] };
+
+  if (!isExpirationEnabled(settings) || !entries.length) {
+    return result;
+  }
+
+  const lastActivity = lastVisitDate
+    ? new Date(lastVisitDate)
+    : new Date(entries[entries.length - 1].created_at);
+  const inactivityExpiry = settings.inactivityExpiryMonths
+    ? addMonths(lastActivity, settings.inactivityExpiryMonths)
+    : null;
+  const warningUntil = new Date(now.getTime() + settings.expiryWarningDays * DAY_MS);
+  const soonByDate = new Map();
+
+  for (const lot of buildPointLots(entries)) {
+    const candidates = [inactivityExpiry];
+    if (settings.pointsExpiryMonths) {
+      candidates.push(addMonths(lot.createdAt, settings.pointsExpiryMonths));
+    }
+    const expiresAt = candidates
+      .filter(Boolean)
+      .reduce((earliest, date) => (date < earliest ? date : earliest));
+
+    if (expiresAt <= now) {
+      result.expired += lot.remaining;
+    } else if (expiresAt <= warningUntil) {
+      const key = expiresAt.toISOString().slice(0, 10);
+      soonByDate.set(key, (soonByDate.get(key) || 0) + lot.remaining);
+    }
+  }
+
+  result.expiringSoon = Array.from(soonByDate.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([expiresAt, amount]) => ({ amount, expires_at: expiresAt }));
+
+  return result;
+};
+
+// Операции, внесённые задним числом, встают в очередь по дате проживания
+const loadExpirationInput = async (db, phone) => {
+  const entriesResult = await db.query(
+    `SELECT amount, COALESCE(stay_date::timestamptz, created_at) AS created_at
+     FROM bonus_transactions
+     WHERE phone = $1
+     ORDER BY COALESCE(stay_date::timestamptz, created_at), id`,
+    [phone]
+  );
+  const visitResult = await db.query(
+    `SELECT last_date_visit FROM bonuses_balance
+     WHERE phone = $1
+     ORDER BY last_date_visit DESC NULLS LAST, id DESC
+     LIMIT 1`,
+    [phone]
+  );
+
+  return {
+    entries: entriesResult.rows,
+    lastVisitDate: visitResult.rows[0]?.last_date_visit || null
+  };
+};
+
+// Баллы, которые сгорят в ближайшие дни, для предупреждения на ресепшене
+const getExpiringSoon = async (db, phone, program, now = new Date()) => {
+  const { entries, lastVisitDate } = await loadExpirationInput(db, phone);
+  const { expired, expiringSoon } = calculateExpiration(entries, program.settings, {
+    lastVisitDate,
+    now
+  });
+
+  return {
+    total: expiringSoon.reduce((sum, item) => sum + item.amount, 0) + expired,
+    items: expired
+      ? [{ amount: expired, expires_at: now.toISOString().slice(0, 10) }, ...expiringSoon]
+      : expiringSoon
+  };
+};
+
+// Списывает сгоревшие баллы одного гостя операцией expiration. Вызывать внутри транзакции.
+const expireGuestPoints = async (db, phone, { program, now, actorId }) => {
+  await lockGuestBalance(db, phone);
+
+  const { entries, lastVisitDate } = await loadExpirationInput(db, phone);
+  const { expired } = calculateExpiration(entries, program.settings, { lastVisitDate, now });
+  const amount = Math.min(expired, await getLedgerBalance(db, phone));
+
+  if (amount <= 0) {
+    return 0;
+  }
+
+  await appendTransaction(db, {
+    phone,
+    type: TRANSACTION_TYPES.EXPIRATION,
+    amount: -amount,
+    comment: EXPIRATION_COMMENT,
+    actorId
+  });
+  await syncCachedBalance(db, phone);
+
+  return amount;
+};
+
+// Проходит по всем гостям с положительным балансом. В режиме dryRun только считает.
+// Каждый гость обрабатывается в своей транзакции, чтобы долгий проход не держал блокировки.
+const runPointsExpiration = async (pool, { dryRun = false, actorId = null, now = new Date() } = {}) => {
+  const program = await loadLoyaltyProgram(pool);
+  const summary = {
+    enabled: isExpirationEnabled(program.settings),
+    dry_run: dryRun,
+    run_at: now.toISOString(),
+    guests_checked: 0,
+    guests_affected: 0,
+    points_expired: 0,
+    items: []
+  };
+
+  if (!summary.enabled) {
+    return summary;
+  }
+
+  const phonesResult = await pool.query(
+    `SELECT phone FROM (
+       SELECT phone, SUM(amount) AS balance FROM bonus_transactions GROUP BY phone
+     ) AS balances
+     WHERE balance > 0
+     ORDER BY phone`
+  );
+
+  for (const { phone } of phonesResult.rows) {
+    summary.guests_checked += 1;
+
+    let amount;
+    if (dryRun) {
+      const { entries, lastVisitDate } = await loadExpirationInput(pool, phone);
+      const { expired } = calculateExpiration(entries, program.settings, { lastVisitDate, now });
+      amount = Math.min(expired, await getLedgerBalance(pool, phone));
+    } else {
+      amount = await withTransaction(pool, (db) =>
+        expireGuestPoints(db, phone, { program, now, actorId })
+      );
+    }
+
+    if (amount > 0) {
+      summary.guests_affected += 1;
+      summary.points_expired += amount;
+      summary.items.push({ phone, amount });
+    }
+  }
+
+  return summary;
+};
+
+// Фоновый запуск сгорания раз в intervalMs. Повторный запуск не начинается, пока не закончился предыдущий.
+const createExpirationScheduler = ({ pool, intervalMs, initialDelayMs = 60_000 }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await runPointsExpiration(pool);
+      if (summary.points_expired) {
+        logger.info('Сгорание баллов', {
+          points_expired: summary.points_expired,
+          guests_affected: summary.guests_affected
+        });
+      }
+    } catch (error) {
+      logger.error('Ошибка фонового сгорания баллов', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (!intervalMs || timer) {
+      return;
+    }
+    timer = setTimeout(function scheduleNext() {
+      void tick();
+      timer = setTimeout(scheduleNext, intervalMs);
+      timer.unref?.();
+    }, initialDelayMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  calculateExpiration,
+  getExpiringSoon,
+  expireGuestPoints,
+  runPointsExpiration,
+  createExpirationScheduler
+};
@@ -0,0 +1,159 @@
+const { buildListSelect } = require('./listQueries');
+const { createXlsxStream } = require('./xlsx');
+
+// Выгрузки списков для бухгалтерии: те же фильтры и сортировка, что у списков админки,
+// строки читаются из базы курсором порциями и сразу пишутся в ответ.
+
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const CSV_DELIMITERS = { ',': ',', comma: ',', ';': ';', semicolon: ';' };
+const UTF8_BOM = '\uFEFF';
+
+const integerFormatter = new Intl.NumberFormat('ru-RU', { maximumFractionDigits: 0 });
+
+const formatPhone = (digits) => {
+  const value = String(digits || '');
+  if (value.length !== 10) return value;
+  return `+7 (${value.slice(0, 3)}) ${value.slice(3, 6)}-${value.slice(6, 8)}-${value.slice(8)}`;
+};
+
+// Колонки выгрузки: заголовок, тип ячейки (text | phone | integer | date | datetime), ширина в XLSX и значение
+const GUEST_EXPORT_COLUMNS = [
+  { header: 'Телефон', type: 'phone', width: 20, value: (row) => formatPhone(row.guest_phone) },
+  { header: 'Фамилия', type: 'text', width: 20, value: (row) => row.last_name },
+  { header: 'Имя', type: 'text', width: 16, value: (row) => row.first_name },
+  { header: 'Дата заезда', type: 'date', width: 13, value: (row) => row.checkin_date },
+  { header: 'Номер бронирования', type: 'text', width: 20, value: (row) => row.shelter_booking_id },
+  { header: 'Сумма проживания', type: 'integer', width: 18, value: (row) => row.total_amount },
+  { header: 'Списано баллов', type: 'integer', width: 16, value: (row) => row.bonus_spent },
+  { header: 'Начислено баллов', type: 'integer', width: 17, value: (row) => row.bonus_earned },
+  { header: 'Уровень лояльности', type: 'text', width: 20, value: (row) => row.loyalty_level },
+  { header: 'Дата регистрации', type: 'datetime', width: 18, value: (row) => row.created_at },
+  {
+    header: 'Статус',
+    type: 'text',
+    width: 14,
+    value: (row) => (row.voided_at ? 'Аннулирован' : 'Активен')
+  },
+  { header: 'Причина аннулирования', type: 'text', width: 30, value: (row) => row.void_reason }
+];
+
+const BONUS_EXPORT_COLUMNS = [
+  { header: 'Телефон', type: 'phone', width: 20, value: (row) => formatPhone(row.phone) },
+  { header: 'Фамилия', type: 'text', width: 20, value: (row) => row.last_name },
+  { header: 'Имя', type: 'text', width: 16, value: (row) => row.first_name },
+  { header: 'Уровень лояльности', type: 'text', width: 20, value: (row) => row.loyalty_level },
+  { header: 'Баланс баллов', type: 'integer', width: 15, value: (row) => row.bonus_balances },
+  { header: 'Визитов', type: 'integer', width: 10, value: (row) => row.visits_total },
+  { header: 'Последний визит', type: 'date', width: 16, value: (row) => row.last_date_visit }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (value) =>
+  value instanceof Date ? `${pad(value.getDate())}.${pad(value.getMonth() + 1)}.${value.getFullYear()}` : value;
+
+const formatDateTime = (value) =>
+  value instanceof Date ? `${formatDate(value)} ${pad(value.getHours())}:${pad(value.getMinutes())}` : value;
+
+// Значение ячейки CSV так, как его показывает интерфейс: числа — с разделением разрядов ru-RU
+const formatCsvValue = (type, value) => {
+  if (value === null || value === undefined) return '';
+  if (type === 'integer') {
+    const number = typeof value === 'number' ? value : Number.parseFloat(value);
+    return Number.isFinite(number) ? integerFormatter.format(number) : '';
+  }
+  if (type === 'date') return formatDate(value);
+  if (type === 'datetime') return formatDateTime(value);
+
+  const text = String(value);
+  // Текст, который Excel принял бы за формулу, экранируется апострофом — в том числе телефон «+7 (...)»
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+const escapeCsvField = (value, delimiter) =>
+  value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const csvLine = (values, delimiter) =>
+  `${values.map((value) => escapeCsvField(value, delimiter)).join(delimiter)}\r\n`;
+
+// Параметры выгрузки поверх фильтров списка: format (csv | xlsx) и delimiter для CSV
+const parseExportOptions = (query) => {
+  const format = String(query.format || 'csv').trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Параметр format может быть только: ${EXPORT_FORMATS.join(', ')}.` };
+  }
+
+  const delimiter = CSV_DELIMITERS[String(query.delimiter || ',').trim().toLowerCase()];
+  if (!delimiter) {
+    return { error: 'Параметр delimiter может быть только «,» (comma) или «;» (semicolon).' };
+  }
+
+  return { format, delimiter };
+};
+
+// Открывает курсор по выборке списка в отдельной транзакции только для чтения. Курсор нужно
+// обязательно закрыть через close(), в том числе если ответ оборвался.
+const openExportCursor = async (pool, listSql, { filters, sort }) => {
+  const { text, params } = buildListSelect(listSql, { filters, sort });
+  const client = await pool.connect();
+  let isOpen = true;
+
+  const close = async () => {
+    if (!isOpen) return;
+    isOpen = false;
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  };
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${text}`, params);
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  async function* rows() {
+    while (isOpen) {
+      const result = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_rows`);
+      yield* result.rows;
+      if (result.rows.length < EXPORT_BATCH_SIZE) break;
+    }
+  }
+
+  return { rows, close };
+};
+
+async function* toCells(columns, rows) {
+  for await (const row of rows) {
+    yield columns.map((column) => column.value(row));
+  }
+}
+
+async function* createCsvStream({ columns, rows, delimiter }) {
+  yield UTF8_BOM + csvLine(columns.map((column) => column.header), delimiter);
+
+  for await (const values of rows) {
+    yield csvLine(
+      values.map((value, index) => formatCsvValue(columns[index].type, value)),
+      delimiter
+    );
+  }
+}
+
+// Асинхронный итератор с содержимым файла выгрузки
+const createExportStream = ({ format, delimiter, columns, sheetName, rows }) => {
+  const cells = toCells(columns, rows);
+  return format === 'xlsx'
+    ? createXlsxStream({ sheetName, columns, rows: cells })
+    : createCsvStream({ columns, rows: cells, delimiter });
+};
+
+module.exports = {
+  GUEST_EXPORT_COLUMNS,
+  BONUS_EXPORT_COLUMNS,
+  parseExportOptions,
+  openExportCursor,
+  createExportStream
+};
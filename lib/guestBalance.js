@@ -0,0 +1,62 @@
+const { getRedemptionRules } = require('./loyalty');
+const { toDateString, serializeTier } = require('./tiers');
+const { loadLoyaltyProgram, evaluateGuestTier } = require('./loyaltyProgram');
+const { getExpiringSoon } = require('./expiration');
+const { findProfileIdByPhone, resolvePrimaryPhone } = require('./profiles');
+
+// Баланс гостя по номеру телефона — общий для поиска на ресепшене и самообслуживания гостя.
+// Присоединённый при объединении номер показывает баланс основного номера профиля.
+// Возвращает { guest } (null, если гость не найден) и начальный уровень программы entryLevel.
+const lookupGuestBalance = async (db, phone) => {
+  const normalizedPhone = await resolvePrimaryPhone(db, phone);
+
+  const result = await db.query(
+    `SELECT
+      phone as guest_phone,
+      last_name,
+      first_name,
+      loyalty_level,
+      bonus_balances as current_balance,
+      visits_total as visits_count,
+      last_date_visit as last_visit_date
+    FROM bonuses_balance
+    WHERE phone = $1
+    ORDER BY last_date_visit DESC
+    LIMIT 1`,
+    [normalizedPhone]
+  );
+
+  const guestRecord = result.rows.length ? result.rows[0] : null;
+
+  // Уровень, который получит гость при выезде сегодня, по правилам программы лояльности
+  const program = await loadLoyaltyProgram(db);
+  const entryLevel = program.tiers[0].name;
+
+  if (!guestRecord) {
+    return { guest: null, entryLevel };
+  }
+
+  const evaluation = await evaluateGuestTier(db, normalizedPhone, toDateString(new Date()), program);
+
+  return {
+    guest: {
+      ...guestRecord,
+      profile_id: await findProfileIdByPhone(db, normalizedPhone),
+      loyalty_level: evaluation.tier.name,
+      accrual_percent: evaluation.tier.accrualPercent,
+      redemption_rules: getRedemptionRules(evaluation.tier),
+      next_tier: evaluation.nextTier ? serializeTier(evaluation.nextTier) : null,
+      tier_stats: {
+        visits: evaluation.stats.visits,
+        spend: evaluation.stats.spend,
+        downgraded: evaluation.downgraded
+      },
+      expiring_soon: await getExpiringSoon(db, normalizedPhone, program)
+    },
+    entryLevel
+  };
+};
+
+module.exports = {
+  lookupGuestBalance
+};
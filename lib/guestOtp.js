@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { resolvePrimaryPhone } = require('./profiles');
+const { formatOtpText, formatUnknownPhoneText } = require('./otpSender');
+const { logger } = require('./logger');
+
+const OTP_CODE_LENGTH = 6;
+const OTP_CODE_PATTERN = /^\d{6}$/;
+
+// Одноразовые коды для просмотра баланса гостем. Ответ на запрос кода не зависит от того,
+// есть ли номер в программе, а проверка кода не отличает неизвестный номер от неверного кода,
+// поэтому по ответам нельзя перебрать, какие номера зарегистрированы. По времени ответа тоже:
+// для неизвестного номера код так же создаётся и сохраняется, а сообщение уходит через тот же транспорт —
+// только вместо кода в нём сказано, что номер не участвует в программе.
+const createGuestOtpService = ({
+  pool,
+  sender,
+  secret,
+  ttlMinutes = 10,
+  maxAttempts = 5,
+  resendSeconds = 60,
+  maxPerHour = 5
+}) => {
+  const hashCode = (phone, code) =>
+    crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+
+  const codesMatch = (expectedHash, candidateHash) =>
+    crypto.timingSafeEqual(Buffer.from(expectedHash, 'hex'), Buffer.from(candidateHash, 'hex'));
+
+  const isKnownGuest = async (phone) => {
+    const primaryPhone = await resolvePrimaryPhone(pool, phone);
+    const result = await pool.query('SELECT 1 FROM bonuses_balance WHERE phone = $1 LIMIT 1', [
+      primaryPhone
+    ]);
+    return result.rows.length > 0;
+  };
+
+  // Не чаще раза в resendSeconds и не больше maxPerHour кодов в час на номер
+  const isThrottled = async (phone) => {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS total, MAX(created_at) AS last_created_at
+       FROM guest_otp_codes
+       WHERE phone = $1 AND created_at > $2`,
+      [phone, new Date(Date.now() - 60 * 60 * 1000)]
+    );
+    const { total, last_created_at: lastCreatedAt } = result.rows[0];
+    const sinceLast = lastCreatedAt ? Date.now() - new Date(lastCreatedAt).getTime() : Infinity;
+    return total >= maxPerHour || sinceLast < resendSeconds * 1000;
+  };
+
+  // Возвращает { sent: true } или { sent: false, reason } — причину вызывающий код наружу не отдаёт
+  const requestCode = async (phone, { ip } = {}) => {
+    await pool.query('DELETE FROM guest_otp_codes WHERE created_at < $1', [
+      new Date(Date.now() - 24 * 60 * 60 * 1000)
+    ]);
+
+    if (await isThrottled(phone)) {
+      return { sent: false, reason: 'throttled' };
+    }
+
+    const isKnown = await isKnownGuest(phone);
+    const code = String(crypto.randomInt(0, 10 ** OTP_CODE_LENGTH)).padStart(OTP_CODE_LENGTH, '0');
+
+    await withTransaction(pool, async (db) => {
+      // Действует только последний выданный код
+      await db.query(
+        'UPDATE guest_otp_codes SET consumed_at = NOW() WHERE phone = $1 AND consumed_at IS NULL',
+        [phone]
+      );
+      await db.query(
+        `INSERT INTO guest_otp_codes (phone, code_hash, expires_at, request_ip)
+         VALUES ($1, $2, $3, $4)`,
+        [phone, hashCode(phone, code), new Date(Date.now() + ttlMinutes * 60 * 1000), ip || null]
+      );
+    });
+
+    try {
+      await sender.send(
+        isKnown
+          ? { phone, code, text: formatOtpText(code, ttlMinutes) }
+          : { phone, code: null, text: formatUnknownPhoneText() }
+      );
+    } catch (error) {
+      // Ошибка доставки наружу не отдаётся: по ней было бы видно, что номер зарегистрирован
+      logger.error('Не удалось отправить код гостю', error);
+      return { sent: false, reason: 'delivery_failed' };
+    }
+    return isKnown ? { sent: true } : { sent: false, reason: 'unknown' };
+  };
+
+  // Каждая неверная попытка расходует одну из maxAttempts; после последней код больше не принимается
+  const verifyCode = async (phone, code) => {
+    if (!OTP_CODE_PATTERN.test(code)) {
+      return { valid: false };
+    }
+
+    return withTransaction(pool, async (db) => {
+      const result = await db.query(
+        `SELECT id, code_hash, attempts
+         FROM guest_otp_codes
+         WHERE phone = $1 AND consumed_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [phone]
+      );
+      const entry = result.rows[0];
+      if (!entry || entry.attempts >= maxAttempts) {
+        return { valid: false };
+      }
+
+      if (codesMatch(entry.code_hash, hashCode(phone, code))) {
+        await db.query('UPDATE guest_otp_codes SET consumed_at = NOW() WHERE id = $1', [entry.id]);
+        return { valid: true };
+      }
+
+      await db.query(
+        `UPDATE guest_otp_codes
+         SET attempts = attempts + 1,
+             consumed_at = CASE WHEN attempts + 1 >= $2 THEN NOW() ELSE consumed_at END
+         WHERE id = $1`,
+        [entry.id, maxAttempts]
+      );
+      return { valid: false };
+    });
+  };
+
+  return { ttlMinutes, requestCode, verifyCode };
+};
+
+module.exports = {
+  OTP_CODE_PATTERN,
+  createGuestOtpService
+};
@@ -0,0 +1,231 @@
+const { parsePhonePrefix, escapeLike } = require('./listQueries');
+
+// Поиск гостя на ресепшене по фамилии/имени, части номера и номеру бронирования Shelter.
+// Кандидаты выбираются из bonuses_balance и истории выездов, ранжирование — в scoreCandidate.
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MIN_PHONE_DIGITS = 3;
+const CANDIDATES_LIMIT = 50;
+
+// Регистр и ё/е не различаются
+const normalizeSearchText = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/ё/g, 'е');
+
+const normalizedColumn = (column) => `REPLACE(LOWER(COALESCE(${column}, '')), 'ё', 'е')`;
+
+// Слова запроса: текст для имени и номера бронирования, цифры — для поиска по номеру
+const parseSearchQuery = (value) => {
+  const raw = String(value || '').trim();
+
+  if (raw.length < MIN_QUERY_LENGTH) {
+    return { error: `Введите не меньше ${MIN_QUERY_LENGTH} символов для поиска.` };
+  }
+  if (raw.length > MAX_QUERY_LENGTH) {
+    return { error: 'Слишком длинный поисковый запрос.' };
+  }
+
+  const tokens = raw
+    .split(/\s+/)
+    .slice(0, 5)
+    .map((word) => {
+      const phone = parsePhonePrefix(word);
+      return {
+        text: normalizeSearchText(word),
+        phone: phone && phone.length >= MIN_PHONE_DIGITS ? phone : null
+      };
+    });
+
+  // Номер, набранный с пробелами («999 123 45 67»), ищем и целиком
+  const allDigits = parsePhonePrefix(raw);
+  const phone = allDigits && allDigits.length >= MIN_PHONE_DIGITS ? allDigits : null;
+
+  return { query: raw, tokens, phone };
+};
+
+const scoreText = (value, token, { exact, prefix, contains }) => {
+  const text = normalizeSearchText(value);
+  if (!text) return 0;
+  if (text === token) return exact;
+  if (text.startsWith(token)) return prefix;
+  return text.includes(token) ? contains : 0;
+};
+
+const scorePhone = (phone, digits) => {
+  if (!phone || !digits) return 0;
+  if (phone === digits) return 90;
+  if (phone.endsWith(digits)) return 70;
+  if (phone.startsWith(digits)) return 60;
+  return phone.includes(digits) ? 50 : 0;
+};
+
+// Чем точнее совпадение, тем выше гость в подсказках: бронирование и полный номер — выше фамилии
+const scoreCandidate = (candidate, { tokens, phone }) => {
+  const matchedBy = new Set();
+  let score = 0;
+
+  const phoneScore = Math.max(
+    scorePhone(candidate.phone, phone),
+    ...tokens.map((token) => scorePhone(candidate.phone, token.phone))
+  );
+  if (phoneScore) {
+    matchedBy.add('phone');
+    score += phoneScore;
+  }
+
+  for (const token of tokens) {
+    const nameScore =
+      scoreText(candidate.last_name, token.text, { exact: 40, prefix: 30, contains: 15 }) +
+      scoreText(candidate.first_name, token.text, { exact: 20, prefix: 15, contains: 8 });
+    if (nameScore) {
+      matchedBy.add('name');
+      score += nameScore;
+    }
+  }
+
+  if (candidate.booking_id) {
+    const bookingScore = Math.max(
+      ...tokens.map((token) =>
+        scoreText(candidate.booking_id, token.text, { exact: 100, prefix: 80, contains: 0 })
+      )
+    );
+    if (bookingScore) {
+      matchedBy.add('booking');
+      score += bookingScore;
+    }
+  }
+
+  return { score, matchedBy: Array.from(matchedBy) };
+};
+
+// Гости из bonuses_balance, у которых каждое слово запроса найдено в фамилии, имени или номере
+const findProfileCandidates = async (db, { tokens, phone }) => {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const tokenConditions = tokens.map((token) => {
+    const pattern = param(`%${escapeLike(token.text)}%`);
+    const alternatives = [
+      `${normalizedColumn('last_name')} LIKE ${pattern}`,
+      `${normalizedColumn('first_name')} LIKE ${pattern}`
+    ];
+    if (token.phone) {
+      alternatives.push(`phone LIKE ${param(`%${token.phone}%`)}`);
+    }
+    return `(${alternatives.join(' OR ')})`;
+  });
+
+  const where = [`(${tokenConditions.join(' AND ')})`];
+  if (phone) {
+    where.push(`phone LIKE ${param(`%${phone}%`)}`);
+  }
+
+  const result = await db.query(
+    `SELECT phone, last_name, first_name, loyalty_level, bonus_balances, last_date_visit
+     FROM bonuses_balance
+     WHERE ${where.join(' OR ')}
+     ORDER BY last_date_visit DESC NULLS LAST, id DESC
+     LIMIT ${CANDIDATES_LIMIT}`,
+    params
+  );
+
+  return result.rows;
+};
+
+// Номера гостей по началу номера бронирования из неаннулированных выездов
+const findBookingCandidates = async (db, { tokens }) => {
+  const params = tokens.map((token) => `${escapeLike(token.text)}%`);
+  const conditions = params.map(
+    (_, index) => `LOWER(shelter_booking_id) LIKE $${index + 1}`
+  );
+
+  const result = await db.query(
+    `SELECT guest_phone, shelter_booking_id, created_at
+     FROM guests
+     WHERE voided_at IS NULL AND (${conditions.join(' OR ')})
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${CANDIDATES_LIMIT}`,
+    params
+  );
+
+  return result.rows;
+};
+
+const loadProfiles = async (db, phones) => {
+  if (!phones.length) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT phone, last_name, first_name, loyalty_level, bonus_balances, last_date_visit
+     FROM bonuses_balance
+     WHERE phone IN (${phones.map((_, index) => `$${index + 1}`).join(', ')})
+     ORDER BY last_date_visit DESC NULLS LAST, id DESC`,
+    phones
+  );
+
+  return result.rows;
+};
+
+// Ранжированные подсказки: не больше limit гостей, по одному на номер телефона
+const searchGuests = async (db, parsed, { limit = 10 } = {}) => {
+  const candidates = new Map();
+
+  const addCandidate = (profile, bookingId = null) => {
+    const existing = candidates.get(profile.phone);
+    if (existing) {
+      existing.booking_id = existing.booking_id || bookingId;
+      return;
+    }
+    candidates.set(profile.phone, { ...profile, booking_id: bookingId });
+  };
+
+  for (const profile of await findProfileCandidates(db, parsed)) {
+    addCandidate(profile);
+  }
+
+  const bookings = await findBookingCandidates(db, parsed);
+  const bookingByPhone = new Map();
+  for (const booking of bookings) {
+    if (!bookingByPhone.has(booking.guest_phone)) {
+      bookingByPhone.set(booking.guest_phone, booking.shelter_booking_id);
+    }
+  }
+  for (const profile of await loadProfiles(db, Array.from(bookingByPhone.keys()))) {
+    addCandidate(profile, bookingByPhone.get(profile.phone));
+  }
+
+  return Array.from(candidates.values())
+    .map((candidate) => ({ candidate, ...scoreCandidate(candidate, parsed) }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.candidate.last_date_visit || 0) - new Date(a.candidate.last_date_visit || 0)
+    )
+    .slice(0, limit)
+    .map(({ candidate, score, matchedBy }) => ({
+      guest_phone: candidate.phone,
+      last_name: candidate.last_name,
+      first_name: candidate.first_name,
+      loyalty_level: candidate.loyalty_level,
+      current_balance: candidate.bonus_balances,
+      last_visit_date: candidate.last_date_visit,
+      booking_id: matchedBy.includes('booking') ? candidate.booking_id : null,
+      matched_by: matchedBy,
+      score
+    }));
+};
+
+module.exports = {
+  normalizeSearchText,
+  parseSearchQuery,
+  scoreCandidate,
+  searchGuests
+};
@@ -0,0 +1,30 @@
+const { logger } = require('./logger');
+
+const IS_DEVELOPMENT = (process.env.NODE_ENV || 'production') === 'development';
+
+// request_id из ответа помогает найти запрос в журнале сервера
+const respondWithError = (res, statusCode, message, extra = {}) =>
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...extra,
+    ...(res.req?.id ? { request_id: res.req.id } : {})
+  });
+
+const respondWithValidationError = (res, message, extra) =>
+  respondWithError(res, 400, message, extra);
+
+const buildPublicErrorMessage = (error, fallbackMessage) =>
+  IS_DEVELOPMENT && error instanceof Error ? error.message : fallbackMessage;
+
+const handleUnexpectedError = (res, error, fallbackMessage) => {
+  (res.req?.log || logger).error(fallbackMessage, error);
+  return respondWithError(res, 500, buildPublicErrorMessage(error, fallbackMessage));
+};
+
+module.exports = {
+  respondWithError,
+  respondWithValidationError,
+  buildPublicErrorMessage,
+  handleUnexpectedError
+};
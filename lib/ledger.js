@@ -0,0 +1,163 @@
+// Журнал операций с баллами. Записи только добавляются; баланс гостя —
+// сумма amount по всем его записям, а bonuses_balance.bonus_balances — её кеш.
+const TRANSACTION_TYPES = {
+  ACCRUAL: 'accrual',
+  REDEMPTION: 'redemption',
+  ADJUSTMENT: 'adjustment',
+  EXPIRATION: 'expiration',
+  REVERSAL: 'reversal'
+};
+
+const getLedgerBalance = async (db, phone) => {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(amount), 0)::int AS balance FROM bonus_transactions WHERE phone = $1',
+    [phone]
+  );
+  return result.rows[0].balance;
+};
+
+// Вызывать внутри транзакции под lockGuestBalance, чтобы balance_after был согласован.
+// stayDate — дата проживания для операций, внесённых задним числом (импорт истории): запись всё равно
+// датируется моментом добавления, иначе balance_after разошёлся бы с более поздними записями журнала.
+const appendTransaction = async (
+  db,
+  { phone, type, amount, guestId, bookingId, comment, actorId, reversedTransactionId, stayDate }
+) => {
+  const balanceBefore = await getLedgerBalance(db, phone);
+  const result = await db.query(
+    `INSERT INTO bonus_transactions
+      (phone, type, amount, balance_after, guest_id, booking_id, comment, actor_id, reversed_transaction_id,
+       stay_date)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      phone,
+      type,
+      amount,
+      balanceBefore + amount,
+      guestId || null,
+      bookingId || null,
+      comment || null,
+      actorId || null,
+      reversedTransactionId || null,
+      stayDate || null
+    ]
+  );
+  return result.rows[0];
+};
+
+// Переносит итог журнала в кеш bonuses_balance и возвращает актуальный баланс
+const syncCachedBalance = async (db, phone) => {
+  const balance = await getLedgerBalance(db, phone);
+  await db.query('UPDATE bonuses_balance SET bonus_balances = $2 WHERE phone = $1', [phone, balance]);
+  return balance;
+};
+
+// Списание и начисление за один выезд
+const recordCheckoutTransactions = async (
+  db,
+  { phone, guestId, bookingId, bonusSpent, bonusEarned, actorId, stayDate }
+) => {
+  const entries = [];
+
+  if (bonusSpent > 0) {
+    entries.push(
+      await appendTransaction(db, {
+        phone,
+        type: TRANSACTION_TYPES.REDEMPTION,
+        amount: -bonusSpent,
+        guestId,
+        bookingId,
+        actorId,
+        stayDate
+      })
+    );
+  }
+
+  if (bonusEarned > 0) {
+    entries.push(
+      await appendTransaction(db, {
+        phone,
+        type: TRANSACTION_TYPES.ACCRUAL,
+        amount: bonusEarned,
+        guestId,
+        bookingId,
+        actorId,
+        stayDate
+      })
+    );
+  }
+
+  const balance = await syncCachedBalance(db, phone);
+  return { entries, balance };
+};
+
+// Сторнирует ещё не отменённые начисления и списания выезда; возвращает телефоны, чей баланс изменился.
+// Вызывать под lockGuestBalance для всех этих телефонов.
+const reverseGuestTransactions = async (db, { guestId, actorId, comment }) => {
+  const result = await db.query(
+    `SELECT t.* FROM bonus_transactions t
+     LEFT JOIN bonus_transactions r ON r.reversed_transaction_id = t.id
+     WHERE t.guest_id = $1
+       AND t.type IN ('accrual', 'redemption')
+       AND r.id IS NULL
+     ORDER BY t.id`,
+    [guestId]
+  );
+
+  const phones = new Set();
+  for (const entry of result.rows) {
+    await appendTransaction(db, {
+      phone: entry.phone,
+      type: TRANSACTION_TYPES.REVERSAL,
+      amount: -entry.amount,
+      guestId,
+      bookingId: entry.booking_id,
+      comment,
+      actorId,
+      reversedTransactionId: entry.id
+    });
+    phones.add(entry.phone);
+  }
+
+  for (const phone of phones) {
+    await syncCachedBalance(db, phone);
+  }
+
+  return Array.from(phones);
+};
+
+// Телефоны, на которые записаны операции выезда (после исправления номера их может быть несколько)
+const findGuestTransactionPhones = async (db, guestId) => {
+  const result = await db.query(
+    'SELECT DISTINCT phone FROM bonus_transactions WHERE guest_id = $1',
+    [guestId]
+  );
+  return result.rows.map((row) => row.phone);
+};
+
+const listTransactions = async (db, phone, { limit, offset }) => {
+  const totalResult = await db.query(
+    'SELECT COUNT(*)::int AS total FROM bonus_transactions WHERE phone = $1',
+    [phone]
+  );
+  const rowsResult = await db.query(
+    `SELECT * FROM bonus_transactions
+     WHERE phone = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [phone, limit, offset]
+  );
+  return { total: totalResult.rows[0].total, rows: rowsResult.rows };
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  getLedgerBalance,
+  appendTransaction,
+  syncCachedBalance,
+  recordCheckoutTransactions,
+  reverseGuestTransactions,
+  findGuestTransactionPhones,
+  listTransactions
+};
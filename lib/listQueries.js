@@ -0,0 +1,315 @@
+const { parseDateParam, parsePagination } = require('./validation');
+
+// Фильтры и сортировка списков выездов, балансов и профилей для админки и выгрузок.
+// В SQL попадают только имена колонок из белых списков ниже, значения фильтров — только параметрами.
+
+const GUEST_SORT_FIELDS = {
+  created_at: 'created_at',
+  checkin_date: 'checkin_date',
+  last_name: 'last_name',
+  total_amount: 'total_amount',
+  bonus_spent: 'bonus_spent',
+  bonus_earned: 'bonus_earned',
+  loyalty_level: 'loyalty_level',
+  shelter_booking_id: 'shelter_booking_id'
+};
+
+const BONUS_SORT_FIELDS = {
+  last_date_visit: 'last_date_visit',
+  last_name: 'last_name',
+  bonus_balances: 'bonus_balances',
+  visits_total: 'visits_total',
+  loyalty_level: 'loyalty_level',
+  phone: 'phone'
+};
+
+const PROFILE_SORT_FIELDS = {
+  last_name: 'last_name',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+const GUEST_STATUSES = ['active', 'voided'];
+
+// Префикс номера в формате хранения (10 цифр без кода страны): «+7» в начале и 8/7 у полного номера отбрасываются
+const parsePhonePrefix = (value) => {
+  let digits = value.replace(/\D/g, '');
+  if (value.startsWith('+7') || (digits.length === 11 && /^[78]/.test(digits))) {
+    digits = digits.slice(1);
+  }
+  return digits.length >= 1 && digits.length <= 10 ? digits : null;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const parseAmountParam = (value) => {
+  const amount = Number.parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+const parseSort = (query, fields, defaultField) => {
+  const field = query.sort ? String(query.sort).trim() : defaultField;
+  const order = query.order ? String(query.order).trim().toLowerCase() : 'desc';
+
+  if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+    return {
+      error: `Сортировка возможна только по полям: ${Object.keys(fields).join(', ')}.`
+    };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Параметр order может быть только asc или desc.' };
+  }
+
+  return { sort: { field, order } };
+};
+
+// Разбирает общие фильтры; spec описывает, какие параметры запроса допустимы для списка
+const parseFilters = (query, spec) => {
+  const filters = {};
+
+  for (const [param, type] of Object.entries(spec)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+    const value = String(raw).trim();
+
+    if (type === 'phone') {
+      filters[param] = parsePhonePrefix(value);
+      if (!filters[param]) {
+        return { error: 'Фильтр phone: укажите от 1 до 10 цифр номера.' };
+      }
+    } else if (type === 'date') {
+      filters[param] = parseDateParam(value);
+      if (!filters[param]) {
+        return { error: `Некорректный формат даты в фильтре ${param}.` };
+      }
+    } else if (type === 'amount') {
+      filters[param] = parseAmountParam(value);
+      if (filters[param] === null) {
+        return { error: `Фильтр ${param} должен быть неотрицательным числом.` };
+      }
+    } else if (type === 'status') {
+      if (!GUEST_STATUSES.includes(value)) {
+        return { error: `Фильтр status может быть только: ${GUEST_STATUSES.join(', ')}.` };
+      }
+      filters[param] = value;
+    } else {
+      if (value.length > 120) {
+        return { error: `Фильтр ${param} слишком длинный.` };
+      }
+      filters[param] = value;
+    }
+  }
+
+  return { filters };
+};
+
+const GUEST_FILTERS = {
+  phone: 'phone',
+  last_name: 'text',
+  loyalty_level: 'text',
+  booking_id: 'text',
+  checkin_from: 'date',
+  checkin_to: 'date',
+  created_from: 'date',
+  created_to: 'date',
+  amount_min: 'amount',
+  amount_max: 'amount',
+  status: 'status'
+};
+
+const BONUS_FILTERS = {
+  phone: 'phone',
+  last_name: 'text',
+  loyalty_level: 'text',
+  last_visit_from: 'date',
+  last_visit_to: 'date',
+  balance_min: 'amount',
+  balance_max: 'amount'
+};
+
+const PROFILE_FILTERS = {
+  phone: 'phone',
+  last_name: 'text',
+  email: 'text'
+};
+
+const parseListQuery = (query, { filterSpec, sortFields, defaultSort, pagination }) => {
+  const { error: filterError, filters } = parseFilters(query, filterSpec);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const { error: sortError, sort } = parseSort(query, sortFields, defaultSort);
+  if (sortError) {
+    return { error: sortError };
+  }
+
+  return { filters, sort, ...parsePagination(query, pagination) };
+};
+
+// Параметры GET /api/guests: фильтры, сортировка, limit/offset
+const parseGuestListQuery = (query, pagination) =>
+  parseListQuery(query, {
+    filterSpec: GUEST_FILTERS,
+    sortFields: GUEST_SORT_FIELDS,
+    defaultSort: 'created_at',
+    pagination
+  });
+
+const parseBonusListQuery = (query, pagination) =>
+  parseListQuery(query, {
+    filterSpec: BONUS_FILTERS,
+    sortFields: BONUS_SORT_FIELDS,
+    defaultSort: 'last_date_visit',
+    pagination
+  });
+
+const parseProfileListQuery = (query, pagination) =>
+  parseListQuery(query, {
+    filterSpec: PROFILE_FILTERS,
+    sortFields: PROFILE_SORT_FIELDS,
+    defaultSort: 'last_name',
+    pagination
+  });
+
+const createConditions = () => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  const build = () => ({
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  });
+
+  return { add, build, conditions };
+};
+
+const buildGuestWhere = (filters) => {
+  const { add, build, conditions } = createConditions();
+
+  if (filters.phone) add("guest_phone LIKE ? || '%'", filters.phone);
+  if (filters.last_name) {
+    add("LOWER(last_name) LIKE LOWER(?) || '%'", escapeLike(filters.last_name));
+  }
+  if (filters.loyalty_level) add('LOWER(loyalty_level) = LOWER(?)', filters.loyalty_level);
+  if (filters.booking_id) add('shelter_booking_id = ?', filters.booking_id);
+  if (filters.checkin_from) add('checkin_date >= ?::date', filters.checkin_from);
+  if (filters.checkin_to) add('checkin_date <= ?::date', filters.checkin_to);
+  if (filters.created_from) add('created_at >= ?::timestamptz', filters.created_from);
+  if (filters.created_to) {
+    add("created_at < (?::timestamptz + INTERVAL '1 day')", filters.created_to);
+  }
+  if (filters.amount_min !== undefined) add('total_amount >= ?', filters.amount_min);
+  if (filters.amount_max !== undefined) add('total_amount <= ?', filters.amount_max);
+  if (filters.status === 'active') conditions.push('voided_at IS NULL');
+  if (filters.status === 'voided') conditions.push('voided_at IS NOT NULL');
+
+  return build();
+};
+
+const buildBonusWhere = (filters) => {
+  const { add, build } = createConditions();
+
+  if (filters.phone) add("phone LIKE ? || '%'", filters.phone);
+  if (filters.last_name) {
+    add("LOWER(last_name) LIKE LOWER(?) || '%'", escapeLike(filters.last_name));
+  }
+  if (filters.loyalty_level) add('LOWER(loyalty_level) = LOWER(?)', filters.loyalty_level);
+  if (filters.last_visit_from) add('last_date_visit >= ?::date', filters.last_visit_from);
+  if (filters.last_visit_to) add('last_date_visit <= ?::date', filters.last_visit_to);
+  if (filters.balance_min !== undefined) add('bonus_balances >= ?', filters.balance_min);
+  if (filters.balance_max !== undefined) add('bonus_balances <= ?', filters.balance_max);
+
+  return build();
+};
+
+const buildProfileWhere = (filters) => {
+  const { add, build } = createConditions();
+
+  if (filters.phone) {
+    add("id IN (SELECT profile_id FROM guest_profile_phones WHERE phone LIKE ? || '%')", filters.phone);
+  }
+  if (filters.last_name) {
+    add("LOWER(last_name) LIKE LOWER(?) || '%'", escapeLike(filters.last_name));
+  }
+  if (filters.email) add("LOWER(email) LIKE LOWER(?) || '%'", escapeLike(filters.email));
+
+  return build();
+};
+
+// id — второй ключ сортировки, чтобы страницы не пересекались при одинаковых значениях
+const buildOrderBy = (sort, fields) =>
+  `ORDER BY ${fields[sort.field]} ${sort.order === 'asc' ? 'ASC' : 'DESC'} NULLS LAST, id ${
+    sort.order === 'asc' ? 'ASC' : 'DESC'
+  }`;
+
+const GUEST_LIST_SQL = {
+  table: 'guests',
+  buildWhere: buildGuestWhere,
+  sortFields: GUEST_SORT_FIELDS
+};
+
+const BONUS_LIST_SQL = {
+  table: 'bonuses_balance',
+  buildWhere: buildBonusWhere,
+  sortFields: BONUS_SORT_FIELDS
+};
+
+const PROFILE_LIST_SQL = {
+  table: 'guest_profiles',
+  buildWhere: buildProfileWhere,
+  sortFields: PROFILE_SORT_FIELDS
+};
+
+// SQL выборки без LIMIT — для выгрузок, которые читают результат потоком
+const buildListSelect = (listSql, { filters, sort }) => {
+  const { where, params } = listSql.buildWhere(filters);
+  return {
+    text: `SELECT * FROM ${listSql.table} ${where} ${buildOrderBy(sort, listSql.sortFields)}`,
+    params
+  };
+};
+
+const runListQuery = async (db, listSql, { filters, sort, limit, offset }) => {
+  const { where, params } = listSql.buildWhere(filters);
+
+  const totalResult = await db.query(
+    `SELECT COUNT(*)::int AS total FROM ${listSql.table} ${where}`,
+    params
+  );
+  const rowsResult = await db.query(
+    `SELECT * FROM ${listSql.table} ${where}
+     ${buildOrderBy(sort, listSql.sortFields)}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { total: totalResult.rows[0].total, rows: rowsResult.rows };
+};
+
+const listGuests = (db, options) => runListQuery(db, GUEST_LIST_SQL, options);
+const listBonuses = (db, options) => runListQuery(db, BONUS_LIST_SQL, options);
+const listProfiles = (db, options) => runListQuery(db, PROFILE_LIST_SQL, options);
+
+module.exports = {
+  GUEST_SORT_FIELDS,
+  BONUS_SORT_FIELDS,
+  PROFILE_SORT_FIELDS,
+  GUEST_LIST_SQL,
+  BONUS_LIST_SQL,
+  PROFILE_LIST_SQL,
+  parsePhonePrefix,
+  escapeLike,
+  parseGuestListQuery,
+  parseBonusListQuery,
+  parseProfileListQuery,
+  buildListSelect,
+  listGuests,
+  listBonuses,
+  listProfiles
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// Структурированный журнал: одна запись — одна строка JSON с полями time, level, msg и контекстом.
+// Уровень задаёт LOG_LEVEL (error, warn, info, debug), формат — LOG_FORMAT (json или text для чтения
+// глазами при локальной разработке). Пароли, токены и cookies заменяются на [REDACTED], номера телефонов
+// маскируются — и в полях с телефоном, и внутри любых строк, включая адреса запросов и тексты ошибок.
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_FORMATS = ['json', 'text'];
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|otp_code|code_hash/i;
+const PHONE_KEY_PATTERN = /phone/i;
+// 10 цифр номера, возможно с +7 или 8 впереди, но не часть более длинного числа
+const PHONE_IN_TEXT_PATTERN = /(?<!\d)(?:\+?7|8)?\d{10}(?!\d)/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+// Оставляет две последние цифры: 9991234567 → ********67
+const maskPhone = (value) => String(value).replace(/\d(?=\d{2})/g, '*');
+
+const redactText = (text) => text.replace(PHONE_IN_TEXT_PATTERN, maskPhone);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.status ? { status: error.status } : {}),
+  stack: error.stack
+});
+
+const redact = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, depth);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return depth >= MAX_DEPTH ? '[Array]' : value.map((item) => redact(item, key, depth + 1));
+  }
+  if (typeof value === 'object') {
+    if (depth >= MAX_DEPTH) {
+      return '[Object]';
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([entryKey, entryValue]) => [entryKey, redact(entryValue, entryKey, depth + 1)])
+    );
+  }
+  if (PHONE_KEY_PATTERN.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+    return maskPhone(value);
+  }
+  return typeof value === 'string' ? redactText(value) : value;
+};
+
+const formatText = ({ time, level, msg, ...fields }) => {
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+};
+
+const parseLevel = (value) => {
+  const level = String(value || 'info').trim().toLowerCase();
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(
+      `Неизвестный LOG_LEVEL «${level}». Допустимые значения: ${Object.keys(LOG_LEVELS).join(', ')}`
+    );
+  }
+  return level;
+};
+
+const parseFormat = (value) => {
+  const format = String(value || 'json').trim().toLowerCase();
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Неизвестный LOG_FORMAT «${format}». Допустимые значения: ${LOG_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+// Логгер с методами error, warn, info, debug(msg, fields) и child(fields) — дочерний логгер добавляет
+// поля ко всем записям. Вместо fields можно передать Error: он попадёт в поле err.
+const createLogger = ({
+  level = 'info',
+  format = 'json',
+  fields: baseFields = {},
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) => {
+  const threshold = LOG_LEVELS[level];
+
+  const write = (entryLevel, msg, fields) => {
+    if (LOG_LEVELS[entryLevel] > threshold) {
+      return;
+    }
+    const extra = fields instanceof Error ? { err: fields } : fields || {};
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: String(msg),
+      ...baseFields,
+      ...extra
+    });
+    const line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    (LOG_LEVELS[entryLevel] <= LOG_LEVELS.warn ? stderr : stdout).write(`${line}\n`);
+  };
+
+  return {
+    level,
+    isLevelEnabled: (entryLevel) => LOG_LEVELS[entryLevel] <= threshold,
+    error: (msg, fields) => write('error', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields),
+    child: (fields) =>
+      createLogger({ level, format, fields: { ...baseFields, ...fields }, stdout, stderr })
+  };
+};
+
+// Идентификатор запроса берётся из X-Request-Id (если он похож на идентификатор) или генерируется,
+// возвращается в том же заголовке и попадает во все записи журнала через req.log.
+// По завершении ответа пишется строка журнала доступа; запросы из quietPaths — только на уровне debug.
+const createRequestLogger = (logger, { quietPaths = [] } = {}) => {
+  const quiet = new Set(quietPaths);
+
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('close', () => {
+      let entryLevel = quiet.has(req.path) ? 'debug' : 'info';
+      if (res.statusCode >= 500) {
+        entryLevel = 'error';
+      } else if (res.statusCode >= 400) {
+        entryLevel = 'warn';
+      }
+
+      req.log[entryLevel]('request', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        bytes: Number(res.getHeader('Content-Length')) || undefined,
+        user_id: req.session?.uid,
+        ip: req.ip,
+        ...(res.writableFinished ? {} : { aborted: true })
+      });
+    });
+
+    next();
+  };
+};
+
+// Общий логгер процесса по переменным окружения
+const logger = createLogger({
+  level: parseLevel(process.env.LOG_LEVEL),
+  format: parseFormat(process.env.LOG_FORMAT)
+});
+
+module.exports = {
+  LOG_LEVELS,
+  REQUEST_ID_HEADER,
+  maskPhone,
+  redact,
+  createLogger,
+  createRequestLogger,
+  logger
+};
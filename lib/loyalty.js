@@ -0,0 +1,76 @@
+// Правила начисления и списания баллов. Проценты берутся из уровня программы лояльности
+// (см. lib/tiers.js): { accrualPercent, maxRedemptionPercent }.
+const MIN_REDEMPTION_POINTS = Number(process.env.MIN_REDEMPTION_POINTS) || 100;
+
+// Баллы начисляются на оплаченную деньгами часть счёта и округляются вниз до целого
+const calculateEarnedPoints = (totalAmount, bonusSpent, tier) => {
+  const paidAmount = Math.max(Number(totalAmount) - Number(bonusSpent || 0), 0);
+
+  return Math.floor((paidAmount * tier.accrualPercent) / 100);
+};
+
+const REDEMPTION_ERROR_CODES = {
+  BELOW_MINIMUM: 'REDEMPTION_BELOW_MINIMUM',
+  SHARE_EXCEEDED: 'REDEMPTION_SHARE_EXCEEDED',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE'
+};
+
+const getRedemptionRules = (tier) => ({
+  min_points: MIN_REDEMPTION_POINTS,
+  max_share_percent: tier.maxRedemptionPercent
+});
+
+const getRedemptionLimits = (totalAmount, available, tier) => {
+  const rules = getRedemptionRules(tier);
+  const maxByShare = Math.floor((Number(totalAmount) * rules.max_share_percent) / 100);
+
+  return {
+    ...rules,
+    available: Math.max(Number(available) || 0, 0),
+    max_allowed: Math.max(Math.min(maxByShare, Number(available) || 0), 0)
+  };
+};
+
+// Проверяет списание баллов; возвращает null или { code, message, limits } для показа у поля bonus_spent
+const validateRedemption = ({ bonusSpent, totalAmount, available, tier }) => {
+  if (!bonusSpent) {
+    return null;
+  }
+
+  const limits = getRedemptionLimits(totalAmount, available, tier);
+
+  if (bonusSpent < limits.min_points) {
+    return {
+      code: REDEMPTION_ERROR_CODES.BELOW_MINIMUM,
+      message: `Минимальное списание — ${limits.min_points} баллов.`,
+      limits
+    };
+  }
+
+  if (bonusSpent > limits.available) {
+    return {
+      code: REDEMPTION_ERROR_CODES.INSUFFICIENT_BALANCE,
+      message: `Недостаточно баллов: доступно ${limits.available}.`,
+      limits
+    };
+  }
+
+  if (bonusSpent > Math.floor((Number(totalAmount) * limits.max_share_percent) / 100)) {
+    return {
+      code: REDEMPTION_ERROR_CODES.SHARE_EXCEEDED,
+      message: `Баллами можно оплатить не более ${limits.max_share_percent}% счёта — до ${limits.max_allowed} баллов.`,
+      limits
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  MIN_REDEMPTION_POINTS,
+  REDEMPTION_ERROR_CODES,
+  getRedemptionRules,
+  getRedemptionLimits,
+  validateRedemption,
+  calculateEarnedPoints
+};
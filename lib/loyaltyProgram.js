@@ -0,0 +1,170 @@
+const { evaluateTier, getQualificationStart, toDateString } = require('./tiers');
+const { findProfileIdByPhone } = require('./profiles');
+
+const DEFAULT_SETTINGS = {
+  qualificationPeriodDays: 730,
+  inactivityDays: 365,
+  downgradeSteps: 1,
+  pointsExpiryMonths: null,
+  inactivityExpiryMonths: null,
+  expiryWarningDays: 30
+};
+
+const toNullableNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const mapTierRow = (row) => ({
+  id: row.id,
+  position: row.position,
+  name: row.name,
+  minVisits: toNullableNumber(row.min_visits),
+  minSpend: toNullableNumber(row.min_spend),
+  qualifyMode: row.qualify_mode,
+  accrualPercent: Number(row.accrual_percent),
+  maxRedemptionPercent: Number(row.max_redemption_percent)
+});
+
+// Конфигурация программы из БД: { tiers, settings }. Уровни отсортированы от начального к высшему.
+const loadLoyaltyProgram = async (db) => {
+  const tiersResult = await db.query('SELECT * FROM loyalty_tiers ORDER BY position');
+  const settingsResult = await db.query('SELECT * FROM loyalty_settings WHERE id = 1');
+  const settingsRow = settingsResult.rows[0];
+
+  if (!tiersResult.rows.length) {
+    throw new Error('Не настроены уровни лояльности: примените миграцию 008_loyalty_tiers.sql');
+  }
+
+  return {
+    tiers: tiersResult.rows.map(mapTierRow),
+    settings: settingsRow
+      ? {
+          qualificationPeriodDays: settingsRow.qualification_period_days,
+          inactivityDays: settingsRow.inactivity_days,
+          downgradeSteps: settingsRow.downgrade_steps,
+          pointsExpiryMonths: settingsRow.points_expiry_months ?? null,
+          inactivityExpiryMonths: settingsRow.inactivity_expiry_months ?? null,
+          expiryWarningDays: settingsRow.expiry_warning_days ?? DEFAULT_SETTINGS.expiryWarningDays
+        }
+      : DEFAULT_SETTINGS
+  };
+};
+
+// Визиты и траты гостя за скользящий период до referenceDate включительно и дата последнего визита.
+// Учитываются визиты всего профиля, в том числе по номерам, присоединённым при объединении.
+// Аннулированные выезды не учитываются. У гостей, перенесённых из старой системы без истории выездов,
+// используется счётчик визитов из bonuses_balance, если последний визит попадает в период.
+// Для визита раньше последнего из bonuses_balance (импорт истории) счётчик не подходит: он включает
+// более поздние визиты.
+const loadVisitStats = async (db, phone, program, referenceDate) => {
+  const periodStart = getQualificationStart(program, referenceDate);
+  const profileId = await findProfileIdByPhone(db, phone);
+
+  const periodResult = await db.query(
+    `SELECT COUNT(*)::int AS visits, COALESCE(SUM(total_amount), 0) AS spend
+     FROM guests
+     WHERE (guest_phone = $1 OR profile_id = $4)
+       AND voided_at IS NULL
+       AND checkin_date > $2::date
+       AND checkin_date <= $3::date`,
+    [phone, periodStart, referenceDate, profileId]
+  );
+  const lastVisitResult = await db.query(
+    `SELECT MAX(checkin_date) AS last_visit, COUNT(*)::int AS total
+     FROM guests
+     WHERE (guest_phone = $1 OR profile_id = $3) AND voided_at IS NULL AND checkin_date <= $2::date`,
+    [phone, referenceDate, profileId]
+  );
+
+  const period = periodResult.rows[0];
+  const history = lastVisitResult.rows[0];
+
+  if (!history.total) {
+    const legacyResult = await db.query(
+      `SELECT visits_total, last_date_visit
+       FROM bonuses_balance
+       WHERE phone = $1
+       ORDER BY last_date_visit DESC NULLS LAST, id DESC
+       LIMIT 1`,
+      [phone]
+    );
+    const legacy = legacyResult.rows[0];
+
+    if (legacy?.last_date_visit && toDateString(legacy.last_date_visit) <= referenceDate) {
+      const lastVisit = new Date(legacy.last_date_visit);
+      const inPeriod = lastVisit > new Date(`${periodStart}T00:00:00`);
+      return {
+        visits: inPeriod ? Number(legacy.visits_total) || 0 : 0,
+        spend: 0,
+        lastVisitDate: legacy.last_date_visit
+      };
+    }
+  }
+
+  return {
+    visits: period.visits,
+    spend: Number(period.spend) || 0,
+    lastVisitDate: history.last_visit
+  };
+};
+
+// Уровень гостя для визита с датой referenceDate (YYYY-MM-DD)
+const evaluateGuestTier = async (db, phone, referenceDate, program = null) => {
+  const loyaltyProgram = program || (await loadLoyaltyProgram(db));
+  const stats = await loadVisitStats(db, phone, loyaltyProgram, referenceDate);
+  return evaluateTier(loyaltyProgram, stats, referenceDate);
+};
+
+// Заменяет список уровней целиком: позиции и пороги проверены validateTiers
+const replaceTiers = async (db, tiers) => {
+  await db.query('DELETE FROM loyalty_tiers');
+  for (const tier of tiers) {
+    await db.query(
+      `INSERT INTO loyalty_tiers
+        (position, name, min_visits, min_spend, qualify_mode, accrual_percent, max_redemption_percent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        tier.position,
+        tier.name,
+        tier.minVisits,
+        tier.minSpend,
+        tier.qualifyMode,
+        tier.accrualPercent,
+        tier.maxRedemptionPercent
+      ]
+    );
+  }
+};
+
+const saveSettings = async (db, settings, actorId) => {
+  await db.query(
+    `INSERT INTO loyalty_settings
+      (id, qualification_period_days, inactivity_days, downgrade_steps,
+       points_expiry_months, inactivity_expiry_months, expiry_warning_days, updated_at, updated_by)
+     VALUES (1, $1, $2, $3, $4, $5, $6, NOW(), $7)
+     ON CONFLICT (id) DO UPDATE
+     SET qualification_period_days = EXCLUDED.qualification_period_days,
+         inactivity_days = EXCLUDED.inactivity_days,
+         downgrade_steps = EXCLUDED.downgrade_steps,
+         points_expiry_months = EXCLUDED.points_expiry_months,
+         inactivity_expiry_months = EXCLUDED.inactivity_expiry_months,
+         expiry_warning_days = EXCLUDED.expiry_warning_days,
+         updated_at = EXCLUDED.updated_at,
+         updated_by = EXCLUDED.updated_by`,
+    [
+      settings.qualificationPeriodDays,
+      settings.inactivityDays,
+      settings.downgradeSteps,
+      settings.pointsExpiryMonths,
+      settings.inactivityExpiryMonths,
+      settings.expiryWarningDays,
+      actorId || null
+    ]
+  );
+};
+
+module.exports = {
+  loadLoyaltyProgram,
+  loadVisitStats,
+  evaluateGuestTier,
+  replaceTiers,
+  saveSettings
+};
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const { lockGuestBalances } = require('./balances');
+const { TRANSACTION_TYPES, appendTransaction, syncCachedBalance } = require('./ledger');
+const { attachPhones } = require('./profiles');
+
+// Поиск дублей и объединение профилей гостей.
+// Баллы живут в журнале по номеру телефона, поэтому при объединении остатки с номеров
+// присоединяемых профилей переносятся парой корректировок на основной номер целевого профиля.
+
+const MAX_MERGE_SOURCES = 10;
+
+const nameKeySql = (lastName, firstName) =>
+  `REPLACE(LOWER(TRIM(${lastName}) || ' ' || TRIM(${firstName})), 'ё', 'е')`;
+
+const placeholders = (values, offset = 0) =>
+  values.map((_, index) => `$${index + offset + 1}`).join(', ');
+
+// Номера, визиты и баллы профилей для сравнения дублей и плана объединения
+const loadProfileSummaries = async (db, ids) => {
+  if (!ids.length) {
+    return [];
+  }
+
+  const profilesResult = await db.query(
+    `SELECT id, last_name, first_name, email, telegram_chat_id, birthday, data_processing_consent,
+            marketing_consent, notes, created_at
+     FROM guest_profiles
+     WHERE id IN (${placeholders(ids)})
+     ORDER BY id`,
+    ids
+  );
+  const profiles = await attachPhones(db, profilesResult.rows);
+
+  const visitsResult = await db.query(
+    `SELECT profile_id, COUNT(*)::int AS visits_total, MAX(checkin_date) AS last_visit_date
+     FROM guests
+     WHERE voided_at IS NULL AND profile_id IN (${placeholders(ids)})
+     GROUP BY profile_id`,
+    ids
+  );
+  const visitsByProfile = new Map(visitsResult.rows.map((row) => [row.profile_id, row]));
+
+  const phones = profiles.flatMap((profile) => profile.phones.map((item) => item.phone));
+  const balancesResult = phones.length
+    ? await db.query(
+        `SELECT phone, COALESCE(SUM(amount), 0)::int AS balance
+         FROM bonus_transactions
+         WHERE phone IN (${placeholders(phones)})
+         GROUP BY phone`,
+        phones
+      )
+    : { rows: [] };
+  const balanceByPhone = new Map(balancesResult.rows.map((row) => [row.phone, row.balance]));
+
+  return profiles.map((profile) => {
+    const visits = visitsByProfile.get(profile.id);
+    const phonesWithBalance = profile.phones.map((item) => ({
+      ...item,
+      balance: balanceByPhone.get(item.phone) || 0
+    }));
+    return {
+      ...profile,
+      phones: phonesWithBalance,
+      visits_total: visits?.visits_total || 0,
+      last_visit_date: visits?.last_visit_date || null,
+      balance: phonesWithBalance.reduce((sum, item) => sum + item.balance, 0)
+    };
+  });
+};
+
+// Профили с одинаковыми фамилией и именем (без учёта регистра и ё/е)
+const findSameNameProfiles = async (db, limit) => {
+  const nameKey = nameKeySql('last_name', 'first_name');
+  const result = await db.query(
+    `SELECT id, name_key FROM (
+       SELECT id, ${nameKey} AS name_key FROM guest_profiles
+     ) AS profiles
+     WHERE name_key IN (
+       SELECT name_key FROM (
+         SELECT ${nameKey} AS name_key, COUNT(*) AS total
+         FROM guest_profiles
+         GROUP BY ${nameKey}
+       ) AS names
+       WHERE total > 1
+     )
+     ORDER BY name_key, id`
+  );
+
+  const idsByName = new Map();
+  for (const row of result.rows) {
+    if (!idsByName.has(row.name_key)) {
+      if (idsByName.size >= limit) break;
+      idsByName.set(row.name_key, []);
+    }
+    idsByName.get(row.name_key).push(row.id);
+  }
+
+  const summaries = await loadProfileSummaries(db, Array.from(idsByName.values()).flat());
+  const summaryById = new Map(summaries.map((summary) => [summary.id, summary]));
+
+  return Array.from(idsByName.values()).map((ids) => {
+    const profiles = ids.map((id) => summaryById.get(id)).filter(Boolean);
+    return {
+      last_name: profiles[0]?.last_name,
+      first_name: profiles[0]?.first_name,
+      profiles
+    };
+  });
+};
+
+// Номера, под которыми в выездах записаны разные люди: опечатка в имени или чужой номер
+const findPhoneNameConflicts = async (db, limit) => {
+  const result = await db.query(
+    `SELECT guest_phone, profile_id, last_name, first_name,
+            COUNT(*)::int AS visits, MAX(checkin_date) AS last_visit_date
+     FROM guests
+     WHERE voided_at IS NULL AND guest_phone IN (
+       SELECT guest_phone FROM (
+         SELECT guest_phone, COUNT(DISTINCT ${nameKeySql('last_name', 'first_name')}) AS names
+         FROM guests
+         WHERE voided_at IS NULL
+         GROUP BY guest_phone
+       ) AS phone_names
+       WHERE names > 1
+     )
+     GROUP BY guest_phone, profile_id, last_name, first_name
+     ORDER BY guest_phone, visits DESC`
+  );
+
+  const conflicts = new Map();
+  for (const row of result.rows) {
+    if (!conflicts.has(row.guest_phone)) {
+      if (conflicts.size >= limit) break;
+      conflicts.set(row.guest_phone, { phone: row.guest_phone, profile_id: row.profile_id, names: [] });
+    }
+    conflicts.get(row.guest_phone).names.push({
+      last_name: row.last_name,
+      first_name: row.first_name,
+      visits: row.visits,
+      last_visit_date: row.last_visit_date
+    });
+  }
+
+  return Array.from(conflicts.values());
+};
+
+const findDuplicates = async (db, { limit = 50 } = {}) => ({
+  same_name: await findSameNameProfiles(db, limit),
+  phone_name_conflicts: await findPhoneNameConflicts(db, limit)
+});
+
+const validateMergeInput = (input) => {
+  const targetId = Number.parseInt(input?.target_profile_id, 10);
+  const sourceIds = Array.isArray(input?.source_profile_ids)
+    ? input.source_profile_ids.map((value) => Number.parseInt(value, 10))
+    : [];
+
+  if (!Number.isInteger(targetId) || targetId <= 0) {
+    return { error: 'Укажите target_profile_id — профиль, который останется после объединения.' };
+  }
+  if (
+    !sourceIds.length ||
+    sourceIds.length > MAX_MERGE_SOURCES ||
+    sourceIds.some((id) => !Number.isInteger(id) || id <= 0)
+  ) {
+    return {
+      error: `Укажите source_profile_ids — от 1 до ${MAX_MERGE_SOURCES} присоединяемых профилей.`
+    };
+  }
+
+  const uniqueSources = Array.from(new Set(sourceIds));
+  if (uniqueSources.includes(targetId)) {
+    return { error: 'Целевой профиль не может быть среди присоединяемых.' };
+  }
+
+  return { values: { targetId, sourceIds: uniqueSources, confirmation: input.confirmation || null } };
+};
+
+// План объединения: что переедет в целевой профиль и какие остатки будут перенесены.
+// confirmation — отпечаток плана: объединение выполняется, только если с момента предпросмотра
+// не изменились номера, визиты и балансы участвующих профилей.
+const buildMergePlan = async (db, { targetId, sourceIds }) => {
+  const summaries = await loadProfileSummaries(db, [targetId, ...sourceIds]);
+  const target = summaries.find((summary) => summary.id === targetId);
+  const sources = summaries.filter((summary) => summary.id !== targetId);
+
+  if (!target) {
+    return { status: 404, message: `Профиль ${targetId} не найден` };
+  }
+  const missing = sourceIds.filter((id) => !sources.some((source) => source.id === id));
+  if (missing.length) {
+    return { status: 404, message: `Профили не найдены: ${missing.join(', ')}` };
+  }
+
+  const primaryPhone = target.phones.find((item) => item.is_primary)?.phone || target.phones[0]?.phone;
+  if (!primaryPhone) {
+    return { status: 409, message: 'У целевого профиля нет номера телефона', code: 'TARGET_WITHOUT_PHONE' };
+  }
+
+  const movedPhones = sources.flatMap((source) => source.phones);
+  const plan = {
+    target,
+    sources,
+    primary_phone: primaryPhone,
+    phones_to_move: movedPhones.map((item) => item.phone),
+    visits_to_move: sources.reduce((sum, source) => sum + source.visits_total, 0),
+    balance_transfers: movedPhones
+      .filter((item) => item.balance !== 0)
+      .map((item) => ({ from_phone: item.phone, to_phone: primaryPhone, amount: item.balance })),
+    result: {
+      phones: [...target.phones, ...movedPhones].map((item) => item.phone),
+      visits_total: target.visits_total + sources.reduce((sum, source) => sum + source.visits_total, 0),
+      balance: target.balance + sources.reduce((sum, source) => sum + source.balance, 0)
+    }
+  };
+
+  const fingerprint = JSON.stringify(
+    summaries.map((summary) => [summary.id, summary.phones, summary.visits_total])
+  );
+  plan.confirmation = crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+
+  return { plan };
+};
+
+// Пустые контакты целевого профиля заполняются из присоединяемых, заметки объединяются.
+// Согласия не переносятся: их даёт сам гость, и они остаются такими, как в целевом профиле.
+const mergeProfileFields = (target, sources) => {
+  const pick = (field) => target[field] || sources.find((source) => source[field])?.[field] || null;
+  const notes = [target, ...sources].map((profile) => profile.notes).filter(Boolean);
+
+  return {
+    email: pick('email'),
+    telegram_chat_id: pick('telegram_chat_id'),
+    birthday: pick('birthday'),
+    notes: notes.length ? notes.join('\n---\n').slice(0, 2000) : null
+  };
+};
+
+// Счётчики визитов в bonuses_balance: визиты присоединённых номеров учитываются на основном номере
+const mergeCachedVisits = async (db, plan) => {
+  const phones = plan.phones_to_move;
+  if (!phones.length) {
+    return;
+  }
+
+  const sourceRows = await db.query(
+    `SELECT COALESCE(SUM(visits_total), 0)::int AS visits, MAX(last_date_visit) AS last_visit
+     FROM bonuses_balance
+     WHERE phone IN (${placeholders(phones)})`,
+    phones
+  );
+  const { visits, last_visit: lastVisit } = sourceRows.rows[0];
+
+  await db.query(
+    `UPDATE bonuses_balance SET visits_total = 0 WHERE phone IN (${placeholders(phones)})`,
+    phones
+  );
+
+  const updated = await db.query(
+    `UPDATE bonuses_balance
+     SET visits_total = COALESCE(visits_total, 0) + $2,
+         last_date_visit = GREATEST(COALESCE(last_date_visit, $3::date), $3::date)
+     WHERE phone = $1
+     RETURNING id`,
+    [plan.primary_phone, visits, lastVisit]
+  );
+
+  if (!updated.rows.length) {
+    await db.query(
+      `INSERT INTO bonuses_balance
+        (phone, last_name, first_name, bonus_balances, visits_total, last_date_visit)
+       VALUES ($1, $2, $3, 0, $4, $5)`,
+      [plan.primary_phone, plan.target.last_name, plan.target.first_name, visits, lastVisit]
+    );
+  }
+};
+
+// Выполняет объединение по плану. Вызывать внутри транзакции под lockGuestBalances всех номеров.
+const executeMerge = async (db, plan, { actorId }) => {
+  const sourceIds = plan.sources.map((source) => source.id);
+  const comment = `Объединение профилей: ${sourceIds.join(', ')} → ${plan.target.id}`;
+  const fields = mergeProfileFields(plan.target, plan.sources);
+
+  await db.query(
+    `UPDATE guest_profile_phones
+     SET profile_id = $1, is_primary = FALSE
+     WHERE profile_id IN (${placeholders(sourceIds, 1)})`,
+    [plan.target.id, ...sourceIds]
+  );
+  await db.query(
+    `UPDATE guests SET profile_id = $1 WHERE profile_id IN (${placeholders(sourceIds, 1)})`,
+    [plan.target.id, ...sourceIds]
+  );
+  await db.query(
+    `UPDATE guest_notifications SET profile_id = $1 WHERE profile_id IN (${placeholders(sourceIds, 1)})`,
+    [plan.target.id, ...sourceIds]
+  );
+
+  for (const transfer of plan.balance_transfers) {
+    await appendTransaction(db, {
+      phone: transfer.from_phone,
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      amount: -transfer.amount,
+      comment: `${comment}: перенос на ${transfer.to_phone}`,
+      actorId
+    });
+    await appendTransaction(db, {
+      phone: transfer.to_phone,
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      amount: transfer.amount,
+      comment: `${comment}: перенос с ${transfer.from_phone}`,
+      actorId
+    });
+  }
+
+  await mergeCachedVisits(db, plan);
+  for (const phone of [plan.primary_phone, ...plan.phones_to_move]) {
+    await syncCachedBalance(db, phone);
+  }
+
+  await db.query(
+    `UPDATE guest_profiles
+     SET email = $2, telegram_chat_id = $3, birthday = $4, notes = $5, updated_at = NOW(), updated_by = $6
+     WHERE id = $1`,
+    [plan.target.id, fields.email, fields.telegram_chat_id, fields.birthday, fields.notes, actorId || null]
+  );
+  await db.query(`DELETE FROM guest_profiles WHERE id IN (${placeholders(sourceIds)})`, sourceIds);
+};
+
+// Собирает план под блокировкой всех номеров, сверяет его с предпросмотром и выполняет объединение
+const mergeProfiles = async (db, { targetId, sourceIds, confirmation, actorId }) => {
+  const draft = await buildMergePlan(db, { targetId, sourceIds });
+  if (draft.status) {
+    return draft;
+  }
+
+  await lockGuestBalances(db, [draft.plan.primary_phone, ...draft.plan.phones_to_move]);
+  const { plan, ...error } = await buildMergePlan(db, { targetId, sourceIds });
+  if (error.status) {
+    return error;
+  }
+
+  if (confirmation !== plan.confirmation) {
+    return {
+      status: 409,
+      message: 'Данные профилей изменились после предпросмотра. Проверьте план и подтвердите снова.',
+      code: 'MERGE_PLAN_CHANGED',
+      plan
+    };
+  }
+
+  await executeMerge(db, plan, { actorId });
+  return { plan };
+};
+
+module.exports = {
+  findDuplicates,
+  validateMergeInput,
+  buildMergePlan,
+  mergeProfiles
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Ключ сессионной advisory-блокировки: два одновременных запуска не применяют миграции параллельно
+const MIGRATION_LOCK_KEY = 73_410_015;
+
+const CREATE_MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(20) PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+)`;
+
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql, 'utf8').digest('hex');
+
+// Файлы вида 011_name.sql по возрастанию номера. Номер версии должен быть уникальным.
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { version: match[1], name: file, sql, checksum: checksumOf(sql) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const duplicate = migrations.find(
+    (migration, index) => index > 0 && Number(migration.version) === Number(migrations[index - 1].version)
+  );
+  if (duplicate) {
+    throw new Error(`Несколько файлов миграций с номером ${duplicate.version} в ${dir}`);
+  }
+
+  return migrations;
+};
+
+const loadAppliedMigrations = async (db) => {
+  const tableResult = await db.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!tableResult.rows[0].exists) {
+    return [];
+  }
+
+  const result = await db.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+// Сравнивает файлы с записями schema_migrations:
+// pending — ещё не применены, modified — файл изменён после применения,
+// unknown — применены, но файла нет (база новее кода)
+const getMigrationStatus = async (db, migrations) => {
+  const applied = await loadAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const versions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied,
+    pending: migrations.filter((migration) => !appliedByVersion.has(migration.version)),
+    modified: migrations.filter((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      return row && row.checksum !== migration.checksum;
+    }),
+    unknown: applied.filter((row) => !versions.has(row.version))
+  };
+};
+
+// Каждая миграция применяется в своей транзакции вместе с записью в schema_migrations:
+// при ошибке откатывается только она, уже применённые остаются.
+const applyMigration = async (client, migration) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration.sql);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    error.message = `Миграция ${migration.name} не применена: ${error.message}`;
+    throw error;
+  }
+};
+
+// Применяет все ещё не применённые миграции через отдельное подключение без ограничения времени запроса.
+// Возвращает список применённых файлов.
+const runMigrations = async (connectionConfig, { dir = MIGRATIONS_DIR, log = console.log } = {}) => {
+  const migrations = loadMigrations(dir);
+  const client = new Client({ ...connectionConfig, statement_timeout: 0, query_timeout: 0 });
+  await client.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(CREATE_MIGRATIONS_TABLE_SQL);
+
+    const { pending } = await getMigrationStatus(client, migrations);
+    for (const migration of pending) {
+      log(`⏫ Применяется миграция ${migration.name}`);
+      await applyMigration(client, migration);
+    }
+
+    return pending.map((migration) => migration.name);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    await client.end();
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
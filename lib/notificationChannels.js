@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendMail } = require('./smtp');
+
+// Каналы уведомлений гостям. NOTIFICATION_CHANNELS задаёт порядок предпочтения: сообщение уходит
+// в первый канал, для которого у гостя есть адрес (чат Telegram, email или телефон).
+// Транспорт каждого канала выбирается своей переменной (SMS_TRANSPORT, EMAIL_TRANSPORT,
+// TELEGRAM_TRANSPORT); file пишет сообщения строками JSON в NOTIFICATION_FILE_PATH — для разработки
+// и тестов. Транспорт — объект с методом send({ recipient, subject, text }).
+
+const DEFAULT_FILE_PATH = path.join(os.tmpdir(), 'u4s-loyalty-notifications.jsonl');
+
+const createFileTransport = (channel) => (env) => {
+  const filePath = env.NOTIFICATION_FILE_PATH || DEFAULT_FILE_PATH;
+
+  return {
+    target: filePath,
+    send: async ({ recipient, subject, text }) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(
+        filePath,
+        `${JSON.stringify({ channel, recipient, subject, text, sent_at: new Date().toISOString() })}\n`
+      );
+    }
+  };
+};
+
+const parseTimeout = (env) => Number.parseInt(env.NOTIFICATION_TIMEOUT_MS, 10) || 10_000;
+
+// Ответ провайдера с кодом не 2xx превращается в ошибку с началом тела ответа
+const postJson = async (url, { headers = {}, body, timeoutMs }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+};
+
+// SMS-шлюз с JSON API: POST SMS_GATEWAY_URL { phone: "+7...", text }, токен в Authorization: Bearer
+const createSmsGatewayTransport = (env) => {
+  const url = env.SMS_GATEWAY_URL;
+  if (!url) {
+    throw new Error('Для SMS_TRANSPORT=http укажите адрес шлюза в SMS_GATEWAY_URL');
+  }
+  const timeoutMs = parseTimeout(env);
+
+  return {
+    target: url,
+    send: ({ recipient, text }) =>
+      postJson(url, {
+        headers: env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${env.SMS_GATEWAY_TOKEN}` } : {},
+        body: { phone: `+7${recipient}`, text },
+        timeoutMs
+      })
+  };
+};
+
+const createSmtpTransport = (env) => {
+  const host = env.SMTP_HOST;
+  const from = env.SMTP_FROM;
+  if (!host || !from) {
+    throw new Error('Для EMAIL_TRANSPORT=smtp укажите SMTP_HOST и адрес отправителя в SMTP_FROM');
+  }
+  const secure = String(env.SMTP_SECURE || '').toLowerCase() === 'true';
+  const requireTls = String(env.SMTP_REQUIRE_TLS || '').toLowerCase() !== 'false';
+  const port = Number.parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587);
+  const timeoutMs = parseTimeout(env);
+
+  return {
+    target: `${host}:${port}`,
+    send: ({ recipient, subject, text }) =>
+      sendMail({
+        host,
+        port,
+        secure,
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+        from,
+        to: recipient,
+        subject,
+        text,
+        timeoutMs,
+        requireTls
+      })
+  };
+};
+
+const createTelegramBotTransport = (env) => {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    throw new Error('Для TELEGRAM_TRANSPORT=bot укажите токен бота в TELEGRAM_BOT_TOKEN');
+  }
+  const timeoutMs = parseTimeout(env);
+
+  return {
+    target: 'Telegram Bot API',
+    send: ({ recipient, text }) =>
+      postJson(`https://api.telegram.org/bot${token}/sendMessage`, {
+        body: { chat_id: recipient, text },
+        timeoutMs
+      })
+  };
+};
+
+// Для каждого канала: переменная выбора транспорта, поле адреса гостя и доступные транспорты
+const NOTIFICATION_CHANNELS = {
+  telegram: {
+    transportVariable: 'TELEGRAM_TRANSPORT',
+    recipientField: 'telegram_chat_id',
+    transports: { file: createFileTransport('telegram'), bot: createTelegramBotTransport }
+  },
+  email: {
+    transportVariable: 'EMAIL_TRANSPORT',
+    recipientField: 'email',
+    transports: { file: createFileTransport('email'), smtp: createSmtpTransport }
+  },
+  sms: {
+    transportVariable: 'SMS_TRANSPORT',
+    recipientField: 'phone',
+    transports: { file: createFileTransport('sms'), http: createSmsGatewayTransport }
+  }
+};
+
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+// Без NOTIFICATION_CHANNELS в production уведомления выключены: транспорт file оставил бы
+// сообщения гостям в локальном файле. По той же причине в production транспорт каждого выбранного
+// канала задаётся явно. Вне production по умолчанию все каналы пишут в файл.
+const createNotificationChannels = (env = process.env) => {
+  const isProduction = (env.NODE_ENV || 'production') === 'production';
+  const names = parseList(env.NOTIFICATION_CHANNELS || (isProduction ? '' : 'telegram,email,sms'));
+
+  if (!names.length) {
+    return null;
+  }
+
+  return names.map((name) => {
+    const channel = NOTIFICATION_CHANNELS[name];
+    if (!channel) {
+      throw new Error(
+        `Неизвестный канал «${name}» в NOTIFICATION_CHANNELS. Допустимые значения: ${Object.keys(
+          NOTIFICATION_CHANNELS
+        ).join(', ')}`
+      );
+    }
+
+    const transportName = String(env[channel.transportVariable] || (isProduction ? '' : 'file'))
+      .trim()
+      .toLowerCase();
+    if (!transportName) {
+      throw new Error(
+        `Для канала «${name}» укажите транспорт в ${channel.transportVariable}: ${Object.keys(
+          channel.transports
+        ).join(', ')}`
+      );
+    }
+
+    const factory = channel.transports[transportName];
+    if (!factory) {
+      throw new Error(
+        `Неизвестный ${channel.transportVariable} «${transportName}». Допустимые значения: ${Object.keys(
+          channel.transports
+        ).join(', ')}`
+      );
+    }
+
+    return {
+      name,
+      transport: transportName,
+      recipientField: channel.recipientField,
+      ...factory(env)
+    };
+  });
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  createNotificationChannels
+};
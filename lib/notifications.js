@@ -0,0 +1,300 @@
+const { withTransaction } = require('./db');
+const { loadLoyaltyProgram } = require('./loyaltyProgram');
+const { findTier } = require('./tiers');
+const { logger } = require('./logger');
+
+// Уведомления гостям о начисленных баллах и новом уровне. Сообщение ставится в guest_notifications
+// в транзакции выезда и отправляется фоновой задачей, поэтому ответ ресепшену не ждёт провайдера,
+// а откаченный выезд ничего не отправляет. Пишем только гостям с согласием на рассылку
+// (marketing_consent); согласие проверяется ещё раз перед отправкой.
+
+const NOTIFICATION_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const PROGRAM_NAME = '«Усадьба Четыре сезона»';
+const RETRY_BASE_MS = 60_000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETENTION_DAYS = 90;
+const ERROR_MAX_LENGTH = 500;
+
+const placeholders = (values, offset = 0) =>
+  values.map((_, index) => `$${index + offset + 1}`).join(', ');
+
+// 1 балл, 2 балла, 5 баллов, 21 балл, 111 баллов
+const formatPoints = (value) => {
+  const count = Math.abs(value);
+  const lastTwo = count % 100;
+  const last = count % 10;
+  let word = 'баллов';
+  if (lastTwo < 11 || lastTwo > 14) {
+    if (last === 1) word = 'балл';
+    else if (last >= 2 && last <= 4) word = 'балла';
+  }
+  return `${value.toLocaleString('ru-RU')} ${word}`;
+};
+
+const greeting = (firstName) => (firstName ? `${firstName}, ` : '');
+
+// Шаблоны: render получает данные выезда и возвращает тему (для email) и текст
+const NOTIFICATION_TEMPLATES = {
+  points_earned: ({ firstName, bonusEarned, balance }) => ({
+    subject: `Начислено ${formatPoints(bonusEarned)}`,
+    text:
+      `${greeting(firstName)}спасибо, что выбрали ${PROGRAM_NAME}! ` +
+      `За проживание начислено ${formatPoints(bonusEarned)}. Ваш баланс: ${formatPoints(balance)}.`
+  }),
+  tier_upgraded: ({ firstName, tier, bonusEarned, balance }) => ({
+    subject: `Ваш новый уровень — ${tier.name}`,
+    text:
+      `${greeting(firstName)}поздравляем! Ваш уровень в программе лояльности ${PROGRAM_NAME} — ` +
+      `«${tier.name}»: теперь начисляем ${tier.accrualPercent}% от суммы проживания.` +
+      (bonusEarned > 0 ? ` За этот визит начислено ${formatPoints(bonusEarned)}.` : '') +
+      ` Ваш баланс: ${formatPoints(balance)}.`
+  })
+};
+
+// Выбирает шаблон для выезда: новый уровень важнее начисления, одно сообщение на выезд
+const pickCheckoutTemplate = (program, { previousLevel, loyaltyLevel, bonusEarned }) => {
+  const tier = findTier(program, loyaltyLevel);
+  const previousTier = previousLevel ? findTier(program, previousLevel) : null;
+
+  if (tier && previousTier && tier.position > previousTier.position) {
+    return { template: 'tier_upgraded', tier };
+  }
+  if (bonusEarned > 0) {
+    return { template: 'points_earned', tier };
+  }
+  return null;
+};
+
+// Первый по порядку канал, для которого у гостя есть адрес
+const pickChannel = (channels, contacts) => {
+  for (const channel of channels) {
+    const recipient = contacts[channel.recipientField];
+    if (recipient) {
+      return { channel, recipient: String(recipient) };
+    }
+  }
+  return null;
+};
+
+// Ставит в очередь уведомление о выезде. Вызывать в транзакции выезда после registerCheckout.
+const enqueueCheckoutNotification = async (db, channels, { guest, accrual }) => {
+  if (!guest.profile_id) {
+    return null;
+  }
+
+  const profileResult = await db.query(
+    'SELECT id, first_name, email, telegram_chat_id, marketing_consent FROM guest_profiles WHERE id = $1',
+    [guest.profile_id]
+  );
+  const profile = profileResult.rows[0];
+  if (!profile?.marketing_consent) {
+    return null;
+  }
+
+  const bonusEarned = Number(guest.bonus_earned) || 0;
+  const choice = pickCheckoutTemplate(await loadLoyaltyProgram(db), {
+    previousLevel: accrual.previousLevel,
+    loyaltyLevel: accrual.loyaltyLevel,
+    bonusEarned
+  });
+  const target = pickChannel(channels, { ...profile, phone: guest.guest_phone });
+  if (!choice || !target) {
+    return null;
+  }
+
+  const { subject, text } = NOTIFICATION_TEMPLATES[choice.template]({
+    firstName: profile.first_name,
+    tier: choice.tier,
+    bonusEarned,
+    balance: accrual.currentBalance
+  });
+
+  const result = await db.query(
+    `INSERT INTO guest_notifications (profile_id, guest_id, template, channel, recipient, subject, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [profile.id, guest.id, choice.template, target.channel.name, target.recipient, subject, text]
+  );
+  return result.rows[0].id;
+};
+
+// 1 мин, 2 мин, 4 мин, ... но не дольше часа между попытками
+const getRetryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+// Забирает пачку сообщений, которым пора уходить, и откладывает их на время отправки,
+// чтобы другой экземпляр сервера не отправил их параллельно
+const claimNotifications = (pool, { batchSize, leaseMs }) =>
+  withTransaction(pool, async (db) => {
+    const due = await db.query(
+      `SELECT id
+       FROM guest_notifications
+       WHERE status = $1 AND next_attempt_at <= $3
+       ORDER BY next_attempt_at, id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [NOTIFICATION_STATUSES.PENDING, batchSize, new Date()]
+    );
+    if (!due.rows.length) {
+      return [];
+    }
+
+    const ids = due.rows.map((row) => row.id);
+    const claimed = await db.query(
+      `UPDATE guest_notifications
+       SET next_attempt_at = $1
+       WHERE id IN (${placeholders(ids, 1)})
+       RETURNING *`,
+      [new Date(Date.now() + leaseMs), ...ids]
+    );
+    return claimed.rows.sort((a, b) => Number(a.id) - Number(b.id));
+  });
+
+const hasMarketingConsent = async (pool, profileId) => {
+  const result = await pool.query('SELECT marketing_consent FROM guest_profiles WHERE id = $1', [profileId]);
+  return Boolean(result.rows[0]?.marketing_consent);
+};
+
+// Одна попытка отправки: { status, error }
+const sendNotification = async (pool, notification, channelByName) => {
+  if (!(await hasMarketingConsent(pool, notification.profile_id))) {
+    return { status: NOTIFICATION_STATUSES.SKIPPED, error: 'Гость отозвал согласие на рассылку' };
+  }
+
+  const channel = channelByName.get(notification.channel);
+  if (!channel) {
+    return { status: NOTIFICATION_STATUSES.FAILED, error: `Канал ${notification.channel} не настроен` };
+  }
+
+  try {
+    await channel.send({
+      recipient: notification.recipient,
+      subject: notification.subject,
+      text: notification.message
+    });
+    return { status: NOTIFICATION_STATUSES.SENT, error: null };
+  } catch (error) {
+    return {
+      status: NOTIFICATION_STATUSES.PENDING,
+      error: error.name === 'TimeoutError' ? 'Провайдер не ответил вовремя' : error.message
+    };
+  }
+};
+
+const recordAttempt = async (pool, notification, { status, error }, { maxAttempts }) => {
+  const attempts = notification.attempts + 1;
+  const finalStatus =
+    status === NOTIFICATION_STATUSES.PENDING && attempts >= maxAttempts ? NOTIFICATION_STATUSES.FAILED : status;
+
+  await pool.query(
+    `UPDATE guest_notifications
+     SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5,
+         sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END
+     WHERE id = $1`,
+    [
+      notification.id,
+      finalStatus,
+      attempts,
+      error ? String(error).slice(0, ERROR_MAX_LENGTH) : null,
+      new Date(Date.now() + (finalStatus === NOTIFICATION_STATUSES.PENDING ? getRetryDelayMs(attempts) : 0))
+    ]
+  );
+  return finalStatus;
+};
+
+// Отправляет всё, что накопилось к этому моменту; возвращает число сообщений по итоговым статусам
+const dispatchPendingNotifications = async (
+  pool,
+  channels,
+  { batchSize = 20, timeoutMs = 10_000, maxAttempts = 5 } = {}
+) => {
+  const summary = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+  const channelByName = new Map(channels.map((channel) => [channel.name, channel]));
+
+  await pool.query(`DELETE FROM guest_notifications WHERE created_at < $1 AND status <> $2`, [
+    new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    NOTIFICATION_STATUSES.PENDING
+  ]);
+
+  for (;;) {
+    const batch = await claimNotifications(pool, { batchSize, leaseMs: timeoutMs + 60_000 });
+    if (!batch.length) {
+      return summary;
+    }
+
+    for (const notification of batch) {
+      const result = await sendNotification(pool, notification, channelByName);
+      const status = await recordAttempt(pool, notification, result, { maxAttempts });
+      if (status === NOTIFICATION_STATUSES.PENDING) {
+        summary.retried += 1;
+      } else {
+        summary[status] += 1;
+      }
+    }
+  }
+};
+
+// Очередь уведомлений с фоновой отправкой раз в intervalMs.
+// Повторный запуск не начинается, пока не закончился предыдущий.
+const createNotifier = ({ pool, channels, intervalMs, ...options }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await dispatchPendingNotifications(pool, channels, options);
+      if (summary.retried || summary.failed) {
+        logger.warn('Уведомления отправлены не все', summary);
+      }
+    } catch (error) {
+      logger.error('Ошибка фоновой отправки уведомлений', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (!intervalMs || timer) {
+      return;
+    }
+    timer = setTimeout(function scheduleNext() {
+      void tick();
+      timer = setTimeout(scheduleNext, intervalMs);
+      timer.unref?.();
+    }, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    channels,
+    enqueueCheckoutNotification: (db, registered) => enqueueCheckoutNotification(db, channels, registered),
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_TEMPLATES,
+  formatPoints,
+  pickCheckoutTemplate,
+  enqueueCheckoutNotification,
+  dispatchPendingNotifications,
+  createNotifier
+};
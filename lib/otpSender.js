@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Доставка одноразовых кодов гостям. Транспорт выбирается переменной OTP_TRANSPORT:
+// log — код пишется в журнал сервера, file — строкой JSON в файл OTP_FILE_PATH (для разработки и тестов).
+// Новый канал (SMS-шлюз и т. п.) добавляется в OTP_TRANSPORTS: фабрика получает env и возвращает
+// объект с методом send({ phone, code, text }); code — null, если номер не участвует в программе.
+
+const formatOtpText = (code, ttlMinutes) =>
+  `Код для просмотра баланса «Усадьба Четыре сезона»: ${code}. Действует ${ttlMinutes} мин.`;
+
+// Ответ на запрос кода для номера вне программы: сообщение уходит владельцу номера, как и код
+const formatUnknownPhoneText = () =>
+  'Запрошен код для просмотра баланса «Усадьба Четыре сезона», но этот номер не участвует в программе лояльности.';
+
+const createLogTransport = () => ({
+  send: async ({ phone, text }) => {
+    logger.info('Код для гостя', { phone: `+7${phone}`, text });
+  }
+});
+
+const createFileTransport = (env) => {
+  const filePath = env.OTP_FILE_PATH;
+  if (!filePath) {
+    throw new Error('Для OTP_TRANSPORT=file укажите путь к файлу в OTP_FILE_PATH');
+  }
+
+  return {
+    send: async ({ phone, code, text }) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(
+        filePath,
+        `${JSON.stringify({ phone, code, text, sent_at: new Date().toISOString() })}\n`
+      );
+    }
+  };
+};
+
+const OTP_TRANSPORTS = {
+  log: createLogTransport,
+  file: createFileTransport
+};
+
+// Без OTP_TRANSPORT в production коды никуда не отправляются и самообслуживание выключено:
+// транспорт log выдал бы коды в общий журнал.
+const createOtpSender = (env = process.env) => {
+  const isProduction = (env.NODE_ENV || 'production') === 'production';
+  const name = String(env.OTP_TRANSPORT || (isProduction ? '' : 'log')).trim().toLowerCase();
+
+  if (!name) {
+    return null;
+  }
+
+  const factory = OTP_TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(
+      `Неизвестный OTP_TRANSPORT «${name}». Допустимые значения: ${Object.keys(OTP_TRANSPORTS).join(', ')}`
+    );
+  }
+
+  return { name, ...factory(env) };
+};
+
+module.exports = {
+  OTP_TRANSPORTS,
+  formatOtpText,
+  formatUnknownPhoneText,
+  createOtpSender
+};
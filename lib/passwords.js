@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Формат хранения: scrypt$N$r$p$<соль base64>$<хеш base64>
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derived = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, storedHash) => {
+  if (typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [scheme, N, r, p, saltB64, hashB64] = storedHash.split('$');
+
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword
+};
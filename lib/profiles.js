@@ -0,0 +1,319 @@
+const { normalizePhoneDigits, parseDateParam } = require('./validation');
+
+const MAX_PROFILE_PHONES = 5;
+const MAX_NOTES_LENGTH = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TELEGRAM_CHAT_ID_PATTERN = /^-?\d{1,20}$/;
+
+const PROFILE_COLUMNS = `id, last_name, first_name, email, telegram_chat_id, birthday, data_processing_consent,
+  marketing_consent, consent_updated_at, notes, created_at, created_by, updated_at, updated_by`;
+
+const CONSENT_FIELDS = ['data_processing_consent', 'marketing_consent'];
+
+const trimOrNull = (value) => {
+  const trimmed = String(value ?? '').trim();
+  return trimmed || null;
+};
+
+// Номера профиля: первый в списке — основной
+const validatePhones = (input, errors) => {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_PROFILE_PHONES) {
+    errors.push(`Укажите от 1 до ${MAX_PROFILE_PHONES} номеров телефона списком phones.`);
+    return undefined;
+  }
+
+  const phones = input.map(normalizePhoneDigits);
+  if (phones.some((phone) => !phone)) {
+    errors.push('Каждый номер телефона должен содержать 10 цифр.');
+    return undefined;
+  }
+  if (new Set(phones).size !== phones.length) {
+    errors.push('Номера телефонов в профиле не должны повторяться.');
+    return undefined;
+  }
+
+  return phones;
+};
+
+// Проверяет поля профиля; при isCreate обязательны фамилия, имя и хотя бы один номер
+const validateProfileInput = (input, { isCreate }) => {
+  const errors = [];
+  const values = {};
+
+  const invalidName = ['last_name', 'first_name'].some((field) => {
+    if (!isCreate && input[field] === undefined) {
+      return false;
+    }
+    values[field] = String(input[field] ?? '').trim();
+    return !values[field] || values[field].length > 120;
+  });
+  if (invalidName) {
+    errors.push('Фамилия и имя обязательны и не должны превышать 120 символов.');
+  }
+
+  if (input.email !== undefined) {
+    const email = trimOrNull(input.email);
+    if (email && (email.length > 254 || !EMAIL_PATTERN.test(email))) {
+      errors.push('Некорректный адрес электронной почты.');
+    }
+    values.email = email ? email.toLowerCase() : null;
+  }
+
+  // Идентификатор чата гостя с ботом усадьбы — для уведомлений в Telegram
+  if (input.telegram_chat_id !== undefined) {
+    const chatId = trimOrNull(input.telegram_chat_id);
+    if (chatId && !TELEGRAM_CHAT_ID_PATTERN.test(chatId)) {
+      errors.push('Идентификатор чата Telegram должен состоять из цифр.');
+    }
+    values.telegram_chat_id = chatId;
+  }
+
+  if (input.birthday !== undefined) {
+    const raw = trimOrNull(input.birthday);
+    const birthday = raw ? parseDateParam(raw) : null;
+    if (raw && (!birthday || birthday < '1900-01-01' || new Date(birthday) > new Date())) {
+      errors.push('Некорректная дата рождения.');
+    }
+    values.birthday = birthday;
+  }
+
+  CONSENT_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'boolean') {
+        errors.push(`Поле ${field} должно быть логическим значением.`);
+      }
+      values[field] = input[field];
+    }
+  });
+
+  if (input.notes !== undefined) {
+    const notes = trimOrNull(input.notes);
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`Заметки не должны превышать ${MAX_NOTES_LENGTH} символов.`);
+    }
+    values.notes = notes;
+  }
+
+  if (isCreate || input.phones !== undefined) {
+    values.phones = validatePhones(input.phones, errors);
+  }
+
+  return { errors, values };
+};
+
+const findProfileIdByPhone = async (db, phone) => {
+  const result = await db.query('SELECT profile_id FROM guest_profile_phones WHERE phone = $1', [phone]);
+  return result.rows[0]?.profile_id || null;
+};
+
+// Основной номер профиля, к которому привязан phone. После объединения профилей баллы и новые
+// визиты учитываются на основном номере, даже если гость назвал присоединённый.
+const resolvePrimaryPhone = async (db, phone) => {
+  const result = await db.query(
+    `SELECT main.phone
+     FROM guest_profile_phones own
+     JOIN guest_profile_phones main ON main.profile_id = own.profile_id AND main.is_primary
+     WHERE own.phone = $1`,
+    [phone]
+  );
+  return result.rows[0]?.phone || phone;
+};
+
+const loadProfilePhones = async (db, profileIds) => {
+  if (!profileIds.length) {
+    return new Map();
+  }
+
+  const result = await db.query(
+    `SELECT profile_id, phone, is_primary
+     FROM guest_profile_phones
+     WHERE profile_id IN (${profileIds.map((_, index) => `$${index + 1}`).join(', ')})
+     ORDER BY is_primary DESC, created_at, phone`,
+    profileIds
+  );
+
+  const phonesByProfile = new Map(profileIds.map((id) => [id, []]));
+  for (const row of result.rows) {
+    phonesByProfile.get(row.profile_id)?.push({ phone: row.phone, is_primary: row.is_primary });
+  }
+  return phonesByProfile;
+};
+
+// Строки guest_profiles с номерами телефонов
+const attachPhones = async (db, rows) => {
+  const phonesByProfile = await loadProfilePhones(db, rows.map((row) => row.id));
+  return rows.map((row) => ({ ...row, phones: phonesByProfile.get(row.id) || [] }));
+};
+
+// Номера, по которым уже есть визиты или операции с баллами: их нельзя просто отвязать от профиля
+const findPhonesWithHistory = async (db, phones) => {
+  if (!phones.length) {
+    return [];
+  }
+
+  const placeholders = phones.map((_, index) => `$${index + 1}`).join(', ');
+  const result = await db.query(
+    `SELECT guest_phone AS phone FROM guests WHERE guest_phone IN (${placeholders})
+     UNION
+     SELECT phone FROM bonus_transactions WHERE phone IN (${placeholders})`,
+    phones
+  );
+  return result.rows.map((row) => row.phone);
+};
+
+const replaceProfilePhones = async (db, profileId, phones) => {
+  await db.query('DELETE FROM guest_profile_phones WHERE profile_id = $1', [profileId]);
+  for (const [index, phone] of phones.entries()) {
+    await db.query(
+      'INSERT INTO guest_profile_phones (phone, profile_id, is_primary) VALUES ($1, $2, $3)',
+      [phone, profileId, index === 0]
+    );
+  }
+};
+
+// Профиль с номерами, сводкой визитов по всем номерам и последними визитами
+const loadProfile = async (db, id, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT ${PROFILE_COLUMNS} FROM guest_profiles WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (!result.rows.length) {
+    return null;
+  }
+
+  const [profile] = await attachPhones(db, result.rows);
+  const phones = profile.phones.map((item) => item.phone);
+
+  const statsResult = await db.query(
+    `SELECT COUNT(*)::int AS visits_total, MAX(checkin_date) AS last_visit_date,
+            COALESCE(SUM(total_amount), 0) AS total_spend
+     FROM guests
+     WHERE profile_id = $1 AND voided_at IS NULL`,
+    [id]
+  );
+  const balanceResult = phones.length
+    ? await db.query(
+        `SELECT COALESCE(SUM(amount), 0)::int AS balance
+         FROM bonus_transactions
+         WHERE phone IN (${phones.map((_, index) => `$${index + 1}`).join(', ')})`,
+        phones
+      )
+    : { rows: [{ balance: 0 }] };
+  const visitsResult = await db.query(
+    `SELECT id, guest_phone, checkin_date, shelter_booking_id, total_amount, bonus_spent,
+            bonus_earned, loyalty_level, created_at, voided_at
+     FROM guests
+     WHERE profile_id = $1
+     ORDER BY checkin_date DESC, id DESC
+     LIMIT 20`,
+    [id]
+  );
+
+  const stats = statsResult.rows[0];
+  return {
+    ...profile,
+    stats: {
+      visits_total: stats.visits_total,
+      last_visit_date: stats.last_visit_date,
+      total_spend: Number(stats.total_spend) || 0,
+      balance: balanceResult.rows[0].balance
+    },
+    recent_visits: visitsResult.rows
+  };
+};
+
+const createProfile = async (db, values, actorId) => {
+  const hasConsent = CONSENT_FIELDS.some((field) => values[field] !== undefined);
+  const result = await db.query(
+    `INSERT INTO guest_profiles
+      (last_name, first_name, email, telegram_chat_id, birthday, data_processing_consent,
+       marketing_consent, consent_updated_at, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      values.last_name,
+      values.first_name,
+      values.email ?? null,
+      values.telegram_chat_id ?? null,
+      values.birthday ?? null,
+      values.data_processing_consent ?? false,
+      values.marketing_consent ?? false,
+      hasConsent ? new Date() : null,
+      values.notes ?? null,
+      actorId || null
+    ]
+  );
+  const { id } = result.rows[0];
+
+  await replaceProfilePhones(db, id, values.phones);
+  return id;
+};
+
+// Обновляет только переданные поля. Смена имени переносится в bonuses_balance,
+// чтобы поиск и форма выезда показывали актуальные данные.
+const updateProfile = async (db, existing, values, actorId) => {
+  const assignments = [];
+  const params = [];
+
+  const push = (column, value) => {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  };
+
+  ['last_name', 'first_name', 'email', 'telegram_chat_id', 'birthday', 'notes', ...CONSENT_FIELDS].forEach((field) => {
+    if (values[field] !== undefined) push(field, values[field]);
+  });
+
+  if (CONSENT_FIELDS.some((field) => values[field] !== undefined && values[field] !== existing[field])) {
+    push('consent_updated_at', new Date());
+  }
+
+  push('updated_by', actorId || null);
+  params.push(existing.id);
+  await db.query(
+    `UPDATE guest_profiles
+     SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $${params.length}`,
+    params
+  );
+
+  if (values.phones) {
+    await replaceProfilePhones(db, existing.id, values.phones);
+  }
+
+  if (values.last_name !== undefined || values.first_name !== undefined) {
+    await db.query(
+      `UPDATE bonuses_balance
+       SET last_name = $2, first_name = $3
+       WHERE phone IN (SELECT phone FROM guest_profile_phones WHERE profile_id = $1)`,
+      [
+        existing.id,
+        values.last_name ?? existing.last_name,
+        values.first_name ?? existing.first_name
+      ]
+    );
+  }
+};
+
+// Профиль для номера из выезда: существующий или новый с этим номером как основным.
+// Вызывать внутри транзакции под блокировкой баланса номера.
+const ensureProfileForPhone = async (db, { phone, lastName, firstName, actorId }) => {
+  const existingId = await findProfileIdByPhone(db, phone);
+  if (existingId) {
+    return existingId;
+  }
+
+  return createProfile(db, { last_name: lastName, first_name: firstName, phones: [phone] }, actorId);
+};
+
+module.exports = {
+  validateProfileInput,
+  findProfileIdByPhone,
+  resolvePrimaryPhone,
+  findPhonesWithHistory,
+  attachPhones,
+  loadProfile,
+  createProfile,
+  updateProfile,
+  ensureProfileForPhone
+};
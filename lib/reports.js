@@ -0,0 +1,212 @@
+const { parseDateParam } = require('./validation');
+const { toDateString } = require('./tiers');
+
+// Отчёты по выездам за период: выручка, баллы, новые и вернувшиеся гости, уровни лояльности.
+// Считаются по дате заезда, аннулированные выезды не учитываются.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 30;
+const REPORT_GROUPS = ['day', 'week', 'month'];
+const MAX_SERIES_POINTS = 750;
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Начало периода группировки, как date_trunc в PostgreSQL: неделя начинается с понедельника
+const truncateDate = (date, groupBy) => {
+  if (groupBy === 'month') return `${date.slice(0, 7)}-01`;
+  if (groupBy === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+};
+
+const nextPeriod = (date, groupBy) => {
+  if (groupBy === 'month') {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return next.toISOString().slice(0, 10);
+  }
+  return addDays(date, groupBy === 'week' ? 7 : 1);
+};
+
+// Число периодов между from и to без перебора: длинный диапазон отклоняется до построения списка
+const countPeriods = (from, to, groupBy) => {
+  const start = truncateDate(from, groupBy);
+  if (groupBy === 'month') {
+    const monthIndex = (date) => Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7));
+    return monthIndex(to) - monthIndex(start) + 1;
+  }
+  const days = Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS);
+  return Math.floor(days / (groupBy === 'week' ? 7 : 1)) + 1;
+};
+
+const listPeriods = (from, to, groupBy) => {
+  const periods = [];
+  for (let period = truncateDate(from, groupBy); period <= to; period = nextPeriod(period, groupBy)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+// Параметры from, to (включительно) и group_by. По умолчанию — последние 30 дней по сегодняшний.
+// group_by и предел числа точек проверяются только для ряда (series): у сводки точек нет.
+const parseReportQuery = (query, { series = false } = {}) => {
+  const fromDate = query.from ? parseDateParam(String(query.from)) : null;
+  const toDate = query.to ? parseDateParam(String(query.to)) : null;
+
+  if ((query.from && !fromDate) || (query.to && !toDate)) {
+    return { error: 'Некорректный формат даты в параметрах from и to.' };
+  }
+
+  const to = toDate || toDateString(new Date());
+  const from = fromDate || addDays(to, -(DEFAULT_PERIOD_DAYS - 1));
+  if (from > to) {
+    return { error: 'Дата from не может быть позже даты to.' };
+  }
+  if (!series) {
+    return { from, to };
+  }
+
+  const groupBy = String(query.group_by || 'day').trim().toLowerCase();
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    return { error: `Параметр group_by может быть только: ${REPORT_GROUPS.join(', ')}.` };
+  }
+  if (countPeriods(from, to, groupBy) > MAX_SERIES_POINTS) {
+    return {
+      error: `Слишком длинный период для группировки ${groupBy}: не больше ${MAX_SERIES_POINTS} точек.`
+    };
+  }
+
+  return { from, to, groupBy };
+};
+
+// Выезды периода с датой первого визита гостя. Гость — профиль, а для записей без профиля — телефон;
+// новый гость — тот, чей первый неаннулированный выезд попал в период.
+const PERIOD_CHECKOUTS_CTE = `
+  WITH active_checkouts AS (
+    SELECT *, COALESCE('p' || profile_id::text, guest_phone) AS guest_key
+    FROM guests
+    WHERE voided_at IS NULL
+  ),
+  first_visits AS (
+    SELECT guest_key, MIN(checkin_date) AS first_visit_date
+    FROM active_checkouts
+    GROUP BY guest_key
+  ),
+  period_checkouts AS (
+    SELECT active_checkouts.*, first_visits.first_visit_date
+    FROM active_checkouts
+    JOIN first_visits ON first_visits.guest_key = active_checkouts.guest_key
+    WHERE active_checkouts.checkin_date >= $1::date
+      AND active_checkouts.checkin_date <= $2::date
+  )
+`;
+
+const CHECKOUT_METRICS_SQL = `
+  COUNT(*)::int AS checkouts,
+  COALESCE(SUM(total_amount), 0) AS revenue,
+  COALESCE(ROUND(AVG(total_amount), 2), 0) AS average_bill,
+  COALESCE(SUM(bonus_earned), 0)::int AS points_accrued,
+  COALESCE(SUM(bonus_spent), 0)::int AS points_redeemed,
+  COUNT(DISTINCT guest_key)::int AS guests,
+  COUNT(DISTINCT CASE WHEN checkin_date = first_visit_date THEN guest_key END)::int AS new_guests
+`;
+
+const mapCheckoutMetrics = (row) => ({
+  checkouts: row.checkouts,
+  revenue: Number(row.revenue),
+  average_bill: Number(row.average_bill),
+  points_accrued: row.points_accrued,
+  points_redeemed: row.points_redeemed,
+  guests: row.guests,
+  new_guests: row.new_guests,
+  returning_guests: row.guests - row.new_guests
+});
+
+const EMPTY_METRICS = mapCheckoutMetrics({
+  checkouts: 0,
+  revenue: 0,
+  average_bill: 0,
+  points_accrued: 0,
+  points_redeemed: 0,
+  guests: 0,
+  new_guests: 0
+});
+
+// Сводка за период: итоги по выездам, разбивка по уровню на момент выезда
+// и текущее распределение гостей по уровням по таблице балансов
+const buildSummaryReport = async (db, { from, to }) => {
+  const totalsResult = await db.query(
+    `${PERIOD_CHECKOUTS_CTE} SELECT ${CHECKOUT_METRICS_SQL} FROM period_checkouts`,
+    [from, to]
+  );
+
+  const tiersResult = await db.query(
+    `${PERIOD_CHECKOUTS_CTE}
+     SELECT period_checkouts.loyalty_level, ${CHECKOUT_METRICS_SQL}
+     FROM period_checkouts
+     LEFT JOIN loyalty_tiers tiers ON tiers.name = period_checkouts.loyalty_level
+     GROUP BY period_checkouts.loyalty_level, tiers.position
+     ORDER BY tiers.position NULLS LAST, period_checkouts.loyalty_level`,
+    [from, to]
+  );
+
+  const distributionResult = await db.query(
+    `SELECT balances.loyalty_level,
+       COUNT(*)::int AS guests,
+       COALESCE(SUM(balances.bonus_balances), 0)::int AS points_balance
+     FROM bonuses_balance balances
+     LEFT JOIN loyalty_tiers tiers ON tiers.name = balances.loyalty_level
+     GROUP BY balances.loyalty_level, tiers.position
+     ORDER BY tiers.position NULLS LAST, balances.loyalty_level`
+  );
+
+  return {
+    period: { from, to },
+    totals: mapCheckoutMetrics(totalsResult.rows[0]),
+    tiers: tiersResult.rows.map((row) => ({
+      loyalty_level: row.loyalty_level,
+      ...mapCheckoutMetrics(row)
+    })),
+    tier_distribution: distributionResult.rows.map((row) => ({
+      loyalty_level: row.loyalty_level,
+      guests: row.guests,
+      points_balance: row.points_balance
+    }))
+  };
+};
+
+// Те же показатели по дням, неделям или месяцам. Периоды без выездов возвращаются с нулями;
+// «новый гость» — первый визит гостя вообще, а не первый в этом периоде.
+const buildSeriesReport = async (db, { from, to, groupBy }) => {
+  const result = await db.query(
+    `${PERIOD_CHECKOUTS_CTE}
+     SELECT date_trunc($3, checkin_date)::date AS period_start, ${CHECKOUT_METRICS_SQL}
+     FROM period_checkouts
+     GROUP BY period_start
+     ORDER BY period_start`,
+    [from, to, groupBy]
+  );
+
+  const byPeriod = new Map(
+    result.rows.map((row) => [toDateString(row.period_start), mapCheckoutMetrics(row)])
+  );
+
+  return {
+    period: { from, to },
+    group_by: groupBy,
+    data: listPeriods(from, to, groupBy).map((periodStart) => ({
+      period_start: periodStart,
+      ...(byPeriod.get(periodStart) || EMPTY_METRICS)
+    }))
+  };
+};
+
+module.exports = {
+  REPORT_GROUPS,
+  parseReportQuery,
+  buildSummaryReport,
+  buildSeriesReport
+};
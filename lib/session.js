@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE_NAME = 'loyalty_session';
+
+const SESSION_ERROR_CODES = {
+  MISSING: 'SESSION_REQUIRED',
+  EXPIRED: 'SESSION_EXPIRED',
+  REVOKED: 'SESSION_REVOKED'
+};
+
+// Сессия хранится целиком в подписанной cookie (подпись — COOKIE_SECRET через cookie-parser),
+// поэтому срок действия дублируется внутри значения и проверяется на сервере.
+// Отзыв сессии и актуальность роли проверяются отдельно — по записи в staff_sessions.
+const createSessionManager = ({ ttlMs, secureCookies }) => {
+  const cookieOptions = {
+    httpOnly: true,
+    signed: true,
+    secure: secureCookies,
+    sameSite: secureCookies ? 'none' : 'lax',
+    path: '/'
+  };
+
+  const issue = (res, payload = {}) => {
+    const now = Date.now();
+    const session = {
+      ...payload,
+      sid: payload.sid || crypto.randomUUID(),
+      iat: now,
+      exp: now + ttlMs
+    };
+
+    res.cookie(SESSION_COOKIE_NAME, JSON.stringify(session), {
+      ...cookieOptions,
+      maxAge: ttlMs
+    });
+
+    return session;
+  };
+
+  const clear = (res) => {
+    const { signed, ...clearOptions } = cookieOptions;
+    res.clearCookie(SESSION_COOKIE_NAME, clearOptions);
+  };
+
+  const read = (req) => {
+    const raw = req.signedCookies?.[SESSION_COOKIE_NAME];
+
+    if (!raw || typeof raw !== 'string') {
+      return { session: null, code: SESSION_ERROR_CODES.MISSING };
+    }
+
+    let session;
+    try {
+      session = JSON.parse(raw);
+    } catch (error) {
+      return { session: null, code: SESSION_ERROR_CODES.MISSING };
+    }
+
+    if (!session || typeof session.exp !== 'number') {
+      return { session: null, code: SESSION_ERROR_CODES.MISSING };
+    }
+
+    if (session.exp <= Date.now()) {
+      return { session: null, code: SESSION_ERROR_CODES.EXPIRED };
+    }
+
+    return { session, code: null };
+  };
+
+  return { issue, clear, read };
+};
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  SESSION_ERROR_CODES,
+  createSessionManager
+};
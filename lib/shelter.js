@@ -0,0 +1,199 @@
+const fs = require('fs');
+const { normalizePhoneDigits, parseDateParam } = require('./validation');
+
+// Данные брони из Shelter PMS для формы выезда. Адаптер выбирается переменной SHELTER_ADAPTER:
+// mock — брони из файла SHELTER_MOCK_FILE или встроенные примеры (для разработки и тестов),
+// http — REST API Shelter с таймаутом и кэшем. Новый адаптер добавляется в SHELTER_ADAPTERS:
+// фабрика получает env и возвращает объект с методом fetchBooking(bookingId) → сырые данные или null.
+
+const MOCK_BOOKINGS = [
+  {
+    booking_id: '100001',
+    last_name: 'Иванова',
+    first_name: 'Анна',
+    phone: '+7 (999) 123-45-67',
+    checkin_date: '2024-05-10',
+    checkout_date: '2024-05-12',
+    total_amount: 18500
+  },
+  {
+    booking_id: '100002',
+    last_name: 'Петров',
+    first_name: 'Сергей',
+    phone: '+7 (916) 555-00-11',
+    checkin_date: '2024-05-11',
+    checkout_date: '2024-05-14',
+    total_amount: 32400.5
+  }
+];
+
+// Ошибка связи с PMS: status — код ответа нашего API
+const createShelterError = (message, status) => Object.assign(new Error(message), { status });
+
+// Поля ответа PMS и их допустимые имена
+const BOOKING_FIELDS = {
+  booking_id: ['booking_id', 'bookingId', 'id', 'number'],
+  last_name: ['last_name', 'lastName', 'surname'],
+  first_name: ['first_name', 'firstName', 'name'],
+  phone: ['phone', 'guest_phone', 'phoneNumber'],
+  checkin_date: ['checkin_date', 'checkinDate', 'arrival_date', 'arrivalDate'],
+  checkout_date: ['checkout_date', 'checkoutDate', 'departure_date', 'departureDate'],
+  total_amount: ['total_amount', 'totalAmount', 'folio_total', 'folioTotal', 'total']
+};
+
+const pickField = (raw, field) => {
+  const sources = [raw, raw.guest].filter((source) => source && typeof source === 'object');
+  for (const source of sources) {
+    const alias = BOOKING_FIELDS[field].find((name) => source[name] !== undefined && source[name] !== null);
+    if (alias) return source[alias];
+  }
+  return null;
+};
+
+// Даты приходят и с временем («2024-05-10T14:00:00»): берём только дату
+const toBookingDate = (value) => (value ? parseDateParam(String(value).slice(0, 10)) : null);
+
+const toAmount = (value) => {
+  const number = Number(String(value ?? '').replace(/\s/g, '').replace(',', '.'));
+  return value !== null && value !== '' && Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+};
+
+const normalizeBooking = (raw, bookingId) => ({
+  booking_id: String(pickField(raw, 'booking_id') ?? bookingId),
+  last_name: String(pickField(raw, 'last_name') || '').trim(),
+  first_name: String(pickField(raw, 'first_name') || '').trim(),
+  guest_phone: normalizePhoneDigits(pickField(raw, 'phone')),
+  checkin_date: toBookingDate(pickField(raw, 'checkin_date')),
+  checkout_date: toBookingDate(pickField(raw, 'checkout_date')),
+  total_amount: toAmount(pickField(raw, 'total_amount'))
+});
+
+const createMockAdapter = (env) => {
+  const bookings = env.SHELTER_MOCK_FILE
+    ? JSON.parse(fs.readFileSync(env.SHELTER_MOCK_FILE, 'utf8'))
+    : MOCK_BOOKINGS;
+  if (!Array.isArray(bookings)) {
+    throw new Error('SHELTER_MOCK_FILE должен содержать JSON-массив броней');
+  }
+
+  return {
+    fetchBooking: async (bookingId) =>
+      bookings.find((booking) => String(pickField(booking, 'booking_id')) === bookingId) || null
+  };
+};
+
+// Успешные ответы кэшируются на ttlMs, одновременные запросы одной брони идут в PMS один раз
+const withCache = (fetchBooking, { ttlMs, maxEntries = 500 }) => {
+  const cache = new Map();
+  const pending = new Map();
+
+  return async (bookingId) => {
+    const cached = cache.get(bookingId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.booking;
+    }
+    cache.delete(bookingId);
+
+    if (pending.has(bookingId)) {
+      return pending.get(bookingId);
+    }
+
+    const request = fetchBooking(bookingId)
+      .then((booking) => {
+        if (booking && ttlMs > 0) {
+          if (cache.size >= maxEntries) {
+            cache.delete(cache.keys().next().value);
+          }
+          cache.set(bookingId, { booking, expiresAt: Date.now() + ttlMs });
+        }
+        return booking;
+      })
+      .finally(() => pending.delete(bookingId));
+    pending.set(bookingId, request);
+    return request;
+  };
+};
+
+const createHttpAdapter = (env) => {
+  const baseUrl = String(env.SHELTER_API_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    throw new Error('Для SHELTER_ADAPTER=http укажите адрес API в SHELTER_API_URL');
+  }
+  const timeoutMs = Number(env.SHELTER_TIMEOUT_MS) || 5000;
+  const cacheTtlSeconds = env.SHELTER_CACHE_TTL_SECONDS === undefined ? 300 : Number(env.SHELTER_CACHE_TTL_SECONDS);
+
+  const fetchBooking = async (bookingId) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/bookings/${encodeURIComponent(bookingId)}`, {
+        headers: {
+          Accept: 'application/json',
+          ...(env.SHELTER_API_TOKEN ? { Authorization: `Bearer ${env.SHELTER_API_TOKEN}` } : {})
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw createShelterError('Shelter PMS не ответил вовремя.', 504);
+      }
+      throw createShelterError('Shelter PMS недоступен.', 502);
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw createShelterError(`Shelter PMS вернул ошибку ${response.status}.`, 502);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!payload || typeof payload !== 'object') {
+      throw createShelterError('Shelter PMS вернул некорректный ответ.', 502);
+    }
+    return payload.data || payload.booking || payload;
+  };
+
+  return {
+    fetchBooking: withCache(fetchBooking, {
+      ttlMs: Number.isFinite(cacheTtlSeconds) ? cacheTtlSeconds * 1000 : 0
+    })
+  };
+};
+
+const SHELTER_ADAPTERS = {
+  mock: createMockAdapter,
+  http: createHttpAdapter
+};
+
+// Без SHELTER_ADAPTER в production интеграция выключена: mock подставил бы вымышленные брони
+const createShelterClient = (env = process.env) => {
+  const isProduction = (env.NODE_ENV || 'production') === 'production';
+  const name = String(env.SHELTER_ADAPTER || (isProduction ? '' : 'mock')).trim().toLowerCase();
+
+  if (!name) {
+    return null;
+  }
+
+  const factory = SHELTER_ADAPTERS[name];
+  if (!factory) {
+    throw new Error(
+      `Неизвестный SHELTER_ADAPTER «${name}». Допустимые значения: ${Object.keys(SHELTER_ADAPTERS).join(', ')}`
+    );
+  }
+
+  const adapter = factory(env);
+  return {
+    name,
+    // Бронь в виде полей формы выезда или null, если такой брони нет
+    getBooking: async (bookingId) => {
+      const raw = await adapter.fetchBooking(bookingId);
+      return raw ? normalizeBooking(raw, bookingId) : null;
+    }
+  };
+};
+
+module.exports = {
+  SHELTER_ADAPTERS,
+  normalizeBooking,
+  createShelterClient
+};
@@ -0,0 +1,170 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const crypto = require('crypto');
+
+// Минимальный SMTP-клиент для текстовых писем: TLS сразу (порт 465) или STARTTLS, если сервер
+// его предлагает, авторизация AUTH PLAIN. Одно письмо — одно соединение.
+// Без шифрования письмо отправляется, только если requireTls выключен, и никогда — с логином и паролем:
+// STARTTLS в ответе EHLO может вырезать посредник, и тогда пароль ушёл бы открытым текстом.
+
+const encodeHeader = (value) => `=?UTF-8?B?${Buffer.from(String(value)).toString('base64')}?=`;
+
+const wrapBase64 = (text) => Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+const buildMessage = ({ from, to, subject, text }) =>
+  [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${String(from).split('@').pop().replace(/>$/, '')}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(text)
+  ].join('\r\n');
+
+// Читает ответы сервера: многострочный ответ «250-...» заканчивается строкой «250 ...»
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const flush = () => {
+    while (replies.length && waiting.length) {
+      waiting.shift().resolve(replies.shift());
+    }
+    if (failure) {
+      waiting.splice(0).forEach(({ reject }) => reject(failure));
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index = buffer.indexOf('\r\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+      index = buffer.indexOf('\r\n');
+    }
+    flush();
+  };
+
+  const onFailure = (error) => {
+    failure = failure || error || new Error('SMTP-сервер закрыл соединение');
+    flush();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure());
+
+  return {
+    next: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      })
+  };
+};
+
+const connect = ({ host, port, secure, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP: нет ответа за ${timeoutMs} мс`)));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+const upgradeToTls = (socket, host) =>
+  new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host });
+    secureSocket.once('secureConnect', () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+
+// Отправляет письмо; при ответе сервера с ошибкой бросает Error с кодом и текстом ответа
+const sendMail = async ({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  password,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = 15_000,
+  requireTls = true
+}) => {
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = createReplyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${shown || 'соединение'}: ${reply.code} ${reply.lines.join(' ')}`.trim());
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const hello = await command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = secure;
+
+    if (!secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('close');
+      socket = await upgradeToTls(socket, host);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP: нет ответа за ${timeoutMs} мс`)));
+      reader = createReplyReader(socket);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (!encrypted && (requireTls || user)) {
+      throw new Error(
+        user
+          ? 'SMTP: сервер не предложил STARTTLS, логин и пароль без шифрования не отправляются'
+          : 'SMTP: сервер не предложил STARTTLS, а без TLS отправка выключена (SMTP_REQUIRE_TLS)'
+      );
+    }
+
+    if (user) {
+      const token = Buffer.from(`\u0000${user}\u0000${password || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    const address = (value) => String(value).match(/<([^>]+)>/)?.[1] || String(value).trim();
+    await command(`MAIL FROM:<${address(from)}>`, [250]);
+    await command(`RCPT TO:<${address(to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    // Строки, начинающиеся с точки, удваиваются (RFC 5321, 4.5.2)
+    const body = buildMessage({ from, to, subject, text }).replace(/^\./gm, '..');
+    await command(`${body}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+};
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,213 @@
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require('./passwords');
+
+// Роли упорядочены по возрастанию прав: каждая следующая включает предыдущие
+const STAFF_ROLES = ['reception', 'manager', 'admin'];
+
+const LOGIN_PATTERN = /^[a-z0-9._-]{3,40}$/;
+
+const hasRole = (actualRole, requiredRole) => {
+  const actualIndex = STAFF_ROLES.indexOf(actualRole);
+  const requiredIndex = STAFF_ROLES.indexOf(requiredRole);
+
+  return actualIndex !== -1 && requiredIndex !== -1 && actualIndex >= requiredIndex;
+};
+
+const normalizeLogin = (value) => String(value || '').trim().toLowerCase();
+
+const PUBLIC_COLUMNS = 'id, login, display_name, role, is_active, created_at, updated_at, last_login_at';
+
+// Проверяет поля учётной записи; при isCreate обязательны логин, имя, роль и пароль
+const validateStaffInput = (input, { isCreate }) => {
+  const errors = [];
+  const values = {};
+
+  if (isCreate || input.login !== undefined) {
+    const login = normalizeLogin(input.login);
+    if (!LOGIN_PATTERN.test(login)) {
+      errors.push('Логин: 3–40 символов, латиница, цифры, точка, дефис или подчёркивание.');
+    }
+    values.login = login;
+  }
+
+  if (isCreate || input.display_name !== undefined) {
+    const displayName = String(input.display_name || '').trim();
+    if (!displayName || displayName.length > 120) {
+      errors.push('Имя сотрудника обязательно и не должно превышать 120 символов.');
+    }
+    values.display_name = displayName;
+  }
+
+  if (isCreate || input.role !== undefined) {
+    if (!STAFF_ROLES.includes(input.role)) {
+      errors.push(`Роль должна быть одной из: ${STAFF_ROLES.join(', ')}.`);
+    }
+    values.role = input.role;
+  }
+
+  if (isCreate || input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Пароль должен содержать не менее ${MIN_PASSWORD_LENGTH} символов.`);
+    }
+    values.password = input.password;
+  }
+
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') {
+      errors.push('Поле is_active должно быть логическим значением.');
+    }
+    values.is_active = input.is_active;
+  }
+
+  return { errors, values };
+};
+
+const createStaffStore = (pool) => {
+  const findActiveByLogin = async (login) => {
+    const result = await pool.query(
+      'SELECT * FROM staff_users WHERE login = $1 AND is_active = TRUE',
+      [normalizeLogin(login)]
+    );
+    return result.rows[0] || null;
+  };
+
+  const findById = async (id) => {
+    const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM staff_users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  };
+
+  const count = async () => {
+    const result = await pool.query('SELECT COUNT(*)::int AS total FROM staff_users');
+    return result.rows[0].total;
+  };
+
+  const list = async () => {
+    const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM staff_users ORDER BY login`);
+    return result.rows;
+  };
+
+  const create = async ({ login, display_name, role, password }) => {
+    const passwordHash = await hashPassword(password);
+    const result = await pool.query(
+      `INSERT INTO staff_users (login, display_name, role, password_hash)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [login, display_name, role, passwordHash]
+    );
+    return result.rows[0];
+  };
+
+  // keepSessionId — сессия, которую не нужно завершать при смене пароля (сотрудник меняет свой пароль)
+  const update = async (id, values, { keepSessionId = null } = {}) => {
+    const assignments = [];
+    const params = [];
+
+    const push = (column, value) => {
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    };
+
+    if (values.login !== undefined) push('login', values.login);
+    if (values.display_name !== undefined) push('display_name', values.display_name);
+    if (values.role !== undefined) push('role', values.role);
+    if (values.is_active !== undefined) push('is_active', values.is_active);
+    if (values.password !== undefined) push('password_hash', await hashPassword(values.password));
+
+    if (!assignments.length) {
+      return findById(id);
+    }
+
+    params.push(id);
+    const result = await pool.query(
+      `UPDATE staff_users
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length}
+       RETURNING ${PUBLIC_COLUMNS}`,
+      params
+    );
+
+    // Заблокированный сотрудник и сотрудник со сменённым паролем выходят со всех устройств
+    if (result.rows[0] && (values.is_active === false || values.password !== undefined)) {
+      await revokeSessions(id, { exceptSessionId: keepSessionId });
+    }
+    return result.rows[0] || null;
+  };
+
+  // Сессии: запись создаётся при входе и продлевается при /auth/refresh
+  const saveSession = async (sid, staffId, expiresAt) => {
+    await pool.query('DELETE FROM staff_sessions WHERE expires_at < NOW()');
+    await pool.query(
+      `INSERT INTO staff_sessions (sid, staff_id, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (sid) DO UPDATE SET expires_at = EXCLUDED.expires_at`,
+      [sid, staffId, expiresAt]
+    );
+  };
+
+  // Текущие данные сотрудника для действующей сессии или null, если сессия завершена,
+  // истекла или сотрудник заблокирован
+  const findSessionUser = async (sid) => {
+    const result = await pool.query(
+      `SELECT u.id, u.login, u.display_name, u.role
+       FROM staff_sessions s
+       JOIN staff_users u ON u.id = s.staff_id
+       WHERE s.sid = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = TRUE`,
+      [sid]
+    );
+    return result.rows[0] || null;
+  };
+
+  const revokeSession = async (sid) => {
+    await pool.query('UPDATE staff_sessions SET revoked_at = NOW() WHERE sid = $1 AND revoked_at IS NULL', [
+      sid
+    ]);
+  };
+
+  // Возвращает число завершённых сессий
+  const revokeSessions = async (staffId, { exceptSessionId = null } = {}) => {
+    const result = await pool.query(
+      `UPDATE staff_sessions SET revoked_at = NOW()
+       WHERE staff_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         AND ($2::uuid IS NULL OR sid <> $2::uuid)`,
+      [staffId, exceptSessionId]
+    );
+    return result.rowCount;
+  };
+
+  const touchLastLogin = async (id) => {
+    await pool.query('UPDATE staff_users SET last_login_at = NOW() WHERE id = $1', [id]);
+  };
+
+  // Возвращает сотрудника без password_hash или null, если логин/пароль не подошли
+  const authenticate = async (login, password) => {
+    const user = await findActiveByLogin(login);
+
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return null;
+    }
+
+    await touchLastLogin(user.id);
+    const { password_hash: omitted, ...publicUser } = user;
+    return publicUser;
+  };
+
+  return {
+    findById,
+    count,
+    list,
+    create,
+    update,
+    authenticate,
+    saveSession,
+    findSessionUser,
+    revokeSession,
+    revokeSessions
+  };
+};
+
+module.exports = {
+  STAFF_ROLES,
+  hasRole,
+  normalizeLogin,
+  validateStaffInput,
+  createStaffStore
+};
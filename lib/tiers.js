@@ -0,0 +1,275 @@
+// Правила программы лояльности: уровни с порогами и проверка, какой уровень положен гостю.
+// Модуль не обращается к базе данных — конфигурацию и статистику визитов передаёт вызывающий код.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIERS = 10;
+const QUALIFY_MODES = ['any', 'all'];
+
+const normalizeTierName = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+const findTier = (program, name) => {
+  const normalized = normalizeTierName(name);
+  if (!normalized) {
+    return null;
+  }
+  return program.tiers.find((tier) => normalizeTierName(tier.name) === normalized) || null;
+};
+
+// Дата в формате YYYY-MM-DD со сдвигом на days дней (по UTC, чтобы не зависеть от часового пояса сервера)
+const shiftDate = (date, days) => {
+  const base = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  return new Date(base.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return [
+      value.getFullYear(),
+      String(value.getMonth() + 1).padStart(2, '0'),
+      String(value.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+  return String(value).slice(0, 10);
+};
+
+// Начало скользящего периода, за который считаются визиты и траты для уровня
+const getQualificationStart = (program, referenceDate) =>
+  shiftDate(referenceDate, -program.settings.qualificationPeriodDays);
+
+// Порог не задан (null) — он не участвует в проверке. Уровень без порогов доступен всем.
+const meetsThresholds = (tier, { visits, spend }) => {
+  const checks = [];
+  if (tier.minVisits !== null) checks.push(visits >= tier.minVisits);
+  if (tier.minSpend !== null) checks.push(spend >= tier.minSpend);
+
+  if (!checks.length) {
+    return true;
+  }
+  return tier.qualifyMode === 'all' ? checks.every(Boolean) : checks.some(Boolean);
+};
+
+// Уровень для визита на дату referenceDate по статистике предыдущих визитов:
+// stats.visits и stats.spend — за скользящий период, stats.lastVisitDate — последний визит вообще.
+// Берётся самый высокий уровень, пороги которого выполнены; затем за каждые полные inactivityDays
+// без визитов уровень понижается на downgradeSteps ступеней, но не ниже первого.
+const evaluateTier = (program, stats, referenceDate) => {
+  const { tiers, settings } = program;
+  const normalizedStats = {
+    visits: Number(stats?.visits) || 0,
+    spend: Number(stats?.spend) || 0
+  };
+
+  let qualifiedIndex = 0;
+  tiers.forEach((tier, index) => {
+    if (meetsThresholds(tier, normalizedStats)) {
+      qualifiedIndex = index;
+    }
+  });
+
+  let downgradeSteps = 0;
+  const lastVisitDate = toDateString(stats?.lastVisitDate);
+  if (settings.inactivityDays && lastVisitDate) {
+    const idleDays = Math.floor(
+      (Date.parse(`${toDateString(referenceDate)}T00:00:00Z`) -
+        Date.parse(`${lastVisitDate}T00:00:00Z`)) /
+        DAY_MS
+    );
+    if (idleDays > 0) {
+      downgradeSteps = Math.floor(idleDays / settings.inactivityDays) * settings.downgradeSteps;
+    }
+  }
+
+  const tierIndex = Math.max(qualifiedIndex - downgradeSteps, 0);
+
+  return {
+    tier: tiers[tierIndex],
+    qualifiedTier: tiers[qualifiedIndex],
+    downgraded: tierIndex < qualifiedIndex,
+    nextTier: tiers[tierIndex + 1] || null,
+    stats: { ...normalizedStats, lastVisitDate }
+  };
+};
+
+const parseOptionalNumber = (value, { integer }) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return { error: true };
+  }
+  return { value: number };
+};
+
+const parsePercent = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 && number <= 100 ? number : null;
+};
+
+// Проверяет список уровней из запроса администратора; возвращает { error } или { tiers }
+const validateTiers = (input) => {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: 'Передайте непустой список уровней tiers.' };
+  }
+  if (input.length > MAX_TIERS) {
+    return { error: `Уровней не может быть больше ${MAX_TIERS}.` };
+  }
+
+  const names = new Set();
+  const tiers = [];
+
+  for (const [index, raw] of input.entries()) {
+    const label = `Уровень ${index + 1}`;
+    const name = String(raw?.name || '').trim();
+
+    if (!name || name.length > 80) {
+      return { error: `${label}: название обязательно и не длиннее 80 символов.` };
+    }
+    if (names.has(normalizeTierName(name))) {
+      return { error: `${label}: название «${name}» уже используется.` };
+    }
+    names.add(normalizeTierName(name));
+
+    const minVisits = parseOptionalNumber(raw.min_visits, { integer: true });
+    const minSpend = parseOptionalNumber(raw.min_spend, { integer: false });
+    if (minVisits.error || minSpend.error) {
+      return { error: `${label}: пороги min_visits и min_spend должны быть неотрицательными числами.` };
+    }
+
+    if (index === 0 && (minVisits.value || minSpend.value)) {
+      return { error: 'Первый уровень — начальный: у него не должно быть порогов.' };
+    }
+    if (index > 0 && minVisits.value === null && minSpend.value === null) {
+      return { error: `${label}: укажите хотя бы один порог — min_visits или min_spend.` };
+    }
+
+    const qualifyMode = raw.qualify_mode || 'any';
+    if (!QUALIFY_MODES.includes(qualifyMode)) {
+      return { error: `${label}: qualify_mode может быть только «any» или «all».` };
+    }
+
+    const accrualPercent = parsePercent(raw.accrual_percent);
+    const maxRedemptionPercent = parsePercent(raw.max_redemption_percent);
+    if (accrualPercent === null || maxRedemptionPercent === null) {
+      return {
+        error: `${label}: accrual_percent и max_redemption_percent должны быть числами от 0 до 100.`
+      };
+    }
+
+    tiers.push({
+      position: index + 1,
+      name,
+      minVisits: index === 0 ? null : minVisits.value,
+      minSpend: index === 0 ? null : minSpend.value,
+      qualifyMode,
+      accrualPercent,
+      maxRedemptionPercent
+    });
+  }
+
+  return { tiers };
+};
+
+const parsePositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Частичное обновление настроек программы; возвращает { error } или { settings } с итоговыми значениями
+const validateSettings = (input, current) => {
+  const settings = { ...current };
+
+  if (input?.qualification_period_days !== undefined) {
+    settings.qualificationPeriodDays = parsePositiveInteger(input.qualification_period_days);
+    if (!settings.qualificationPeriodDays || settings.qualificationPeriodDays > 3650) {
+      return { error: 'qualification_period_days — целое число дней от 1 до 3650.' };
+    }
+  }
+
+  if (input?.inactivity_days !== undefined) {
+    if (input.inactivity_days === null) {
+      settings.inactivityDays = null;
+    } else {
+      settings.inactivityDays = parsePositiveInteger(input.inactivity_days);
+      if (!settings.inactivityDays || settings.inactivityDays > 3650) {
+        return { error: 'inactivity_days — целое число дней от 1 до 3650 или null, чтобы отключить понижение.' };
+      }
+    }
+  }
+
+  const optionalMonths = [
+    ['points_expiry_months', 'pointsExpiryMonths'],
+    ['inactivity_expiry_months', 'inactivityExpiryMonths']
+  ];
+  for (const [field, key] of optionalMonths) {
+    if (input?.[field] === undefined) continue;
+    if (input[field] === null) {
+      settings[key] = null;
+      continue;
+    }
+    settings[key] = parsePositiveInteger(input[field]);
+    if (!settings[key] || settings[key] > 120) {
+      return { error: `${field} — целое число месяцев от 1 до 120 или null, чтобы отключить правило.` };
+    }
+  }
+
+  if (input?.expiry_warning_days !== undefined) {
+    const days = Number(input.expiry_warning_days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return { error: 'expiry_warning_days — целое число дней от 0 до 365.' };
+    }
+    settings.expiryWarningDays = days;
+  }
+
+  if (input?.downgrade_steps !== undefined) {
+    settings.downgradeSteps = parsePositiveInteger(input.downgrade_steps);
+    if (!settings.downgradeSteps || settings.downgradeSteps > MAX_TIERS) {
+      return { error: `downgrade_steps — целое число от 1 до ${MAX_TIERS}.` };
+    }
+  }
+
+  return { settings };
+};
+
+const serializeTier = (tier) => ({
+  position: tier.position,
+  name: tier.name,
+  min_visits: tier.minVisits,
+  min_spend: tier.minSpend,
+  qualify_mode: tier.qualifyMode,
+  accrual_percent: tier.accrualPercent,
+  max_redemption_percent: tier.maxRedemptionPercent
+});
+
+const serializeProgram = (program) => ({
+  tiers: program.tiers.map(serializeTier),
+  settings: {
+    qualification_period_days: program.settings.qualificationPeriodDays,
+    inactivity_days: program.settings.inactivityDays,
+    downgrade_steps: program.settings.downgradeSteps,
+    points_expiry_months: program.settings.pointsExpiryMonths,
+    inactivity_expiry_months: program.settings.inactivityExpiryMonths,
+    expiry_warning_days: program.settings.expiryWarningDays
+  }
+});
+
+module.exports = {
+  QUALIFY_MODES,
+  toDateString,
+  normalizeTierName,
+  findTier,
+  getQualificationStart,
+  meetsThresholds,
+  evaluateTier,
+  validateTiers,
+  validateSettings,
+  serializeTier,
+  serializeProgram
+};
@@ -0,0 +1,66 @@
+function normalizeCheckinDate(dateValue) {
+  if (!dateValue) {
+    return null;
+  }
+
+  const raw = String(dateValue).trim();
+
+  if (!raw) {
+    return null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    return raw;
+  }
+
+  if (/^\d{2}\.\d{2}\.\d{4}$/.test(raw)) {
+    const [day, month, year] = raw.split('.');
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  if (/^\d{2}-\d{2}-\d{4}$/.test(raw)) {
+    const [day, month, year] = raw.split('-');
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  if (/^\d{4}\.\d{2}\.\d{2}$/.test(raw)) {
+    const [year, month, day] = raw.split('.');
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+// Оставляет последние 10 цифр номера; null, если цифр меньше 10
+const normalizePhoneDigits = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length < 10 ? null : digits.slice(-10);
+};
+
+// Параметр фильтра по дате: те же форматы, что и у даты заезда, плюс проверка реальности даты
+const parseDateParam = (value) => {
+  const normalized = normalizeCheckinDate(value);
+
+  if (!normalized || Number.isNaN(Date.parse(normalized))) {
+    return null;
+  }
+
+  return normalized;
+};
+
+const parsePagination = (query, { defaultLimit = 100, maxLimit = 500 } = {}) => {
+  const limitRaw = Number.parseInt(query.limit, 10);
+  const offsetRaw = Number.parseInt(query.offset, 10);
+
+  return {
+    limit: Number.isInteger(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, maxLimit) : defaultLimit,
+    offset: Number.isInteger(offsetRaw) && offsetRaw > 0 ? offsetRaw : 0
+  };
+};
+
+module.exports = {
+  normalizeCheckinDate,
+  normalizePhoneDigits,
+  parseDateParam,
+  parsePagination
+};
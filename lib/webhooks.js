@@ -0,0 +1,519 @@
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { toDateString } = require('./tiers');
+const { logger } = require('./logger');
+
+// Исходящие вебхуки по схеме outbox: события пишутся в webhook_deliveries в той же транзакции,
+// что и изменение, поэтому откаченная операция ничего не отправляет, а подтверждённая не теряется
+// при перезапуске. Фоновая задача рассылает их с подписью HMAC-SHA256 и повторяет неудачные
+// попытки с экспоненциальной задержкой.
+
+const WEBHOOK_EVENTS = [
+  'checkout.created',
+  'checkout.updated',
+  'checkout.voided',
+  'tier.changed',
+  'points.redeemed'
+];
+const PING_EVENT = 'webhook.ping';
+
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const RETENTION_DAYS = 30;
+const ERROR_MAX_LENGTH = 500;
+
+const PUBLIC_COLUMNS = 'id, url, events, description, is_active, created_by, created_at, updated_at';
+
+const placeholders = (values, offset = 0) =>
+  values.map((_, index) => `$${index + offset + 1}`).join(', ');
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Подпись тела запроса: HMAC-SHA256 от «{timestamp}.{body}» ключом получателя
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 30 с, 1 мин, 2 мин, ... но не дольше 6 часов между попытками
+const getRetryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Проверяет поля получателя; при isCreate обязательны url и events
+const validateWebhookInput = (input, { isCreate }) => {
+  const errors = [];
+  const values = {};
+
+  if (isCreate || input.url !== undefined) {
+    const url = String(input.url || '').trim();
+    if (!isValidUrl(url) || url.length > 2000) {
+      errors.push('Укажите адрес получателя: http:// или https://, не длиннее 2000 символов.');
+    }
+    values.url = url;
+  }
+
+  if (isCreate || input.events !== undefined) {
+    const events = Array.isArray(input.events) ? Array.from(new Set(input.events.map(String))) : [];
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (!events.length || unknown.length) {
+      errors.push(`Поле events — непустой список событий из: ${WEBHOOK_EVENTS.join(', ')}.`);
+    }
+    values.events = events;
+  }
+
+  if (input.description !== undefined) {
+    const description = String(input.description || '').trim();
+    if (description.length > 500) {
+      errors.push('Описание не должно превышать 500 символов.');
+    }
+    values.description = description || null;
+  }
+
+  if (input.secret !== undefined) {
+    const secret = String(input.secret || '');
+    if (secret.length < 16 || secret.length > 200) {
+      errors.push('Ключ подписи: от 16 до 200 символов.');
+    }
+    values.secret = secret;
+  }
+
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') {
+      errors.push('Поле is_active должно быть логическим значением.');
+    }
+    values.is_active = input.is_active;
+  }
+
+  return { errors, values };
+};
+
+const listWebhooks = async (db) => {
+  const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM webhook_endpoints ORDER BY id`);
+  return result.rows;
+};
+
+const findWebhook = async (db, id) => {
+  const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM webhook_endpoints WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Ключ подписи возвращается только здесь и при смене ключа
+const createWebhook = async (db, values, { actorId }) => {
+  const secret = values.secret || generateSecret();
+  const result = await db.query(
+    `INSERT INTO webhook_endpoints (url, secret, events, description, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [values.url, secret, values.events, values.description || null, values.is_active ?? true, actorId || null]
+  );
+  return { ...result.rows[0], secret };
+};
+
+// rotateSecret — выдать новый ключ, если его не передали явно
+const updateWebhook = async (db, id, values, { rotateSecret = false } = {}) => {
+  const secret = values.secret || (rotateSecret ? generateSecret() : null);
+  const result = await db.query(
+    `UPDATE webhook_endpoints
+     SET url = COALESCE($2, url),
+         events = COALESCE($3, events),
+         description = CASE WHEN $4 THEN $5 ELSE description END,
+         is_active = COALESCE($6, is_active),
+         secret = COALESCE($7, secret),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [
+      id,
+      values.url ?? null,
+      values.events ?? null,
+      values.description !== undefined,
+      values.description ?? null,
+      values.is_active ?? null,
+      secret
+    ]
+  );
+  const webhook = result.rows[0];
+  return webhook && secret ? { ...webhook, secret } : webhook || null;
+};
+
+// Доставки получателя, новые сверху, с журналом попыток каждой
+const listDeliveries = async (db, endpointId, { status, limit, offset }) => {
+  const where = 'WHERE endpoint_id = $1 AND ($2::text IS NULL OR status = $2)';
+  const totalResult = await db.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries ${where}`, [
+    endpointId,
+    status || null
+  ]);
+  const result = await db.query(
+    `SELECT id, event_id, event_type, payload, status, attempts, next_attempt_at, last_attempt_at,
+       response_status, last_error, delivered_at, created_at
+     FROM webhook_deliveries
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [endpointId, status || null, limit, offset]
+  );
+
+  const ids = result.rows.map((row) => row.id);
+  const attemptsResult = ids.length
+    ? await db.query(
+        `SELECT delivery_id, attempt, response_status, error, duration_ms, created_at
+         FROM webhook_delivery_attempts
+         WHERE delivery_id IN (${placeholders(ids)})
+         ORDER BY delivery_id, attempt`,
+        ids
+      )
+    : { rows: [] };
+
+  const attemptsByDelivery = new Map();
+  attemptsResult.rows.forEach(({ delivery_id: deliveryId, ...attempt }) => {
+    const key = String(deliveryId);
+    attemptsByDelivery.set(key, [...(attemptsByDelivery.get(key) || []), attempt]);
+  });
+
+  return {
+    total: totalResult.rows[0].total,
+    rows: result.rows.map((row) => ({
+      ...row,
+      attempts_log: attemptsByDelivery.get(String(row.id)) || []
+    }))
+  };
+};
+
+// Возвращает неудавшуюся доставку в очередь на одну внеочередную попытку:
+// если и она не пройдёт, доставка снова получит статус failed
+const retryDelivery = async (db, endpointId, deliveryId) => {
+  const result = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $3, next_attempt_at = NOW()
+     WHERE id = $1 AND endpoint_id = $2 AND status = $4
+     RETURNING id, event_id, event_type, status, next_attempt_at`,
+    [deliveryId, endpointId, DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.FAILED]
+  );
+  return result.rows[0] || null;
+};
+
+// Ставит событие в очередь всем активным получателям, подписанным на него (или одному endpointId).
+// Вызывать внутри транзакции изменения. Возвращает число созданных доставок.
+const enqueueWebhookEvent = async (db, type, data, { endpointId = null } = {}) => {
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, type, created_at: new Date().toISOString(), data };
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+     SELECT id, $1, $2, $3::jsonb
+     FROM webhook_endpoints
+     WHERE is_active = TRUE AND ($4::int IS NULL AND $2 = ANY(events) OR id = $4::int)
+     RETURNING id`,
+    [eventId, type, JSON.stringify(payload), endpointId]
+  );
+  return result.rows.length;
+};
+
+// Выезд в теле события: без служебных полей (ключ идемпотентности, кто создал и изменил)
+const toWebhookCheckout = (row) => ({
+  id: row.id,
+  guest_phone: row.guest_phone,
+  last_name: row.last_name,
+  first_name: row.first_name,
+  profile_id: row.profile_id ?? null,
+  checkin_date: toDateString(row.checkin_date),
+  shelter_booking_id: row.shelter_booking_id,
+  total_amount: Number(row.total_amount),
+  bonus_spent: Number(row.bonus_spent || 0),
+  bonus_earned: row.bonus_earned ?? 0,
+  loyalty_level: row.loyalty_level,
+  created_at: row.created_at,
+  voided_at: row.voided_at ?? null,
+  void_reason: row.void_reason ?? null
+});
+
+// События нового выезда: сам выезд, списание баллов и смена уровня гостя.
+// registered — результат registerCheckout.
+const enqueueCheckoutCreatedEvents = async (db, { guest, accrual }) => {
+  await enqueueWebhookEvent(db, 'checkout.created', {
+    checkout: toWebhookCheckout(guest),
+    balance: {
+      current_balance: accrual.currentBalance,
+      visits_count: accrual.balance.visits_total,
+      loyalty_level: accrual.balance.loyalty_level
+    }
+  });
+
+  if (Number(guest.bonus_spent) > 0) {
+    await enqueueWebhookEvent(db, 'points.redeemed', {
+      guest_phone: guest.guest_phone,
+      profile_id: guest.profile_id ?? null,
+      amount: Number(guest.bonus_spent),
+      checkout_id: guest.id,
+      shelter_booking_id: guest.shelter_booking_id,
+      current_balance: accrual.currentBalance
+    });
+  }
+
+  if (accrual.previousLevel && accrual.previousLevel !== accrual.loyaltyLevel) {
+    await enqueueWebhookEvent(db, 'tier.changed', {
+      guest_phone: guest.guest_phone,
+      profile_id: guest.profile_id ?? null,
+      previous_level: accrual.previousLevel,
+      loyalty_level: accrual.loyaltyLevel,
+      reason: 'checkout',
+      checkout_id: guest.id
+    });
+  }
+};
+
+// Исправление выезда: выезд после изменения и его поля до него. Уровень визита при исправлении
+// не пересчитывается, поэтому tier.changed здесь не бывает.
+const enqueueCheckoutUpdatedEvent = (db, { existing, updated }) =>
+  enqueueWebhookEvent(db, 'checkout.updated', {
+    checkout: toWebhookCheckout(updated),
+    previous: toWebhookCheckout(existing)
+  });
+
+// События аннулирования; levelChange — результат revertVisitStats
+const enqueueCheckoutVoidedEvents = async (db, { voided, levelChange }) => {
+  await enqueueWebhookEvent(db, 'checkout.voided', { checkout: toWebhookCheckout(voided) });
+
+  if (levelChange?.previousLevel && levelChange.previousLevel !== levelChange.loyaltyLevel) {
+    await enqueueWebhookEvent(db, 'tier.changed', {
+      guest_phone: voided.guest_phone,
+      profile_id: voided.profile_id ?? null,
+      previous_level: levelChange.previousLevel,
+      loyalty_level: levelChange.loyaltyLevel,
+      reason: 'checkout_voided',
+      checkout_id: voided.id
+    });
+  }
+};
+
+// Забирает пачку доставок, которым пора уходить, и откладывает их на время отправки,
+// чтобы другой экземпляр сервера не отправил их параллельно
+const claimDeliveries = (pool, { batchSize, leaseMs }) =>
+  withTransaction(pool, async (db) => {
+    const due = await db.query(
+      `SELECT id
+       FROM webhook_deliveries
+       WHERE status = $1
+         AND next_attempt_at <= $3
+         AND endpoint_id IN (SELECT id FROM webhook_endpoints WHERE is_active = TRUE)
+       ORDER BY next_attempt_at, id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [DELIVERY_STATUSES.PENDING, batchSize, new Date()]
+    );
+    if (!due.rows.length) {
+      return [];
+    }
+
+    const ids = due.rows.map((row) => row.id);
+    const claimed = await db.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = $1
+       WHERE id IN (${placeholders(ids, 1)})
+       RETURNING *`,
+      [new Date(Date.now() + leaseMs), ...ids]
+    );
+    const endpointIds = Array.from(new Set(claimed.rows.map((row) => row.endpoint_id)));
+    const endpoints = await db.query(
+      `SELECT id, url, secret FROM webhook_endpoints WHERE id IN (${placeholders(endpointIds)})`,
+      endpointIds
+    );
+    const endpointById = new Map(endpoints.rows.map((row) => [row.id, row]));
+
+    return claimed.rows
+      .map((delivery) => ({ delivery, endpoint: endpointById.get(delivery.endpoint_id) }))
+      .sort((a, b) => Number(a.delivery.id) - Number(b.delivery.id));
+  });
+
+// Одна попытка отправки; возвращает { responseStatus, error } — error null при ответе 2xx
+const sendDelivery = async ({ delivery, endpoint }, { timeoutMs }) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'u4s-loyalty-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        [SIGNATURE_HEADER]: `sha256=${signPayload(endpoint.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text().catch(() => '');
+
+    return {
+      responseStatus: response.status,
+      error: response.ok ? null : `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`
+    };
+  } catch (error) {
+    return {
+      responseStatus: null,
+      error: error.name === 'TimeoutError' ? `Нет ответа за ${timeoutMs} мс` : error.message
+    };
+  }
+};
+
+// Состояние доставки после попытки: доставлена, ждёт повтора с задержкой getRetryDelayMs или,
+// если попытки кончились, failed
+const planNextAttempt = (delivery, error, { maxAttempts, now = Date.now() }) => {
+  const attempts = delivery.attempts + 1;
+  let status = DELIVERY_STATUSES.PENDING;
+  if (!error) {
+    status = DELIVERY_STATUSES.DELIVERED;
+  } else if (attempts >= maxAttempts) {
+    status = DELIVERY_STATUSES.FAILED;
+  }
+
+  return {
+    status,
+    attempts,
+    nextAttemptAt: new Date(now + (status === DELIVERY_STATUSES.PENDING ? getRetryDelayMs(attempts) : 0))
+  };
+};
+
+const recordAttempt = async (pool, delivery, { responseStatus, error, durationMs }, { maxAttempts }) => {
+  const { status, attempts, nextAttemptAt } = planNextAttempt(delivery, error, { maxAttempts });
+  const errorText = error ? String(error).slice(0, ERROR_MAX_LENGTH) : null;
+
+  await withTransaction(pool, async (db) => {
+    await db.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [delivery.id, attempts, responseStatus, errorText, durationMs]
+    );
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, last_attempt_at = NOW(), response_status = $4, last_error = $5,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+           next_attempt_at = $6
+       WHERE id = $1`,
+      [
+        delivery.id,
+        status,
+        attempts,
+        responseStatus,
+        errorText,
+        nextAttemptAt
+      ]
+    );
+  });
+
+  return status;
+};
+
+// Отправляет всё, что накопилось к этому моменту; возвращает число доставленных и неудачных попыток
+const dispatchPendingDeliveries = async (
+  pool,
+  { batchSize = 20, timeoutMs = 10_000, maxAttempts = 8 } = {}
+) => {
+  const summary = { delivered: 0, failed_attempts: 0 };
+
+  await pool.query(`DELETE FROM webhook_deliveries WHERE created_at < $1 AND status <> $2`, [
+    new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    DELIVERY_STATUSES.PENDING
+  ]);
+
+  for (;;) {
+    const batch = await claimDeliveries(pool, { batchSize, leaseMs: timeoutMs + 60_000 });
+    if (!batch.length) {
+      return summary;
+    }
+
+    for (const item of batch) {
+      const startedAt = Date.now();
+      const result = await sendDelivery(item, { timeoutMs });
+      await recordAttempt(pool, item.delivery, { ...result, durationMs: Date.now() - startedAt }, { maxAttempts });
+      if (result.error) {
+        summary.failed_attempts += 1;
+      } else {
+        summary.delivered += 1;
+      }
+    }
+  }
+};
+
+// Фоновая рассылка раз в intervalMs. Повторный запуск не начинается, пока не закончился предыдущий.
+const createWebhookDispatcher = ({ pool, intervalMs, ...options }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await dispatchPendingDeliveries(pool, options);
+      if (summary.failed_attempts) {
+        logger.warn('Вебхуки доставлены не все', summary);
+      }
+    } catch (error) {
+      logger.error('Ошибка фоновой отправки вебхуков', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (!intervalMs || timer) {
+      return;
+    }
+    timer = setTimeout(function scheduleNext() {
+      void tick();
+      timer = setTimeout(scheduleNext, intervalMs);
+      timer.unref?.();
+    }, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  signPayload,
+  getRetryDelayMs,
+  validateWebhookInput,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  retryDelivery,
+  enqueueWebhookEvent,
+  enqueueCheckoutCreatedEvents,
+  enqueueCheckoutUpdatedEvent,
+  enqueueCheckoutVoidedEvents,
+  sendDelivery,
+  planNextAttempt,
+  dispatchPendingDeliveries,
+  createWebhookDispatcher
+};
@@ -0,0 +1,150 @@
+const { createZipStream } = require('./zip');
+
+// Минимальная книга XLSX с одним листом: строки пишутся потоком, текст — встроенными строками
+// (без sharedStrings), числа — с разделением разрядов, даты — числами Excel с форматом ДД.ММ.ГГГГ.
+
+const STYLE = {
+  text: 0,
+  integer: 1,
+  date: 2,
+  datetime: 3,
+  header: 4
+};
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Порядок cellXfs совпадает с STYLE
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="dd.mm.yyyy"/><numFmt numFmtId="165" formatCode="dd.mm.yyyy hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const escapeXml = (value) =>
+  String(value)
+    // Управляющие символы недопустимы в XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const workbookXml = (sheetName) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((value - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+// Число дней от 30.12.1899 — так Excel хранит даты; время — дробная часть суток
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const toExcelDate = (date) =>
+  (Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds()
+  ) -
+    EXCEL_EPOCH) /
+  86_400_000;
+
+const cellXml = (ref, type, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (type === 'integer') {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      return `<c r="${ref}" s="${STYLE.integer}"><v>${number}</v></c>`;
+    }
+  }
+  if ((type === 'date' || type === 'datetime') && value instanceof Date && !Number.isNaN(value.getTime())) {
+    return `<c r="${ref}" s="${STYLE[type]}"><v>${toExcelDate(value)}</v></c>`;
+  }
+
+  const style = type === 'header' ? ` s="${STYLE.header}"` : '';
+  return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (rowNumber, cells) =>
+  `<row r="${rowNumber}">${cells
+    .map(({ type, value }, index) => cellXml(`${columnLetter(index)}${rowNumber}`, type, value))
+    .join('')}</row>`;
+
+// columns — [{ header, type, width }], type: text | integer | date | datetime;
+// rows — асинхронный итератор массивов значений в порядке колонок (даты — объекты Date)
+async function* sheetXml(columns, rows) {
+  const cols = columns
+    .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`)
+    .join('');
+
+  yield `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${cols}</cols><sheetData>`;
+  yield rowXml(1, columns.map((column) => ({ type: 'header', value: column.header })));
+
+  let rowNumber = 1;
+  for await (const values of rows) {
+    rowNumber += 1;
+    yield rowXml(
+      rowNumber,
+      values.map((value, index) => ({ type: columns[index].type, value }))
+    );
+  }
+
+  yield '</sheetData></worksheet>';
+}
+
+// Асинхронный итератор Buffer с содержимым файла .xlsx
+const createXlsxStream = ({ sheetName, columns, rows }) =>
+  createZipStream([
+    { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', content: ROOT_RELS_XML },
+    { name: 'xl/workbook.xml', content: workbookXml(sheetName) },
+    { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS_XML },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    { name: 'xl/worksheets/sheet1.xml', content: sheetXml(columns, rows) }
+  ]);
+
+module.exports = {
+  createXlsxStream
+};
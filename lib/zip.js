@@ -0,0 +1,130 @@
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+// Потоковая запись ZIP-архива без сторонних зависимостей. Содержимое файла сжимается по мере чтения,
+// CRC и размеры пишутся в дескрипторе данных после файла, поэтому архив не собирается в памяти.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Флаги: 3-й бит — размеры и CRC в дескрипторе после данных, 11-й — имена файлов в UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const DEFLATE_METHOD = 8;
+const ZIP_VERSION = 20;
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const localFileHeader = (name, stamp) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(ZIP_VERSION, 4);
+  header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+  header.writeUInt16LE(DEFLATE_METHOD, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = (entry) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+const centralDirectoryHeader = (entry, stamp) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(ZIP_VERSION, 4);
+  header.writeUInt16LE(ZIP_VERSION, 6);
+  header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+  header.writeUInt16LE(DEFLATE_METHOD, 10);
+  header.writeUInt16LE(stamp.time, 12);
+  header.writeUInt16LE(stamp.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+const toChunks = (content) =>
+  typeof content === 'string' || Buffer.isBuffer(content) ? [Buffer.from(content)] : content;
+
+// files — [{ name, content }], content — строка, Buffer или асинхронный итератор строк/Buffer.
+// Возвращает асинхронный итератор Buffer с содержимым архива.
+async function* createZipStream(files) {
+  const stamp = toDosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const entry = { name: Buffer.from(file.name, 'utf8'), offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = localFileHeader(entry.name, stamp);
+    offset += header.length;
+    yield header;
+
+    const source = Readable.from(
+      (async function* measure() {
+        for await (const chunk of toChunks(file.content)) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+          entry.crc = crc32(buffer, entry.crc);
+          entry.size += buffer.length;
+          yield buffer;
+        }
+      })()
+    );
+    const deflate = zlib.createDeflateRaw();
+    pipeline(source, deflate, () => {});
+
+    for await (const compressed of deflate) {
+      entry.compressedSize += compressed.length;
+      offset += compressed.length;
+      yield compressed;
+    }
+
+    const descriptor = dataDescriptor(entry);
+    offset += descriptor.length;
+    yield descriptor;
+    entries.push(entry);
+  }
+
+  const directory = Buffer.concat(entries.map((entry) => centralDirectoryHeader(entry, stamp)));
+  yield directory;
+  yield endOfCentralDirectory(entries.length, directory.length, offset);
+}
+
+module.exports = {
+  createZipStream
+};
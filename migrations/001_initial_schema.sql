@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS guests (
+  id SERIAL PRIMARY KEY,
+  guest_phone VARCHAR(10) NOT NULL,
+  last_name VARCHAR(120) NOT NULL,
+  first_name VARCHAR(120) NOT NULL,
+  checkin_date DATE NOT NULL,
+  loyalty_level VARCHAR(80),
+  shelter_booking_id VARCHAR(80) NOT NULL,
+  total_amount NUMERIC(12, 2) NOT NULL,
+  bonus_spent INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bonuses_balance (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(10) NOT NULL,
+  last_name VARCHAR(120) NOT NULL,
+  first_name VARCHAR(120) NOT NULL,
+  loyalty_level VARCHAR(80),
+  bonus_balances INTEGER DEFAULT 0,
+  visits_total INTEGER DEFAULT 0,
+  last_date_visit DATE
+);
@@ -0,0 +1,28 @@
+-- Именные учётные записи сотрудников вместо общего PASSWORD_HASH
+CREATE TABLE IF NOT EXISTS staff_users (
+  id SERIAL PRIMARY KEY,
+  login VARCHAR(40) NOT NULL UNIQUE,
+  display_name VARCHAR(120) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('reception', 'manager', 'admin')),
+  password_hash TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_login_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Кто из сотрудников зарегистрировал выезд
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES staff_users (id);
+
+-- Серверные записи сессий сотрудников: подписанная cookie действительна, только пока её sid есть здесь
+-- и не отозван, поэтому выход, блокировка сотрудника и смена пароля завершают сессию сразу.
+CREATE TABLE IF NOT EXISTS staff_sessions (
+  sid UUID PRIMARY KEY,
+  staff_id INTEGER NOT NULL REFERENCES staff_users (id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS staff_sessions_staff_idx ON staff_sessions (staff_id);
+CREATE INDEX IF NOT EXISTS staff_sessions_expires_idx ON staff_sessions (expires_at);
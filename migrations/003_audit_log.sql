@@ -0,0 +1,19 @@
+-- Журнал действий сотрудников: кто, когда и откуда создал, изменил или аннулировал запись
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  action VARCHAR(20) NOT NULL,
+  entity_type VARCHAR(40) NOT NULL,
+  entity_id VARCHAR(80),
+  booking_id VARCHAR(80),
+  actor_id INTEGER REFERENCES staff_users (id),
+  actor_login VARCHAR(40),
+  ip VARCHAR(64),
+  user_agent VARCHAR(500),
+  before_data JSONB,
+  after_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_booking_idx ON audit_log (booking_id);
@@ -0,0 +1,4 @@
+-- Начисление баллов выполняет сам сервис: сохраняем, сколько баллов принёс каждый выезд
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS bonus_earned INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS bonuses_balance_phone_idx ON bonuses_balance (phone);
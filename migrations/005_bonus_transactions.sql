@@ -0,0 +1,43 @@
+-- Журнал операций с баллами: баланс гостя = сумма amount по его записям
+CREATE TABLE IF NOT EXISTS bonus_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  phone VARCHAR(10) NOT NULL,
+  type VARCHAR(20) NOT NULL
+    CHECK (type IN ('accrual', 'redemption', 'adjustment', 'expiration', 'reversal')),
+  amount INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  guest_id INTEGER REFERENCES guests (id),
+  booking_id VARCHAR(80),
+  comment VARCHAR(500),
+  actor_id INTEGER REFERENCES staff_users (id),
+  reversed_transaction_id BIGINT REFERENCES bonus_transactions (id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS bonus_transactions_phone_idx
+  ON bonus_transactions (phone, created_at DESC);
+CREATE INDEX IF NOT EXISTS bonus_transactions_guest_idx ON bonus_transactions (guest_id);
+
+-- Начальные остатки: баланс, накопленный до появления журнала, переносится одной корректировкой
+INSERT INTO bonus_transactions (phone, type, amount, balance_after, comment)
+SELECT latest.phone, 'adjustment', latest.bonus_balances, latest.bonus_balances,
+       'Начальный остаток до ведения журнала операций'
+FROM (
+  SELECT DISTINCT ON (phone) phone, bonus_balances
+  FROM bonuses_balance
+  ORDER BY phone, last_date_visit DESC NULLS LAST, id DESC
+) AS latest
+WHERE COALESCE(latest.bonus_balances, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM bonus_transactions bt WHERE bt.phone = latest.phone);
+
+-- Журнал только дополняется: исправления оформляются новыми записями (reversal, adjustment)
+CREATE OR REPLACE FUNCTION bonus_transactions_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'bonus_transactions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bonus_transactions_no_modify ON bonus_transactions;
+CREATE TRIGGER bonus_transactions_no_modify
+  BEFORE UPDATE OR DELETE ON bonus_transactions
+  FOR EACH ROW EXECUTE FUNCTION bonus_transactions_append_only();
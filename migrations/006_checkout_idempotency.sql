@@ -0,0 +1,8 @@
+-- Повторная отправка формы с тем же Idempotency-Key возвращает исходную запись
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS guests_idempotency_key_uidx
+  ON guests (idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS guests_shelter_booking_id_idx ON guests (shelter_booking_id);
@@ -0,0 +1,9 @@
+-- Исправление и аннулирование выездов
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS previous_loyalty_level VARCHAR(80);
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES staff_users (id);
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS voided_by INTEGER REFERENCES staff_users (id);
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS void_reason VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS guests_created_at_idx ON guests (created_at DESC);
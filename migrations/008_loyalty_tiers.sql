@@ -0,0 +1,35 @@
+-- Настраиваемые уровни лояльности: пороги по визитам и тратам за скользящий период, проценты уровня
+CREATE TABLE IF NOT EXISTS loyalty_tiers (
+  id SERIAL PRIMARY KEY,
+  position INTEGER NOT NULL UNIQUE,
+  name VARCHAR(80) NOT NULL,
+  min_visits INTEGER CHECK (min_visits >= 0),
+  min_spend NUMERIC(12, 2) CHECK (min_spend >= 0),
+  qualify_mode VARCHAR(3) NOT NULL DEFAULT 'any' CHECK (qualify_mode IN ('any', 'all')),
+  accrual_percent NUMERIC(5, 2) NOT NULL CHECK (accrual_percent BETWEEN 0 AND 100),
+  max_redemption_percent NUMERIC(5, 2) NOT NULL CHECK (max_redemption_percent BETWEEN 0 AND 100),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Настройки программы — одна строка
+CREATE TABLE IF NOT EXISTS loyalty_settings (
+  id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  qualification_period_days INTEGER NOT NULL DEFAULT 730 CHECK (qualification_period_days > 0),
+  inactivity_days INTEGER CHECK (inactivity_days > 0),
+  downgrade_steps INTEGER NOT NULL DEFAULT 1 CHECK (downgrade_steps > 0),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_by INTEGER REFERENCES staff_users (id)
+);
+
+-- Прежняя лестница «каждый визит — следующий уровень» и проценты по умолчанию
+INSERT INTO loyalty_tiers (position, name, min_visits, accrual_percent, max_redemption_percent)
+VALUES
+  (1, '1 СЕЗОН', NULL, 5, 20),
+  (2, '2 СЕЗОНА', 1, 7, 30),
+  (3, '3 СЕЗОНА', 2, 10, 40),
+  (4, '4 СЕЗОНА', 3, 15, 50)
+ON CONFLICT (position) DO NOTHING;
+
+INSERT INTO loyalty_settings (id, qualification_period_days, inactivity_days, downgrade_steps)
+VALUES (1, 730, 365, 1)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,9 @@
+-- Правила сгорания баллов; NULL — правило выключено
+ALTER TABLE loyalty_settings ADD COLUMN IF NOT EXISTS points_expiry_months INTEGER
+  CHECK (points_expiry_months > 0);
+ALTER TABLE loyalty_settings ADD COLUMN IF NOT EXISTS inactivity_expiry_months INTEGER
+  CHECK (inactivity_expiry_months > 0);
+ALTER TABLE loyalty_settings ADD COLUMN IF NOT EXISTS expiry_warning_days INTEGER NOT NULL DEFAULT 30
+  CHECK (expiry_warning_days >= 0);
+
+CREATE INDEX IF NOT EXISTS bonus_transactions_phone_id_idx ON bonus_transactions (phone, id);
@@ -0,0 +1,60 @@
+-- Профиль гостя: человек отдельно от его визитов. Баллы по-прежнему учитываются по номеру телефона.
+CREATE TABLE IF NOT EXISTS guest_profiles (
+  id SERIAL PRIMARY KEY,
+  last_name VARCHAR(120) NOT NULL,
+  first_name VARCHAR(120) NOT NULL,
+  email VARCHAR(254),
+  birthday DATE,
+  data_processing_consent BOOLEAN NOT NULL DEFAULT FALSE,
+  marketing_consent BOOLEAN NOT NULL DEFAULT FALSE,
+  consent_updated_at TIMESTAMP WITH TIME ZONE,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_by INTEGER REFERENCES staff_users (id),
+  updated_at TIMESTAMP WITH TIME ZONE,
+  updated_by INTEGER REFERENCES staff_users (id)
+);
+
+-- Номер принадлежит только одному профилю; у профиля один основной номер
+CREATE TABLE IF NOT EXISTS guest_profile_phones (
+  phone VARCHAR(10) PRIMARY KEY,
+  profile_id INTEGER NOT NULL REFERENCES guest_profiles (id) ON DELETE CASCADE,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS guest_profile_phones_profile_idx ON guest_profile_phones (profile_id);
+CREATE UNIQUE INDEX IF NOT EXISTS guest_profile_phones_primary_uidx
+  ON guest_profile_phones (profile_id) WHERE is_primary;
+
+ALTER TABLE guests ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES guest_profiles (id);
+CREATE INDEX IF NOT EXISTS guests_profile_id_idx ON guests (profile_id);
+
+-- Профиль на каждый номер без профиля: имя из bonuses_balance, если записи нет — из последнего выезда
+CREATE TEMP TABLE profile_backfill AS
+SELECT DISTINCT ON (phone) phone, last_name, first_name
+FROM (
+  SELECT phone, last_name, first_name, 1 AS source_priority, last_date_visit AS seen_at, id
+  FROM bonuses_balance
+  UNION ALL
+  SELECT guest_phone, last_name, first_name, 2, checkin_date, id
+  FROM guests
+) AS sources
+WHERE phone NOT IN (SELECT phone FROM guest_profile_phones)
+ORDER BY phone, source_priority, seen_at DESC NULLS LAST, id DESC;
+
+ALTER TABLE profile_backfill ADD COLUMN profile_id INTEGER;
+UPDATE profile_backfill SET profile_id = nextval('guest_profiles_id_seq');
+
+INSERT INTO guest_profiles (id, last_name, first_name)
+SELECT profile_id, last_name, first_name FROM profile_backfill;
+
+INSERT INTO guest_profile_phones (phone, profile_id, is_primary)
+SELECT phone, profile_id, TRUE FROM profile_backfill;
+
+DROP TABLE profile_backfill;
+
+UPDATE guests g
+SET profile_id = p.profile_id
+FROM guest_profile_phones p
+WHERE p.phone = g.guest_phone AND g.profile_id IS NULL;
@@ -0,0 +1,4 @@
+-- Дата проживания для операций с баллами, внесённых задним числом (импорт истории выездов).
+-- created_at всегда остаётся временем записи в журнал, поэтому balance_after согласован с порядком записей,
+-- а срок сгорания таких баллов считается от stay_date.
+ALTER TABLE bonus_transactions ADD COLUMN IF NOT EXISTS stay_date DATE;
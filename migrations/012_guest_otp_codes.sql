@@ -0,0 +1,15 @@
+-- Одноразовые коды для просмотра баланса гостем. Хранится только HMAC кода;
+-- использованные и просроченные коды удаляются при выдаче новых.
+CREATE TABLE IF NOT EXISTS guest_otp_codes (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(10) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  request_ip VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS guest_otp_codes_phone_created_idx ON guest_otp_codes (phone, created_at);
+CREATE INDEX IF NOT EXISTS guest_otp_codes_created_idx ON guest_otp_codes (created_at);
@@ -0,0 +1,23 @@
+-- Сообщения гостям о начисленных баллах и новом уровне. Очередь заполняется в транзакции выезда
+-- и отправляется фоновой задачей, поэтому медленный провайдер не задерживает ответ ресепшену.
+ALTER TABLE guest_profiles ADD COLUMN IF NOT EXISTS telegram_chat_id VARCHAR(32);
+
+CREATE TABLE IF NOT EXISTS guest_notifications (
+  id BIGSERIAL PRIMARY KEY,
+  profile_id INTEGER NOT NULL REFERENCES guest_profiles (id) ON DELETE CASCADE,
+  guest_id INTEGER REFERENCES guests (id),
+  template VARCHAR(40) NOT NULL,
+  channel VARCHAR(20) NOT NULL,
+  recipient VARCHAR(254) NOT NULL,
+  subject VARCHAR(200),
+  message TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_error VARCHAR(500),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS guest_notifications_pending_idx ON guest_notifications (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS guest_notifications_profile_idx ON guest_notifications (profile_id, created_at DESC);
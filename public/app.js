@@ -50,14 +50,99 @@ const resolveApiBase = () => {
 const API_BASE = resolveApiBase();
 const API = {
   AUTH: `${API_BASE}/api/auth`,
+  REFRESH: `${API_BASE}/api/auth/refresh`,
+  LOGOUT: `${API_BASE}/api/auth/logout`,
   SEARCH: `${API_BASE}/api/bonuses/search`,
   ADD: `${API_BASE}/api/guests`,
+  RECENT: `${API_BASE}/api/guests/recent`,
+  GUEST_SEARCH: `${API_BASE}/api/guests/search`,
+  GUEST: (id) => `${API_BASE}/api/guests/${encodeURIComponent(id)}`,
+  VOID: (id) => `${API_BASE}/api/guests/${encodeURIComponent(id)}/void`,
+  TRANSACTIONS: (phone) => `${API_BASE}/api/guests/${encodeURIComponent(phone)}/transactions`,
+  GUESTS: `${API_BASE}/api/guests`,
+  BONUSES: `${API_BASE}/api/bonuses`,
+  REPORT_SUMMARY: `${API_BASE}/api/reports/summary`,
+  REPORT_TIMESERIES: `${API_BASE}/api/reports/timeseries`,
+  SHELTER_BOOKING: (id) => `${API_BASE}/api/shelter/bookings/${encodeURIComponent(id)}`,
   CONFIG: `${API_BASE}/api/config`
 };
 
+const SESSION_ERROR_CODES = new Set(['SESSION_REQUIRED', 'SESSION_EXPIRED', 'SESSION_REVOKED']);
+
+const sessionState = {
+  onExpired: null,
+  refreshTimer: null,
+  user: null
+};
+
+const ROLE_LABELS = {
+  reception: 'ресепшн',
+  manager: 'менеджер',
+  admin: 'администратор'
+};
+
+const apiFetch = async (url, options = {}) => {
+  const response = await fetch(url, { credentials: 'include', ...options });
+
+  if (response.status === 401) {
+    const body = await response.clone().json().catch(() => ({}));
+    if (SESSION_ERROR_CODES.has(body?.code) && typeof sessionState.onExpired === 'function') {
+      sessionState.onExpired(body.message);
+    }
+  }
+
+  return response;
+};
+
+const clearSessionRefresh = () => {
+  if (sessionState.refreshTimer) {
+    clearTimeout(sessionState.refreshTimer);
+    sessionState.refreshTimer = null;
+  }
+};
+
+const refreshSession = async ({ silent = false } = {}) => {
+  const request = silent ? fetch : apiFetch;
+  const response = await request(API.REFRESH, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Accept': 'application/json' }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data?.success) {
+    return null;
+  }
+
+  return data;
+};
+
+// Продлеваем сессию на середине оставшегося срока, пока вкладка открыта
+const scheduleSessionRefresh = (expiresAt) => {
+  clearSessionRefresh();
+
+  const expiresAtMs = Date.parse(expiresAt || '');
+  if (!Number.isFinite(expiresAtMs)) {
+    return;
+  }
+
+  const delay = Math.max((expiresAtMs - Date.now()) / 2, 30_000);
+  sessionState.refreshTimer = setTimeout(async () => {
+    try {
+      const data = await refreshSession();
+      if (data) {
+        scheduleSessionRefresh(data.expiresAt);
+      }
+    } catch (error) {
+      console.warn('Не удалось продлить сессию:', error);
+    }
+  }, delay);
+};
+
 const configState = {
   loaded: false,
-  authDisabled: false
+  authDisabled: false,
+  shelterEnabled: false
 };
 
 const loadServerConfig = async () => {
@@ -66,9 +151,8 @@ const loadServerConfig = async () => {
   }
 
   try {
-    const response = await fetch(API.CONFIG, {
+    const response = await apiFetch(API.CONFIG, {
       method: 'GET',
-      credentials: 'include',
       headers: { 'Accept': 'application/json' }
     });
 
@@ -78,9 +162,11 @@ const loadServerConfig = async () => {
 
     const data = await response.json();
     configState.authDisabled = Boolean(data?.authDisabled);
+    configState.shelterEnabled = Boolean(data?.shelterEnabled);
   } catch (error) {
     console.warn('Не удалось получить конфигурацию сервера:', error);
     configState.authDisabled = false;
+    configState.shelterEnabled = false;
   } finally {
     configState.loaded = true;
   }
@@ -121,6 +207,125 @@ function formatDate(dateStr) {
   return dateStr;
 }
 
+const TRANSACTION_TYPE_LABELS = {
+  accrual: 'Начисление',
+  redemption: 'Списание',
+  adjustment: 'Корректировка',
+  expiration: 'Сгорание',
+  reversal: 'Сторно'
+};
+
+const HISTORY_PAGE_SIZE = 20;
+const RECENT_PAGE_SIZE = 10;
+
+// Ключ идемпотентности: один на содержимое формы, повторная отправка тех же данных переиспользует его
+const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+// Выезды, не отправленные из-за обрыва связи, хранятся в IndexedDB и переживают закрытие вкладки.
+// Ключ записи — ключ идемпотентности запроса: повторная отправка не создаст второй выезд,
+// даже если первый запрос дошёл до сервера, а ответ потерялся. Запись принадлежит сотруднику,
+// который её создал (owner_id): другой сотрудник на том же компьютере её не видит и не отправляет.
+const OFFLINE_DB_NAME = 'u4s-loyalty';
+const OFFLINE_STORE = 'pending-checkouts';
+const OFFLINE_RETRY_MS = 30_000;
+
+let offlineDbPromise = null;
+
+const openOfflineDb = () => {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB недоступна в этом браузере'));
+        return;
+      }
+      const request = window.indexedDB.open(OFFLINE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      offlineDbPromise = null;
+      throw error;
+    });
+  }
+  return offlineDbPromise;
+};
+
+const withOfflineStore = async (mode, action) => {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OFFLINE_STORE, mode);
+    const request = action(transaction.objectStore(OFFLINE_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const offlineQueue = {
+  list: async () => {
+    const entries = (await withOfflineStore('readonly', (store) => store.getAll())) || [];
+    return entries.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  },
+  put: (entry) => withOfflineStore('readwrite', (store) => store.put(entry)),
+  remove: (key) => withOfflineStore('readwrite', (store) => store.delete(key))
+};
+
+// fetch отклоняет промис только при сетевой ошибке; ответ сервера с любым статусом сюда не попадает
+const isNetworkError = (error) => error instanceof TypeError;
+
+// Сотрудник текущей вкладки: если страницу перезагрузили без связи, форма открывается без входа,
+// а сессия проверяется, когда связь вернётся
+const SESSION_USER_KEY = 'u4s-session-user';
+
+const rememberSessionUser = (user) => {
+  try {
+    if (user) {
+      window.sessionStorage.setItem(SESSION_USER_KEY, JSON.stringify(user));
+    } else {
+      window.sessionStorage.removeItem(SESSION_USER_KEY);
+    }
+  } catch (error) {
+    console.warn('Не удалось сохранить данные сессии во вкладке:', error);
+  }
+};
+
+const readRememberedSessionUser = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_USER_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+function formatSignedInteger(n) {
+  const value = Number(n) || 0;
+  return `${value > 0 ? '+' : ''}${formatInteger(value)}`;
+}
+
+function formatDateTime(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return '—';
+  return date.toLocaleString('ru-RU', {
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function formatPhone(digits) {
+  const value = String(digits || '');
+  if (value.length !== 10) return value;
+  return `+7 (${value.slice(0, 3)}) ${value.slice(3, 6)}-${value.slice(6, 8)}-${value.slice(8)}`;
+}
+
 function formatDateForBackend(dateStr) {
   const [d, m, y] = (dateStr || '').split('-');
   if (d && m && y) return `${d}.${m}.${y}`;
@@ -208,6 +413,26 @@ function applyPhoneMask(input) {
   });
 }
 
+const debounce = (fn, ms = 600) => {
+  let timeoutId;
+  const debounced = (...args) => {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+    timeoutId = window.setTimeout(() => {
+      timeoutId = null;
+      fn(...args);
+    }, ms);
+  };
+  debounced.cancel = () => {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
+  return debounced;
+};
+
 function unlockAndClear() {
   ['last_name', 'first_name'].forEach((id) => {
     const el = D(id);
@@ -219,7 +444,434 @@ function unlockAndClear() {
   });
 }
 
+// === ПАНЕЛЬ МЕНЕДЖЕРА ===
+// Отдельный экран #dashboard для ролей manager и admin: показатели за период из /api/reports,
+// графики (SVG без внешних библиотек) и таблицы выездов и балансов с поиском.
+
+const DASHBOARD_ROUTE = '#dashboard';
+const DASHBOARD_ROLES = new Set(['manager', 'admin']);
+const DASHBOARD_PAGE_SIZE = 20;
+const DASHBOARD_DEFAULT_DAYS = 30;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const canViewDashboard = () =>
+  configState.authDisabled || DASHBOARD_ROLES.has(sessionState.user?.role);
+
+const isDashboardRoute = () => window.location.hash === DASHBOARD_ROUTE;
+
+function toDateInputValue(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function formatMoney(n) {
+  return `${formatInteger(n)} ₽`;
+}
+
+// Подпись точки графика: день — ДД.ММ, месяц — ММ.ГГГГ
+function formatPeriodLabel(periodStart, groupBy) {
+  const [y, m, d] = String(periodStart).split('-');
+  return groupBy === 'month' ? `${m}.${y}` : `${d}.${m}`;
+}
+
+// Поиск в таблицах: цифры — начало номера телефона, иначе — начало фамилии
+function buildSearchParams(query) {
+  const value = (query || '').trim();
+  if (!value) return {};
+  return /^[\d\s()+-]+$/.test(value) ? { phone: value } : { last_name: value };
+}
+
+function createSvgElement(tag, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, String(value)));
+  return el;
+}
+
+// Столбчатая диаграмма: series — [{ className, value(point) }], столбцы серий ставятся друг на друга
+function renderBarChart(container, points, { series, label, describe }) {
+  if (!container) return;
+  container.replaceChildren();
+
+  if (!points.length) {
+    return;
+  }
+
+  const width = 640;
+  const height = 220;
+  const padding = { top: 12, right: 8, bottom: 28, left: 8 };
+  const plotHeight = height - padding.top - padding.bottom;
+  const step = (width - padding.left - padding.right) / points.length;
+  const barWidth = Math.max(step * 0.7, 1);
+  const totals = points.map((point) => series.reduce((sum, item) => sum + (item.value(point) || 0), 0));
+  const max = Math.max(...totals, 1);
+  // Подписи оси — не чаще чем через 40 единиц ширины, чтобы не налезали друг на друга
+  const labelEvery = Math.max(Math.ceil(40 / step), 1);
+
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    class: 'chart-svg',
+    preserveAspectRatio: 'none'
+  });
+  svg.append(
+    createSvgElement('line', {
+      x1: padding.left,
+      x2: width - padding.right,
+      y1: padding.top + plotHeight,
+      y2: padding.top + plotHeight,
+      class: 'chart-axis'
+    })
+  );
+
+  points.forEach((point, index) => {
+    const x = padding.left + index * step + (step - barWidth) / 2;
+    let y = padding.top + plotHeight;
+    const group = createSvgElement('g');
+
+    series.forEach((item) => {
+      const barHeight = ((item.value(point) || 0) / max) * plotHeight;
+      if (barHeight <= 0) return;
+      y -= barHeight;
+      group.append(
+        createSvgElement('rect', { x, y, width: barWidth, height: barHeight, class: `chart-bar ${item.className}` })
+      );
+    });
+
+    const title = createSvgElement('title');
+    title.textContent = describe(point);
+    group.append(title);
+    svg.append(group);
+
+    if (index % labelEvery === 0) {
+      const text = createSvgElement('text', {
+        x: x + barWidth / 2,
+        y: height - 8,
+        class: 'chart-label',
+        'text-anchor': 'middle'
+      });
+      text.textContent = label(point);
+      svg.append(text);
+    }
+  });
+
+  container.append(svg);
+}
+
+function initDashboard() {
+  const block = D('dashboard-block');
+  const periodForm = D('dashboard-period');
+  const fromInput = D('report_from');
+  const toInput = D('report_to');
+  const groupSelect = D('report_group');
+  const applyBtn = D('reportApplyBtn');
+  const status = D('dashboard-status');
+  const kpis = D('dashboard-kpis');
+  const revenueChart = D('revenue-chart');
+  const guestsChart = D('guests-chart');
+  const tierList = D('tier-report-list');
+  const tierDistribution = D('tier-distribution');
+
+  if (!block) {
+    return null;
+  }
+
+  const setText = (el, text) => {
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('hidden', !text);
+  };
+
+  const createCell = (text, className) => {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  };
+
+  const withNote = (cell, text) => {
+    const note = document.createElement('span');
+    note.className = 'row-note';
+    note.textContent = text;
+    cell.append(note);
+    return cell;
+  };
+
+  const fetchJson = async (url, params) => {
+    const query = new URLSearchParams(params).toString();
+    const resp = await apiFetch(query ? `${url}?${query}` : url, {
+      headers: { 'Accept': 'application/json' }
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data?.success === false) {
+      throw new Error(data?.message || `Ошибка запроса: ${resp.status}`);
+    }
+    return data;
+  };
+
+  // --- Показатели и графики за период ---
+
+  const KPI_CARDS = [
+    { label: 'Выручка', value: (totals) => formatMoney(totals.revenue) },
+    { label: 'Выездов', value: (totals) => formatInteger(totals.checkouts) },
+    { label: 'Средний чек', value: (totals) => formatMoney(totals.average_bill) },
+    {
+      label: 'Баллы: начислено / списано',
+      value: (totals) => `${formatInteger(totals.points_accrued)} / ${formatInteger(totals.points_redeemed)}`
+    },
+    {
+      label: 'Гости: новые / вернувшиеся',
+      value: (totals) => `${formatInteger(totals.new_guests)} / ${formatInteger(totals.returning_guests)}`
+    }
+  ];
+
+  const renderKpis = (totals) => {
+    kpis?.replaceChildren(
+      ...KPI_CARDS.map((card) => {
+        const el = document.createElement('div');
+        el.className = 'summary-card';
+        const label = document.createElement('span');
+        label.className = 'summary-label';
+        label.textContent = card.label;
+        const value = document.createElement('span');
+        value.className = 'summary-value';
+        value.textContent = card.value(totals);
+        el.append(label, value);
+        return el;
+      })
+    );
+  };
+
+  const renderTiers = (tiers) => {
+    if (!tierList) return;
+    if (!tiers.length) {
+      const row = document.createElement('tr');
+      row.append(createCell('Выездов за период нет', 'empty-row'));
+      row.firstChild.colSpan = 5;
+      tierList.replaceChildren(row);
+      return;
+    }
+    tierList.replaceChildren(
+      ...tiers.map((tier) => {
+        const row = document.createElement('tr');
+        row.append(
+          createCell(tier.loyalty_level || 'Без уровня'),
+          createCell(formatInteger(tier.checkouts), 'numeric'),
+          createCell(formatMoney(tier.revenue), 'numeric'),
+          createCell(formatMoney(tier.average_bill), 'numeric'),
+          createCell(`${formatInteger(tier.points_accrued)} / ${formatInteger(tier.points_redeemed)}`, 'numeric')
+        );
+        return row;
+      })
+    );
+  };
+
+  const renderTierDistribution = (items) => {
+    if (!tierDistribution) return;
+    const max = Math.max(...items.map((item) => item.guests), 1);
+    tierDistribution.replaceChildren(
+      ...items.map((item) => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+
+        const name = document.createElement('span');
+        name.className = 'bar-label';
+        name.textContent = item.loyalty_level || 'Без уровня';
+
+        const track = document.createElement('span');
+        track.className = 'bar-track';
+        const fill = document.createElement('span');
+        fill.className = 'bar-fill';
+        fill.style.width = `${(item.guests / max) * 100}%`;
+        track.append(fill);
+
+        const value = document.createElement('span');
+        value.className = 'bar-value';
+        value.textContent = `${formatInteger(item.guests)} · ${formatInteger(item.points_balance)} баллов`;
+
+        row.append(name, track, value);
+        return row;
+      })
+    );
+  };
+
+  const reportState = { requestId: 0 };
+
+  const loadReports = async () => {
+    const requestId = ++reportState.requestId;
+    const params = { from: fromInput?.value || '', to: toInput?.value || '' };
+    const groupBy = groupSelect?.value || 'day';
+    if (applyBtn) applyBtn.disabled = true;
+    setText(status, 'Загрузка...');
+
+    try {
+      const [summary, series] = await Promise.all([
+        fetchJson(API.REPORT_SUMMARY, params),
+        fetchJson(API.REPORT_TIMESERIES, { ...params, group_by: groupBy })
+      ]);
+      if (requestId !== reportState.requestId) return;
+
+      renderKpis(summary.totals);
+      renderTiers(summary.tiers || []);
+      renderTierDistribution(summary.tier_distribution || []);
+
+      const points = series.data || [];
+      const label = (point) => formatPeriodLabel(point.period_start, groupBy);
+      renderBarChart(revenueChart, points, {
+        series: [{ className: 'revenue', value: (point) => point.revenue }],
+        label,
+        describe: (point) =>
+          `${formatDate(point.period_start)}: ${formatMoney(point.revenue)}, выездов ${point.checkouts}`
+      });
+      renderBarChart(guestsChart, points, {
+        series: [
+          { className: 'new', value: (point) => point.new_guests },
+          { className: 'returning', value: (point) => point.returning_guests }
+        ],
+        label,
+        describe: (point) =>
+          `${formatDate(point.period_start)}: новых ${point.new_guests}, вернувшихся ${point.returning_guests}`
+      });
+      setText(status, summary.totals.checkouts ? '' : 'За выбранный период выездов нет');
+    } catch (error) {
+      if (requestId !== reportState.requestId) return;
+      console.error('Reports error:', error);
+      setText(status, error.message || 'Не удалось загрузить отчёт');
+    } finally {
+      if (requestId === reportState.requestId && applyBtn) applyBtn.disabled = false;
+    }
+  };
+
+  periodForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void loadReports();
+  });
+
+  // --- Таблицы с поиском и подгрузкой ---
+
+  const createTable = ({ url, listId, statusId, moreBtnId, searchId, sort, renderRow, emptyText }) => {
+    const list = D(listId);
+    const tableStatus = D(statusId);
+    const moreBtn = D(moreBtnId);
+    const search = D(searchId);
+    const state = { offset: 0, requestId: 0 };
+
+    const load = async ({ reset = false } = {}) => {
+      if (!list) return;
+      const requestId = ++state.requestId;
+      if (reset) state.offset = 0;
+      setText(tableStatus, 'Загрузка...');
+
+      try {
+        const data = await fetchJson(url, {
+          ...sort,
+          ...buildSearchParams(search?.value),
+          limit: DASHBOARD_PAGE_SIZE,
+          offset: state.offset
+        });
+        if (requestId !== state.requestId) return;
+
+        const rows = Array.isArray(data.data) ? data.data : [];
+        if (reset) list.replaceChildren();
+        rows.forEach((entry) => list.append(renderRow(entry)));
+
+        state.offset += rows.length;
+        moreBtn?.classList.toggle('hidden', state.offset >= (data.pagination?.total || 0));
+        setText(tableStatus, state.offset ? '' : emptyText);
+      } catch (error) {
+        if (requestId !== state.requestId) return;
+        console.error('Dashboard table error:', error);
+        setText(tableStatus, error.message || 'Не удалось загрузить данные');
+      }
+    };
+
+    const reload = debounce(() => load({ reset: true }), 400);
+    search?.addEventListener('input', reload);
+    search?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        reload.cancel();
+        void load({ reset: true });
+      }
+    });
+    if (moreBtn) {
+      moreBtn.onclick = () => {
+        void load();
+      };
+    }
+
+    return { load };
+  };
+
+  const checkoutsTable = createTable({
+    url: API.GUESTS,
+    listId: 'dashboard-checkouts',
+    statusId: 'dashboard-checkouts-status',
+    moreBtnId: 'dashboardCheckoutsMoreBtn',
+    searchId: 'dashboard_checkout_search',
+    sort: { sort: 'created_at', order: 'desc' },
+    emptyText: 'Выезды не найдены',
+    renderRow: (entry) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('is-voided', Boolean(entry.voided_at));
+      row.append(
+        createCell(formatDateTime(entry.created_at)),
+        withNote(
+          createCell(`${entry.last_name} ${entry.first_name}`),
+          `${formatPhone(entry.guest_phone)} · заезд ${formatDate(entry.checkin_date)}`
+        ),
+        createCell(entry.shelter_booking_id),
+        createCell(entry.loyalty_level || '—'),
+        createCell(formatInteger(entry.total_amount), 'numeric'),
+        createCell(
+          `${formatSignedInteger(entry.bonus_earned)} / ${formatSignedInteger(-(entry.bonus_spent || 0))}`,
+          'numeric'
+        )
+      );
+      return row;
+    }
+  });
+
+  const balancesTable = createTable({
+    url: API.BONUSES,
+    listId: 'dashboard-balances',
+    statusId: 'dashboard-balances-status',
+    moreBtnId: 'dashboardBalancesMoreBtn',
+    searchId: 'dashboard_balance_search',
+    sort: { sort: 'bonus_balances', order: 'desc' },
+    emptyText: 'Гости не найдены',
+    renderRow: (entry) => {
+      const row = document.createElement('tr');
+      row.append(
+        withNote(createCell(`${entry.last_name} ${entry.first_name}`), formatPhone(entry.phone)),
+        createCell(entry.loyalty_level || '—'),
+        createCell(formatInteger(entry.bonus_balances), 'numeric'),
+        createCell(formatInteger(entry.visits_total), 'numeric'),
+        createCell(formatDate(entry.last_date_visit))
+      );
+      return row;
+    }
+  });
+
+  const open = () => {
+    if (fromInput && toInput && !toInput.value) {
+      const to = new Date();
+      const from = new Date();
+      from.setDate(from.getDate() - (DASHBOARD_DEFAULT_DAYS - 1));
+      toInput.value = toDateInputValue(to);
+      fromInput.value = toDateInputValue(from);
+    }
+    void loadReports();
+    void checkoutsTable.load({ reset: true });
+    void balancesTable.load({ reset: true });
+  };
+
+  return { block, open };
+}
+
 async function initFlexbeApp() {
+  const loginInput = D('login');
   const pass = D('pass');
   const enterBtn = D('enterBtn');
   const wrong = D('wrong-pass');
@@ -229,6 +881,8 @@ async function initFlexbeApp() {
   const msg = D('message');
   const submitBtn = D('submitBtn');
   const nextGuestBtn = D('nextGuestBtn');
+  const logoutBtn = D('logoutBtn');
+  const sessionUserEl = D('session-user');
   const dateField = D('checkin_date');
   const loyaltyField = D('loyalty_level');
   const form = D('checkout-form');
@@ -266,14 +920,37 @@ async function initFlexbeApp() {
   }
 
   const guestInfo = D('guest-info');
+  const expiryWarning = D('expiry-warning');
+  const historyToggleBtn = D('historyToggleBtn');
+  const historyDrawer = D('history-drawer');
+  const historyList = D('history-list');
+  const historyStatus = D('history-status');
+  const historyMoreBtn = D('historyMoreBtn');
   const newGuest = D('new-guest-info');
   const phoneError = D('phone-error');
+  const bonusInput = D('bonus_spent');
+  const bonusHelp = D('bonus-help');
+  const bonusError = D('bonus-error');
   const phoneIncomplete = D('phone-incomplete');
   const searching = D('searching-guest');
   const authBanner = D('auth-disabled-banner');
   const dependentElements = Array.from(form.querySelectorAll('[data-requires-phone]'));
 
   const defaultWrongText = (wrong?.textContent || 'Неверный пароль!').trim();
+
+  const applySessionUser = (user) => {
+    sessionState.user = user || null;
+    rememberSessionUser(sessionState.user);
+    if (!sessionUserEl) return;
+    if (!user) {
+      sessionUserEl.textContent = '';
+      sessionUserEl.classList.add('hidden');
+      return;
+    }
+    const roleLabel = ROLE_LABELS[user.role] || user.role;
+    sessionUserEl.textContent = `${user.name} (${roleLabel})`;
+    sessionUserEl.classList.remove('hidden');
+  };
   const phoneErrorDefaultText = (phoneError?.textContent || '⚠️ Неверный формат номера').trim();
 
   const showPasswordError = (text) => {
@@ -298,6 +975,51 @@ async function initFlexbeApp() {
     phoneError.classList.remove('hidden');
   };
 
+  const showBonusError = (text) => {
+    if (!bonusError) return;
+    bonusError.textContent = text || '';
+    bonusError.classList.toggle('hidden', !text);
+    bonusInput?.classList.toggle('has-error', Boolean(text));
+  };
+
+  const showBonusHelp = (guest) => {
+    if (!bonusHelp) return;
+    const rules = guest?.redemption_rules;
+    if (!rules) {
+      bonusHelp.textContent = '';
+      bonusHelp.classList.add('hidden');
+      return;
+    }
+    const accrualText = Number.isFinite(guest.accrual_percent)
+      ? ` Начисление — ${guest.accrual_percent}% от оплаты.`
+      : '';
+    bonusHelp.textContent =
+      `Доступно ${formatInteger(guest.current_balance)} баллов. ` +
+      `Списание от ${formatInteger(rules.min_points)}, не более ${rules.max_share_percent}% счёта.` +
+      accrualText;
+    bonusHelp.classList.remove('hidden');
+  };
+
+  bonusInput?.addEventListener('input', () => showBonusError());
+
+  // Предупреждение о баллах, которые скоро сгорят: ресепшн может предложить гостю их потратить
+  const showExpiryWarning = (expiringSoon) => {
+    if (!expiryWarning) return;
+    const items = expiringSoon?.items || [];
+    if (!items.length) {
+      expiryWarning.textContent = '';
+      expiryWarning.classList.add('hidden');
+      return;
+    }
+    const details = items
+      .map((item) => `${formatInteger(item.amount)} — ${formatDate(item.expires_at)}`)
+      .join(', ');
+    expiryWarning.textContent =
+      `⏳ Скоро сгорят ${formatInteger(expiringSoon.total)} баллов: ${details}. ` +
+      'Предложите гостю списать их при оплате.';
+    expiryWarning.classList.remove('hidden');
+  };
+
   const setDependentFieldsEnabled = (enabled) => {
     dependentElements.forEach((el) => {
       if (!enabled) {
@@ -316,8 +1038,608 @@ async function initFlexbeApp() {
   };
 
   let lastSearchRequestId = 0;
+  // Начальный уровень программы лояльности приходит с сервера вместе с результатом поиска
+  let entryLevel = '';
+
+  const historyState = {
+    phone: null,
+    offset: 0,
+    total: 0,
+    loading: false
+  };
+
+  const setHistoryStatus = (text) => {
+    if (!historyStatus) return;
+    historyStatus.textContent = text || '';
+    historyStatus.classList.toggle('hidden', !text);
+  };
+
+  const resetHistory = (phoneDigits = null) => {
+    historyState.phone = phoneDigits;
+    historyState.offset = 0;
+    historyState.total = 0;
+    historyList?.replaceChildren();
+    historyDrawer?.classList.add('hidden');
+    historyMoreBtn?.classList.add('hidden');
+    historyToggleBtn?.setAttribute('aria-expanded', 'false');
+    setHistoryStatus();
+  };
+
+  const renderHistoryItem = (entry) => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const date = document.createElement('span');
+    date.className = 'history-date';
+    date.textContent = formatDate(entry.created_at);
+
+    const type = document.createElement('span');
+    type.textContent = TRANSACTION_TYPE_LABELS[entry.type] || entry.type;
+
+    const amount = document.createElement('span');
+    amount.className = `history-amount ${entry.amount < 0 ? 'negative' : 'positive'}`;
+    amount.textContent = formatSignedInteger(entry.amount);
+
+    item.append(date, type, amount);
+
+    const noteParts = [];
+    if (entry.booking_id) noteParts.push(`Бронь ${entry.booking_id}`);
+    if (entry.stay_date) noteParts.push(`Проживание ${formatDate(entry.stay_date)}`);
+    if (entry.comment) noteParts.push(entry.comment);
+    noteParts.push(`Остаток: ${formatInteger(entry.balance_after)}`);
+
+    const note = document.createElement('span');
+    note.className = 'history-note';
+    note.textContent = noteParts.join(' · ');
+    item.append(note);
+
+    return item;
+  };
+
+  const loadHistoryPage = async () => {
+    if (!historyState.phone || historyState.loading) return;
+    const requestedPhone = historyState.phone;
+    historyState.loading = true;
+    setHistoryStatus('Загрузка...');
+
+    try {
+      const url = `${API.TRANSACTIONS(requestedPhone)}?limit=${HISTORY_PAGE_SIZE}&offset=${historyState.offset}`;
+      const resp = await apiFetch(url);
+      const data = await resp.json().catch(() => ({}));
+
+      if (requestedPhone !== historyState.phone) {
+        return;
+      }
+
+      if (!resp.ok || data?.success === false) {
+        throw new Error(data?.message || 'Ошибка загрузки истории');
+      }
+
+      const entries = Array.isArray(data.data) ? data.data : [];
+      entries.forEach((entry) => historyList?.append(renderHistoryItem(entry)));
+
+      historyState.offset += entries.length;
+      historyState.total = data.pagination?.total || 0;
+      historyMoreBtn?.classList.toggle('hidden', historyState.offset >= historyState.total);
+      setHistoryStatus(historyState.total ? '' : 'Операций пока нет');
+    } catch (error) {
+      console.error('History error:', error);
+      setHistoryStatus('Не удалось загрузить историю операций');
+    } finally {
+      historyState.loading = false;
+    }
+  };
+
+  if (historyToggleBtn) {
+    historyToggleBtn.onclick = () => {
+      const isOpen = !historyDrawer?.classList.contains('hidden');
+      historyDrawer?.classList.toggle('hidden', isOpen);
+      historyToggleBtn.setAttribute('aria-expanded', String(!isOpen));
+
+      if (!isOpen && historyState.offset === 0) {
+        void loadHistoryPage();
+      }
+    };
+  }
+
+  if (historyMoreBtn) {
+    historyMoreBtn.onclick = () => {
+      void loadHistoryPage();
+    };
+  }
+
+  const recentList = D('recent-list');
+  const recentStatus = D('recent-status');
+  const recentHint = D('recent-hint');
+  const recentMoreBtn = D('recentMoreBtn');
+  const recentRefreshBtn = D('recentRefreshBtn');
+  const editDialog = D('edit-dialog');
+  const editForm = D('edit-form');
+  const editError = D('edit-error');
+  const editSaveBtn = D('editSaveBtn');
+  const voidDialog = D('void-dialog');
+  const voidForm = D('void-form');
+  const voidReason = D('void_reason');
+  const voidSummary = D('void-summary');
+  const voidError = D('void-error');
+  const voidConfirmBtn = D('voidConfirmBtn');
+
+  const recentState = {
+    offset: 0,
+    loading: false,
+    selected: null
+  };
+
+  const setRecentStatus = (text) => {
+    if (!recentStatus) return;
+    recentStatus.textContent = text || '';
+    recentStatus.classList.toggle('hidden', !text);
+  };
+
+  const showDialogError = (el, text) => {
+    if (!el) return;
+    el.textContent = text || '';
+    el.classList.toggle('hidden', !text);
+  };
+
+  const createCell = (text, className) => {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  };
+
+  const renderRecentRow = (entry) => {
+    const row = document.createElement('tr');
+    row.classList.toggle('is-voided', Boolean(entry.voided_at));
+
+    const created = createCell(formatDateTime(entry.created_at));
+    if (entry.created_by_name) {
+      const author = document.createElement('span');
+      author.className = 'row-note';
+      author.textContent = entry.created_by_name;
+      created.append(author);
+    }
+
+    const guest = createCell(`${entry.last_name} ${entry.first_name}`);
+    const guestNote = document.createElement('span');
+    guestNote.className = 'row-note';
+    guestNote.textContent = `+7 ${entry.guest_phone} · заезд ${formatDate(entry.checkin_date)}`;
+    guest.append(guestNote);
+
+    const points = `${formatSignedInteger(entry.bonus_earned)} / ${formatSignedInteger(-(entry.bonus_spent || 0))}`;
+
+    const actions = createCell('', 'row-actions');
+    if (entry.voided_at) {
+      actions.textContent = `Аннулирован: ${entry.void_reason || '—'}`;
+    } else if (entry.editable) {
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'link-button';
+      editBtn.textContent = 'Исправить';
+      editBtn.onclick = () => openEditDialog(entry);
+
+      const voidBtn = document.createElement('button');
+      voidBtn.type = 'button';
+      voidBtn.className = 'link-button';
+      voidBtn.textContent = 'Аннулировать';
+      voidBtn.onclick = () => openVoidDialog(entry);
+
+      actions.append(editBtn, voidBtn);
+    }
+
+    row.append(
+      created,
+      guest,
+      createCell(entry.shelter_booking_id),
+      createCell(formatInteger(entry.total_amount), 'numeric'),
+      createCell(points, 'numeric'),
+      actions
+    );
+    return row;
+  };
+
+  const loadRecentCheckouts = async ({ reset = false } = {}) => {
+    if (recentState.loading || !recentList) return;
+    recentState.loading = true;
+    if (reset) {
+      recentState.offset = 0;
+    }
+    setRecentStatus('Загрузка...');
+
+    try {
+      const url = `${API.RECENT}?limit=${RECENT_PAGE_SIZE}&offset=${recentState.offset}`;
+      const resp = await apiFetch(url);
+      const data = await resp.json().catch(() => ({}));
+
+      if (!resp.ok || data?.success === false) {
+        throw new Error(data?.message || 'Ошибка загрузки выездов');
+      }
+
+      const entries = Array.isArray(data.data) ? data.data : [];
+      if (reset) {
+        recentList.replaceChildren();
+      }
+      entries.forEach((entry) => recentList.append(renderRecentRow(entry)));
+
+      recentState.offset += entries.length;
+      recentMoreBtn?.classList.toggle('hidden', entries.length < RECENT_PAGE_SIZE);
+      if (recentHint) {
+        recentHint.textContent = `Исправить или аннулировать выезд можно в течение ${data.edit_window_hours} ч после регистрации.`;
+      }
+      setRecentStatus(recentState.offset ? '' : 'Выездов пока нет');
+    } catch (error) {
+      console.error('Recent checkouts error:', error);
+      setRecentStatus('Не удалось загрузить последние выезды');
+    } finally {
+      recentState.loading = false;
+    }
+  };
+
+  const EDIT_FIELDS = [
+    'guest_phone',
+    'last_name',
+    'first_name',
+    'checkin_date',
+    'shelter_booking_id',
+    'total_amount',
+    'bonus_spent'
+  ];
+
+  function openEditDialog(entry) {
+    recentState.selected = entry;
+    EDIT_FIELDS.forEach((field) => {
+      const input = D(`edit_${field}`);
+      if (!input) return;
+      input.value =
+        field === 'checkin_date' ? String(entry.checkin_date || '').slice(0, 10) : entry[field] ?? '';
+    });
+    showDialogError(editError);
+    editDialog?.showModal();
+  }
+
+  function openVoidDialog(entry) {
+    recentState.selected = entry;
+    if (voidSummary) {
+      voidSummary.textContent =
+        `${entry.last_name} ${entry.first_name}, бронь ${entry.shelter_booking_id}. ` +
+        'Начисленные и списанные баллы будут возвращены.';
+    }
+    if (voidReason) voidReason.value = '';
+    showDialogError(voidError);
+    voidDialog?.showModal();
+    voidReason?.focus();
+  }
+
+  const submitCorrection = async (url, method, payload, errorEl, button) => {
+    if (button) button.disabled = true;
+    try {
+      const resp = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const result = await resp.json().catch(() => ({}));
+
+      if (!resp.ok || result?.success === false) {
+        showDialogError(errorEl, result?.message || 'Не удалось сохранить изменения');
+        return null;
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Correction error:', error);
+      showDialogError(errorEl, 'Не удалось отправить данные. Проверьте соединение.');
+      return null;
+    } finally {
+      if (button) button.disabled = false;
+    }
+  };
+
+  const afterCorrection = (dialog, result) => {
+    dialog?.close();
+    recentState.selected = null;
+    showMessage(
+      'success',
+      `${result.message}. Текущий баланс гостя: ${formatInteger(result.balance?.current_balance)}`
+    );
+    void loadRecentCheckouts({ reset: true });
+  };
+
+  editForm?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const entry = recentState.selected;
+    if (!entry) return;
+
+    const payload = {};
+    EDIT_FIELDS.forEach((field) => {
+      const input = D(`edit_${field}`);
+      if (input) payload[field] = input.value.trim();
+    });
+
+    const result = await submitCorrection(API.GUEST(entry.id), 'PATCH', payload, editError, editSaveBtn);
+    if (result) {
+      afterCorrection(editDialog, result);
+    }
+  });
+
+  voidForm?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const entry = recentState.selected;
+    if (!entry) return;
+
+    const reason = (voidReason?.value || '').trim();
+    if (reason.length < 3) {
+      showDialogError(voidError, 'Укажите причину аннулирования');
+      voidReason?.focus();
+      return;
+    }
+
+    const result = await submitCorrection(API.VOID(entry.id), 'POST', { reason }, voidError, voidConfirmBtn);
+    if (result) {
+      afterCorrection(voidDialog, result);
+    }
+  });
+
+  D('editCancelBtn')?.addEventListener('click', () => editDialog?.close());
+  D('voidCancelBtn')?.addEventListener('click', () => voidDialog?.close());
+
+  if (recentMoreBtn) {
+    recentMoreBtn.onclick = () => {
+      void loadRecentCheckouts();
+    };
+  }
+
+  if (recentRefreshBtn) {
+    recentRefreshBtn.onclick = () => {
+      void loadRecentCheckouts({ reset: true });
+    };
+  }
+
+  // Очередь выездов, сохранённых без связи: индикатор в шапке формы, список с ошибками и повторная отправка
+  const offlineQueueBtn = D('offlineQueueBtn');
+  const offlineQueueBlock = D('offline-queue');
+  const offlineQueueList = D('offline-queue-list');
+  const offlineQueueStatus = D('offline-queue-status');
+  const offlineQueueSendBtn = D('offlineQueueSendBtn');
+
+  const offlineState = {
+    entries: [],
+    replaying: false,
+    timer: null
+  };
+
+  // Без входа очередь пуста; при отключённой авторизации владелец — null
+  const listOwnOfflineEntries = async () => {
+    if (!isSignedIn) return [];
+    const ownerId = sessionState.user?.id ?? null;
+    return (await offlineQueue.list()).filter((entry) => (entry.owner_id ?? null) === ownerId);
+  };
+
+  const setOfflineQueueStatus = (text) => {
+    if (!offlineQueueStatus) return;
+    offlineQueueStatus.textContent = text || '';
+    offlineQueueStatus.classList.toggle('hidden', !text);
+  };
+
+  const renderOfflineEntry = (entry) => {
+    const item = document.createElement('li');
+    item.className = 'history-item offline-queue-item';
+    item.classList.toggle('is-rejected', entry.status === 'rejected');
+
+    const date = document.createElement('span');
+    date.className = 'history-date';
+    date.textContent = formatDateTime(entry.created_at);
+
+    const { summary } = entry;
+    const guest = document.createElement('span');
+    guest.textContent =
+      `${summary.last_name} ${summary.first_name}, +7 ${summary.guest_phone}, бронь ${summary.shelter_booking_id}, ` +
+      `${formatInteger(summary.total_amount)} ₽`;
+
+    const actions = document.createElement('span');
+    actions.className = 'row-actions';
+    if (entry.status === 'rejected') {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'link-button';
+      removeBtn.textContent = 'Убрать';
+      removeBtn.onclick = async () => {
+        await offlineQueue.remove(entry.key).catch((error) => console.error('Offline queue error:', error));
+        void refreshOfflineQueue();
+      };
+      actions.append(removeBtn);
+    } else {
+      actions.textContent = 'ждёт отправки';
+    }
+
+    item.append(date, guest, actions);
+    if (entry.last_error) {
+      const note = document.createElement('span');
+      note.className = entry.status === 'rejected' ? 'field-error offline-queue-note' : 'history-note offline-queue-note';
+      note.textContent = entry.status === 'rejected' ? `Сервер не принял выезд: ${entry.last_error}` : entry.last_error;
+      item.append(note);
+    }
+    return item;
+  };
+
+  const scheduleOfflineReplay = () => {
+    clearTimeout(offlineState.timer);
+    offlineState.timer = null;
+    if (offlineState.entries.some((entry) => entry.status === 'pending')) {
+      offlineState.timer = setTimeout(() => void replayOfflineQueue(), OFFLINE_RETRY_MS);
+    }
+  };
+
+  const refreshOfflineQueue = async () => {
+    try {
+      offlineState.entries = await listOwnOfflineEntries();
+    } catch (error) {
+      console.error('Offline queue error:', error);
+      offlineState.entries = [];
+    }
+
+    const pending = offlineState.entries.filter((entry) => entry.status === 'pending').length;
+    const rejected = offlineState.entries.length - pending;
+    if (offlineQueueBtn) {
+      offlineQueueBtn.textContent =
+        `📥 В очереди: ${pending}` + (rejected ? ` · ⚠️ не приняты: ${rejected}` : '');
+      offlineQueueBtn.classList.toggle('hidden', !offlineState.entries.length);
+      offlineQueueBtn.classList.toggle('has-errors', rejected > 0);
+    }
+    if (!offlineState.entries.length) {
+      offlineQueueBlock?.classList.add('hidden');
+      offlineQueueBtn?.setAttribute('aria-expanded', 'false');
+    }
+    offlineQueueList?.replaceChildren(...offlineState.entries.map(renderOfflineEntry));
+    offlineQueueSendBtn?.classList.toggle('hidden', !pending);
+    scheduleOfflineReplay();
+  };
+
+  // Если выезд с этой бронью уже ждёт в очереди, запись заменяется. Ключ идемпотентности прежний,
+  // только если данные не изменились: иначе сервер мог уже принять старый вариант по этому ключу
+  const enqueueOfflineCheckout = async (key, body, data) => {
+    const existing = (await listOwnOfflineEntries()).find(
+      (entry) => entry.summary.shelter_booking_id === data.shelter_booking_id
+    );
+    const entryKey = existing?.body === body ? existing.key : key;
+    if (existing && existing.key !== entryKey) {
+      await offlineQueue.remove(existing.key);
+    }
+    await offlineQueue.put({
+      key: entryKey,
+      owner_id: sessionState.user?.id ?? null,
+      body,
+      summary: data,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      created_at: existing?.created_at || new Date().toISOString()
+    });
+    await refreshOfflineQueue();
+  };
+
+  // Отправляет ожидающие выезды по порядку. Сетевая ошибка, 5xx или 429 — остановиться и повторить позже,
+  // 401 — ждать входа, другой отказ сервера (ошибка валидации, бронь уже зарегистрирована) — оставить
+  // запись с текстом ошибки, чтобы ресепшн разобрал её вручную.
+  async function replayOfflineQueue() {
+    if (offlineState.replaying || !isSignedIn) return;
+    offlineState.replaying = true;
+    let sent = 0;
+
+    try {
+      const entries = (await listOwnOfflineEntries()).filter((entry) => entry.status === 'pending');
+      for (const entry of entries) {
+        let res;
+        try {
+          res = await apiFetch(API.ADD, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Idempotency-Key': entry.key
+            },
+            body: entry.body
+          });
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          break;
+        }
+
+        const result = await res.json().catch(() => ({}));
+        if (res.status === 401) {
+          break;
+        }
+        if (res.status >= 500 || res.status === 429) {
+          await offlineQueue.put({
+            ...entry,
+            attempts: entry.attempts + 1,
+            last_error: result?.message || `Ошибка сервера ${res.status}`
+          });
+          break;
+        }
+        if (res.ok && result?.success !== false) {
+          await offlineQueue.remove(entry.key);
+          sent += 1;
+        } else {
+          await offlineQueue.put({
+            ...entry,
+            status: 'rejected',
+            attempts: entry.attempts + 1,
+            last_error: result?.message || `Ошибка ${res.status}`
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Offline queue error:', error);
+    } finally {
+      offlineState.replaying = false;
+    }
+
+    await refreshOfflineQueue();
+    if (sent) {
+      setOfflineQueueStatus(`✅ Отправлено из очереди: ${sent}`);
+      void loadRecentCheckouts({ reset: true });
+    }
+  }
+
+  if (offlineQueueBtn) {
+    offlineQueueBtn.onclick = () => {
+      const isHidden = offlineQueueBlock?.classList.toggle('hidden');
+      offlineQueueBtn.setAttribute('aria-expanded', String(!isHidden));
+    };
+  }
+
+  if (offlineQueueSendBtn) {
+    offlineQueueSendBtn.onclick = () => {
+      setOfflineQueueStatus('');
+      void replayOfflineQueue();
+    };
+  }
+
+  // Страница могла открыться без связи: тогда сессия ещё не продлевалась
+  window.addEventListener('online', async () => {
+    if (isSignedIn && !configState.authDisabled && !sessionState.refreshTimer) {
+      const data = await refreshSession().catch(() => null);
+      if (data) {
+        scheduleSessionRefresh(data.expiresAt);
+      }
+    }
+    void replayOfflineQueue();
+  });
+
+  const dashboard = initDashboard();
+  const dashboardBtn = D('dashboardBtn');
+  const dashboardLogoutBtn = D('dashboardLogoutBtn');
+  let isSignedIn = false;
+
+  // Экран отчётов открывается по адресу #dashboard и доступен менеджеру и администратору
+  const applyRoute = () => {
+    if (!isSignedIn) return;
+    const allowed = Boolean(dashboard) && canViewDashboard();
+    const showDashboard = allowed && isDashboardRoute();
+    dashboardBtn?.classList.toggle('hidden', !allowed);
+    formBlock?.classList.toggle('hidden', showDashboard);
+    dashboard?.block.classList.toggle('hidden', !showDashboard);
+    if (showDashboard) {
+      dashboard.open();
+    }
+  };
+
+  window.addEventListener('hashchange', applyRoute);
+
+  if (dashboardBtn) {
+    dashboardBtn.onclick = () => {
+      window.location.hash = DASHBOARD_ROUTE;
+    };
+  }
+
+  D('checkoutViewBtn')?.addEventListener('click', () => {
+    window.history.pushState(null, '', `${window.location.pathname}${window.location.search}`);
+    applyRoute();
+  });
 
   const showMainForm = () => {
+    isSignedIn = true;
     passwordBlock?.classList.add('hidden');
     formBlock?.classList.remove('hidden');
     showPasswordError();
@@ -346,10 +1668,15 @@ async function initFlexbeApp() {
     setDependentFieldsEnabled(false);
     phoneIncomplete?.classList.add('hidden');
     guestInfo?.classList.add('hidden');
+    showBonusHelp(null);
+    showBonusError();
     newGuest?.classList.add('hidden');
     searching?.classList.add('hidden');
     showPhoneError();
     hideMessage();
+    void loadRecentCheckouts({ reset: true });
+    void replayOfflineQueue();
+    applyRoute();
   };
 
   setDependentFieldsEnabled(false);
@@ -361,16 +1688,64 @@ async function initFlexbeApp() {
       authBanner?.classList.remove('hidden');
       showMainForm();
     } else {
+      isSignedIn = false;
       authBanner?.classList.add('hidden');
       passwordBlock?.classList.remove('hidden');
       formBlock?.classList.add('hidden');
+      dashboard?.block.classList.add('hidden');
+      dashboardBtn?.classList.add('hidden');
       showPasswordError();
-      pass?.focus();
+      if (loginInput && !loginInput.value) {
+        loginInput.focus();
+      } else {
+        pass?.focus();
+      }
+    }
+  };
+
+  const returnToPasswordBlock = (text) => {
+    clearSessionRefresh();
+    applySessionUser(null);
+    if (configState.authDisabled) {
+      return;
+    }
+    applyAuthState(false);
+    setOfflineQueueStatus('');
+    void refreshOfflineQueue();
+    if (text) {
+      showPasswordError(text);
     }
   };
 
+  sessionState.onExpired = (text) => {
+    returnToPasswordBlock(text || 'Сессия истекла, войдите снова');
+  };
+
   const config = await loadServerConfig();
-  applyAuthState(config.authDisabled);
+
+  if (config.authDisabled) {
+    applyAuthState(true);
+  } else {
+    let isOffline = false;
+    const existingSession = await refreshSession({ silent: true }).catch((error) => {
+      isOffline = isNetworkError(error);
+      return null;
+    });
+    const rememberedUser = isOffline ? readRememberedSessionUser() : null;
+    if (existingSession) {
+      applySessionUser(existingSession.user);
+      showMainForm();
+      scheduleSessionRefresh(existingSession.expiresAt);
+    } else if (rememberedUser) {
+      applySessionUser(rememberedUser);
+      showMainForm();
+    } else {
+      applyAuthState(false);
+    }
+  }
+
+  logoutBtn?.classList.toggle('hidden', config.authDisabled);
+  dashboardLogoutBtn?.classList.toggle('hidden', config.authDisabled);
 
   async function checkPassword() {
     if (configState.authDisabled) {
@@ -378,26 +1753,34 @@ async function initFlexbeApp() {
       return;
     }
 
+    const login = (loginInput?.value || '').trim();
     const password = pass.value.trim();
 
+    if (!login) {
+      showPasswordError('Логин обязателен');
+      return;
+    }
+
     if (!password) {
       showPasswordError('Пароль обязателен');
       return;
     }
 
     try {
-      const resp = await fetch(API.AUTH, {
+      const resp = await apiFetch(API.AUTH, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ login, password })
       });
 
       const result = await resp.json().catch(() => ({}));
 
       if (resp.ok && result?.success) {
+        applySessionUser(result.user);
         showMainForm();
+        scheduleSessionRefresh(result.expiresAt);
       } else {
-        const message = result?.message || 'Неверный пароль';
+        const message = result?.message || 'Неверный логин или пароль';
         showPasswordError(message);
       }
     } catch (error) {
@@ -409,35 +1792,41 @@ async function initFlexbeApp() {
   enterBtn.onclick = () => {
     void checkPassword();
   };
-  pass.onkeydown = (event) => {
-    if (event.key === 'Enter') {
-      event.preventDefault();
-      void checkPassword();
+
+  const logout = async () => {
+    try {
+      await apiFetch(API.LOGOUT, { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
     }
+    returnToPasswordBlock();
   };
 
-  const debounce = (fn, ms = 600) => {
-    let timeoutId;
-    const debounced = (...args) => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      timeoutId = window.setTimeout(() => {
-        timeoutId = null;
-        fn(...args);
-      }, ms);
-    };
-    debounced.cancel = () => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-        timeoutId = null;
+  if (logoutBtn) {
+    logoutBtn.onclick = logout;
+  }
+  if (dashboardLogoutBtn) {
+    dashboardLogoutBtn.onclick = logout;
+  }
+  if (loginInput) {
+    loginInput.onkeydown = (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        pass.focus();
       }
     };
-    return debounced;
+  }
+  pass.onkeydown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      void checkPassword();
+    }
   };
 
   const updateGuestInfo = debounce(async (val) => {
     guestInfo?.classList.add('hidden');
+    showBonusHelp(null);
+    showBonusError();
     newGuest?.classList.add('hidden');
     showPhoneError();
 
@@ -450,7 +1839,7 @@ async function initFlexbeApp() {
     searching?.classList.remove('hidden');
 
     try {
-      const resp = await fetch(`${API.SEARCH}?phone=${normalizePhone(val)}`);
+      const resp = await apiFetch(`${API.SEARCH}?phone=${normalizePhone(val)}`);
       const data = await resp.json().catch(() => ({}));
 
       if (requestId !== lastSearchRequestId) {
@@ -464,6 +1853,7 @@ async function initFlexbeApp() {
       }
 
       const guest = data?.data;
+      entryLevel = data?.entry_level || entryLevel;
       if (guest) {
         const balanceEl = D('balance-points');
         const visitsEl = D('visits-count');
@@ -490,12 +1880,16 @@ async function initFlexbeApp() {
         loyaltyField.setAttribute('readonly', 'readonly');
         loyaltyField.classList.add('readonly-field');
 
+        resetHistory(normalizePhone(val));
+        showBonusHelp(guest);
+        showExpiryWarning(guest.expiring_soon);
         guestInfo?.classList.remove('hidden');
       } else {
         newGuest?.classList.remove('hidden');
+        showBonusHelp(null);
         unlockAndClear();
 
-        loyaltyField.value = '1 СЕЗОН';
+        loyaltyField.value = entryLevel;
         loyaltyField.setAttribute('readonly', 'readonly');
         loyaltyField.classList.add('readonly-field');
       }
@@ -505,6 +1899,13 @@ async function initFlexbeApp() {
       }
       console.error('Search error:', error);
       searching?.classList.add('hidden');
+      if (isNetworkError(error)) {
+        showMessage(
+          'warning',
+          '📴 Нет связи с сервером: баланс гостя недоступен. Выезд можно сохранить — он отправится, когда связь вернётся.'
+        );
+        return;
+      }
       showPhoneError('⚠️ Не удалось получить данные гостя. Попробуйте позже.');
       showMessage('error', 'Не удалось получить данные гостя. Попробуйте позже.');
     }
@@ -529,6 +1930,8 @@ async function initFlexbeApp() {
       loyaltyField.removeAttribute('readonly');
       loyaltyField.classList.remove('readonly-field');
       guestInfo?.classList.add('hidden');
+      showBonusHelp(null);
+      showBonusError();
       newGuest?.classList.add('hidden');
       searching?.classList.add('hidden');
       phoneIncomplete?.classList.toggle('hidden', !hasAnyDigits);
@@ -541,12 +1944,259 @@ async function initFlexbeApp() {
     updateGuestInfo(val);
   });
 
+  // Данные брони из Shelter PMS: дата заезда и сумма подставляются всегда, имя — только новому гостю,
+  // у найденного гостя поля имени заблокированы
+  const bookingInput = D('shelter_booking_id');
+  const shelterLookupBtn = D('shelterLookupBtn');
+  const shelterStatus = D('shelter-status');
+  let lastShelterRequestId = 0;
+
+  const setShelterStatus = (text, isError = false) => {
+    if (!shelterStatus) return;
+    shelterStatus.textContent = text || '';
+    shelterStatus.classList.toggle('hidden', !text);
+    shelterStatus.classList.toggle('field-error', isError);
+    shelterStatus.classList.toggle('help-text', !isError);
+  };
+
+  const fillFromBooking = (booking) => {
+    if (booking.checkin_date && dateField) {
+      dateField.value = booking.checkin_date;
+      dateField.dispatchEvent(new Event('input'));
+    }
+    const amountEl = D('total_amount');
+    if (amountEl && Number.isFinite(booking.total_amount)) {
+      amountEl.value = String(booking.total_amount);
+    }
+    [['last_name', booking.last_name], ['first_name', booking.first_name]].forEach(([id, value]) => {
+      const el = D(id);
+      if (el && value && !el.hasAttribute('readonly')) {
+        el.value = value;
+      }
+    });
+
+    const notes = [`Заполнено из Shelter: ${booking.last_name} ${booking.first_name}`.trim()];
+    if (booking.checkin_date && booking.checkout_date) {
+      notes.push(`${formatDate(booking.checkin_date)} — ${formatDate(booking.checkout_date)}`);
+    }
+    if (booking.guest_phone && booking.guest_phone !== normalizePhone(phone.value)) {
+      notes.push(`в брони другой телефон: ${formatPhone(booking.guest_phone)}`);
+    }
+    setShelterStatus(notes.join(', '));
+  };
+
+  const lookupShelterBooking = async () => {
+    const bookingId = bookingInput?.value.trim();
+    if (!configState.shelterEnabled || !bookingId) {
+      setShelterStatus('');
+      return;
+    }
+
+    const requestId = ++lastShelterRequestId;
+    setShelterStatus('🔍 Запрос брони в Shelter...');
+    try {
+      const resp = await apiFetch(API.SHELTER_BOOKING(bookingId));
+      const data = await resp.json().catch(() => ({}));
+      if (requestId !== lastShelterRequestId) {
+        return;
+      }
+      if (!resp.ok || data?.success === false) {
+        setShelterStatus(data?.message || 'Не удалось получить бронь из Shelter', true);
+        return;
+      }
+      fillFromBooking(data.data);
+    } catch (error) {
+      if (requestId !== lastShelterRequestId) {
+        return;
+      }
+      console.error('Shelter lookup error:', error);
+      setShelterStatus('Shelter недоступен, заполните поля вручную', true);
+    }
+  };
+
+  shelterLookupBtn?.classList.toggle('hidden', !configState.shelterEnabled);
+  shelterLookupBtn?.addEventListener('click', () => {
+    void lookupShelterBooking();
+  });
+  bookingInput?.addEventListener('change', () => {
+    void lookupShelterBooking();
+  });
+  bookingInput?.addEventListener('input', () => {
+    lastShelterRequestId++;
+    setShelterStatus('');
+  });
+
+  // Подсказки по фамилии, части номера или номеру бронирования: выбор подставляет телефон гостя
+  const guestSearch = D('guest_search');
+  const guestSearchResults = D('guest-search-results');
+  const guestSearchStatus = D('guest-search-status');
+  let guestSuggestions = [];
+  let activeSuggestion = -1;
+  let lastSuggestRequestId = 0;
+
+  const setGuestSearchStatus = (text) => {
+    if (!guestSearchStatus) return;
+    guestSearchStatus.textContent = text || '';
+    guestSearchStatus.classList.toggle('hidden', !text);
+  };
+
+  const closeSuggestions = () => {
+    guestSuggestions = [];
+    activeSuggestion = -1;
+    guestSearchResults?.classList.add('hidden');
+    guestSearchResults?.replaceChildren();
+    guestSearch?.setAttribute('aria-expanded', 'false');
+    guestSearch?.removeAttribute('aria-activedescendant');
+  };
+
+  const highlightSuggestion = (index) => {
+    activeSuggestion = index;
+    Array.from(guestSearchResults?.children || []).forEach((item, itemIndex) => {
+      item.setAttribute('aria-selected', itemIndex === index ? 'true' : 'false');
+      if (itemIndex === index) {
+        guestSearch?.setAttribute('aria-activedescendant', item.id);
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  };
+
+  const selectSuggestion = (guest) => {
+    closeSuggestions();
+    setGuestSearchStatus('');
+    if (guestSearch) guestSearch.value = '';
+    ensurePhoneMask();
+    phone.value = `+7${guest.guest_phone}`;
+    phone.dispatchEvent(new Event('input', { bubbles: true }));
+    phone.focus();
+  };
+
+  const renderSuggestions = (items) => {
+    closeSuggestions();
+    guestSuggestions = items;
+
+    if (!items.length) {
+      setGuestSearchStatus('Гости не найдены');
+      return;
+    }
+
+    setGuestSearchStatus('');
+    items.forEach((guest, index) => {
+      const item = document.createElement('li');
+      item.id = `guest-suggestion-${index}`;
+      item.className = 'autocomplete-option';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+
+      const name = document.createElement('span');
+      name.className = 'option-name';
+      name.textContent = [guest.last_name, guest.first_name].filter(Boolean).join(' ') || 'Без имени';
+
+      const phoneEl = document.createElement('span');
+      phoneEl.textContent = formatPhone(guest.guest_phone);
+
+      const meta = document.createElement('span');
+      meta.className = 'option-meta';
+      meta.textContent = [
+        guest.loyalty_level,
+        `баланс ${formatInteger(guest.current_balance)}`,
+        guest.last_visit_date ? `визит ${formatDate(guest.last_visit_date)}` : null,
+        guest.booking_id ? `бронирование ${guest.booking_id}` : null
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      item.append(name, phoneEl, meta);
+      // mousedown, чтобы выбор срабатывал раньше потери фокуса полем поиска
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        selectSuggestion(guest);
+      });
+      guestSearchResults?.append(item);
+    });
+
+    guestSearchResults?.classList.remove('hidden');
+    guestSearch?.setAttribute('aria-expanded', 'true');
+  };
+
+  const loadSuggestions = debounce(async (query) => {
+    const requestId = ++lastSuggestRequestId;
+
+    try {
+      const resp = await apiFetch(`${API.GUEST_SEARCH}?q=${encodeURIComponent(query)}`);
+      const data = await resp.json().catch(() => ({}));
+
+      if (requestId !== lastSuggestRequestId) {
+        return;
+      }
+      if (!resp.ok || data?.success === false) {
+        throw new Error(data?.message || 'Ошибка поиска гостей');
+      }
+
+      renderSuggestions(Array.isArray(data.data) ? data.data : []);
+    } catch (error) {
+      if (requestId !== lastSuggestRequestId) {
+        return;
+      }
+      console.error('Guest search error:', error);
+      closeSuggestions();
+      setGuestSearchStatus('Не удалось выполнить поиск. Попробуйте позже.');
+    }
+  }, 300);
+
+  guestSearch?.addEventListener('input', () => {
+    const query = guestSearch.value.trim();
+    if (query.length < 2) {
+      lastSuggestRequestId++;
+      loadSuggestions.cancel();
+      closeSuggestions();
+      setGuestSearchStatus('');
+      return;
+    }
+    loadSuggestions(query);
+  });
+
+  guestSearch?.addEventListener('keydown', (event) => {
+    // Enter в поле поиска не должен отправлять форму выезда
+    if (event.key === 'Enter') {
+      event.preventDefault();
+    }
+    if (!guestSuggestions.length) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      highlightSuggestion((activeSuggestion + step + guestSuggestions.length) % guestSuggestions.length);
+    } else if (event.key === 'Enter' && activeSuggestion >= 0) {
+      selectSuggestion(guestSuggestions[activeSuggestion]);
+    } else if (event.key === 'Escape') {
+      closeSuggestions();
+    }
+  });
+
+  guestSearch?.addEventListener('blur', closeSuggestions);
+
   form.addEventListener('input', hideMessage);
 
+  const pendingSubmission = { key: null, body: null };
+
+  const resolveIdempotencyKey = (body) => {
+    if (pendingSubmission.body !== body) {
+      pendingSubmission.key = createIdempotencyKey();
+      pendingSubmission.body = body;
+    }
+    return pendingSubmission.key;
+  };
+
+  const clearPendingSubmission = () => {
+    pendingSubmission.key = null;
+    pendingSubmission.body = null;
+  };
+
   form.addEventListener('submit', async (event) => {
     event.preventDefault();
     hideMessage();
     showPhoneError();
+    showBonusError();
     const phoneVal = phone.value;
     const lastNameEl = D('last_name');
     const firstNameEl = D('first_name');
@@ -586,34 +2236,72 @@ async function initFlexbeApp() {
       last_name: lastNameVal,
       first_name: firstNameVal,
       checkin_date: formatDateForBackend(displayStr),
-      loyalty_level: loyaltyField.value,
       shelter_booking_id: bookingVal,
       total_amount: amountVal,
       bonus_spent: parseFloat(bonusEl?.value || '0') || 0
     };
 
+    const body = JSON.stringify(data);
+    const idempotencyKey = resolveIdempotencyKey(body);
+
     setLoading(true);
     try {
-      const res = await fetch(API.ADD, {
+      const res = await apiFetch(API.ADD, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data)
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey
+        },
+        body
       });
       const result = await res.json().catch(() => ({}));
 
+      // Ответ сервера окончательный — при ошибке 5xx ключ сохраняется для повторной попытки
+      if (res.status < 500) {
+        clearPendingSubmission();
+      }
+
       if (!res.ok || result?.success === false) {
         const errorMessage = result?.message || 'Ошибка отправки данных';
+        if (result?.field === 'bonus_spent') {
+          showBonusError(errorMessage);
+          bonusInput?.focus();
+          return;
+        }
         showMessage('error', errorMessage);
         return;
       }
 
-      showMessage('success', result.message || 'Успешно');
+      const successText = Number.isFinite(result.bonus_earned)
+        ? `✅ Выезд сохранён. Начислено баллов: ${formatInteger(result.bonus_earned)}. ` +
+          `Текущий баланс: ${formatInteger(result.balance?.current_balance)}`
+        : result.message || 'Успешно';
+      showMessage('success', successText);
       if (result.success !== false) {
         nextGuestBtn?.classList.remove('hidden');
+        void loadRecentCheckouts({ reset: true });
       }
     } catch (error) {
       console.error('Submit error:', error);
-      showMessage('error', 'Не удалось отправить данные. Проверьте соединение.');
+      const queued =
+        isNetworkError(error) &&
+        (await enqueueOfflineCheckout(idempotencyKey, body, data).then(
+          () => true,
+          (queueError) => {
+            console.error('Offline queue error:', queueError);
+            return false;
+          }
+        ));
+      if (queued) {
+        clearPendingSubmission();
+        showMessage(
+          'warning',
+          '📥 Нет связи с сервером. Выезд сохранён в очереди и будет отправлен автоматически, когда связь восстановится.'
+        );
+        nextGuestBtn?.classList.remove('hidden');
+      } else {
+        showMessage('error', 'Не удалось отправить данные. Проверьте соединение.');
+      }
     } finally {
       setLoading(false);
     }
@@ -626,8 +2314,12 @@ async function initFlexbeApp() {
       }
     });
     guestInfo?.classList.add('hidden');
+    showBonusHelp(null);
+    showBonusError();
     newGuest?.classList.add('hidden');
     nextGuestBtn?.classList.add('hidden');
+    lastShelterRequestId++;
+    setShelterStatus('');
     if (phone) {
       phone.value = '';
       ensurePhoneMask();
@@ -636,7 +2328,7 @@ async function initFlexbeApp() {
       dateField.value = getDateMinusTwoDaysYMD();
       dateField.dispatchEvent(new Event('input'));
     }
-    loyaltyField.value = '1 СЕЗОН';
+    loyaltyField.value = entryLevel;
     loyaltyField.setAttribute('readonly', 'readonly');
     loyaltyField.classList.add('readonly-field');
     unlockAndClear();
@@ -650,6 +2342,22 @@ async function initFlexbeApp() {
 }
 
 
+// Оболочка /app кэшируется service worker'ом, чтобы форма открывалась и при обрыве Wi-Fi.
+// Регистрируем только когда скрипт загружен с того же адреса, что и страница.
+const registerServiceWorker = () => {
+  const scriptUrl = document.currentScript?.src;
+  if (!('serviceWorker' in navigator) || !scriptUrl || new URL(scriptUrl).origin !== window.location.origin) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(new URL('sw.js', scriptUrl)).catch((error) => {
+      console.warn('Не удалось зарегистрировать service worker:', error);
+    });
+  });
+};
+
+registerServiceWorker();
+
 (function waitForFlexbe() {
   if (document.getElementById('enterBtn')) {
     initFlexbeApp();
@@ -0,0 +1,156 @@
+// Страница гостя: код на телефон, затем баланс баллов. Работает без входа через /api/public/balance.
+const normalizeBase = (value) => {
+  if (!value || typeof value !== 'string') {
+    return '';
+  }
+  return value.trim().replace(/\/$/, '');
+};
+
+// Страница отдаётся тем же сервером, что и API, поэтому по умолчанию адрес API — текущий origin
+const API_BASE = normalizeBase(
+  window.__LOYALTY_API_BASE__ || document.documentElement.getAttribute('data-api-base')
+);
+const BALANCE_API = `${API_BASE}/api/public/balance`;
+
+const $ = (id) => document.getElementById(id);
+const extractDigits = (value) => (value || '').replace(/\D/g, '');
+const isValidPhone = (value) => /^7?\d{10}$/.test(extractDigits(value));
+
+function formatInteger(n) {
+  const value = typeof n === 'number' ? n : parseFloat(n || '0');
+  return new Intl.NumberFormat('ru-RU', { maximumFractionDigits: 0 }).format(Number.isFinite(value) ? value : 0);
+}
+
+function formatDate(dateStr) {
+  if (!dateStr) return '—';
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateStr);
+  return match ? `${match[3]}.${match[2]}.${match[1]}` : dateStr;
+}
+
+const showMessage = (text, type = 'error') => {
+  const el = $('balance-message');
+  el.textContent = text;
+  el.className = `message ${type}`;
+};
+
+const hideMessage = () => {
+  $('balance-message').className = 'message hidden';
+};
+
+const showStep = (step) => {
+  $('phone-step').classList.toggle('hidden', step !== 'phone');
+  $('code-step').classList.toggle('hidden', step !== 'code');
+  $('balance-result').classList.toggle('hidden', step !== 'result');
+};
+
+const postJson = async (path, body) => {
+  const response = await fetch(`${BALANCE_API}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  return { response, data };
+};
+
+const describeError = (response, data) => {
+  if (response.status === 429) {
+    return 'Слишком много попыток, попробуйте позже.';
+  }
+  if (response.status === 503) {
+    return 'Проверка баланса временно недоступна.';
+  }
+  return data.message || 'Не удалось выполнить запрос, попробуйте ещё раз.';
+};
+
+const withButton = async (button, action) => {
+  button.disabled = true;
+  try {
+    await action();
+  } catch (error) {
+    showMessage('Нет связи с сервером, попробуйте ещё раз.');
+  } finally {
+    button.disabled = false;
+  }
+};
+
+const renderBalance = (guest) => {
+  $('balance-greeting').textContent = guest.first_name ? `${guest.first_name}, ваши баллы:` : 'Ваши баллы:';
+  $('balance-points').textContent = formatInteger(guest.current_balance);
+  $('balance-level').textContent = guest.loyalty_level || '—';
+  $('balance-visits').textContent = formatInteger(guest.visits_count);
+  $('balance-last-visit').textContent = `Последний визит: ${formatDate(guest.last_visit_date)}`;
+
+  const nextTierEl = $('balance-next-tier');
+  nextTierEl.textContent = guest.next_tier ? `Следующий уровень: ${guest.next_tier.name}` : '';
+  nextTierEl.classList.toggle('hidden', !guest.next_tier);
+
+  const expiringEl = $('balance-expiring');
+  const expiring = guest.expiring_soon;
+  if (expiring && expiring.total > 0) {
+    const items = expiring.items
+      .map((item) => `${formatInteger(item.amount)} — ${formatDate(item.expires_at)}`)
+      .join(', ');
+    expiringEl.textContent = `Скоро сгорят ${formatInteger(expiring.total)} баллов: ${items}`;
+    expiringEl.classList.remove('hidden');
+  } else {
+    expiringEl.textContent = '';
+    expiringEl.classList.add('hidden');
+  }
+};
+
+const resetToPhone = () => {
+  $('code').value = '';
+  hideMessage();
+  showStep('phone');
+  $('phone').focus();
+};
+
+$('phone-step').addEventListener('submit', (event) => {
+  event.preventDefault();
+  hideMessage();
+  const phone = $('phone').value;
+  if (!isValidPhone(phone)) {
+    showMessage('Укажите номер телефона: +7 и 10 цифр.');
+    return;
+  }
+
+  withButton($('requestCodeBtn'), async () => {
+    const { response, data } = await postJson('/code', { phone: extractDigits(phone) });
+    if (!response.ok) {
+      showMessage(describeError(response, data));
+      return;
+    }
+    $('code-sent').textContent = data.expires_in_minutes
+      ? `${data.message} Код действует ${data.expires_in_minutes} мин.`
+      : data.message;
+    showStep('code');
+    $('code').focus();
+  });
+});
+
+$('code-step').addEventListener('submit', (event) => {
+  event.preventDefault();
+  hideMessage();
+  const code = $('code').value.trim();
+  if (!/^\d{6}$/.test(code)) {
+    showMessage('Введите 6 цифр из сообщения.');
+    return;
+  }
+
+  withButton($('verifyCodeBtn'), async () => {
+    const { response, data } = await postJson('/verify', { phone: extractDigits($('phone').value), code });
+    if (!response.ok || !data.data) {
+      showMessage(describeError(response, data));
+      return;
+    }
+    renderBalance(data.data);
+    showStep('result');
+  });
+});
+
+$('changePhoneBtn').addEventListener('click', resetToPhone);
+$('doneBtn').addEventListener('click', () => {
+  $('phone').value = '';
+  resetToPhone();
+});
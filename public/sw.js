@@ -0,0 +1,61 @@
+// Service worker интерфейса ресепшена: хранит оболочку /app (страницу, стили и скрипт), чтобы форма
+// выезда открывалась при обрыве Wi-Fi. Запросы к API не кэшируются — очередь неотправленных выездов
+// ведёт app.js в IndexedDB.
+const CACHE_PREFIX = 'u4s-app-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}v1`;
+const SCOPE_PATH = new URL('./', self.location).pathname;
+const SHELL_FILES = ['./', 'index.html', 'styles.css', 'app.js'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Сначала сеть, чтобы после выкладки сразу работала новая версия; кэш — только когда сети нет
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || !url.pathname.startsWith(SCOPE_PATH)) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.put(request, copy)));
+        }
+        return response;
+      })
+      .catch(async () => {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) {
+          return cached;
+        }
+        if (request.mode === 'navigate') {
+          return (await caches.match('./')) || Response.error();
+        }
+        return Response.error();
+      })
+  );
+});
@@ -0,0 +1,44 @@
+const express = require('express');
+const { parseDateParam, parsePagination } = require('../lib/validation');
+const { respondWithValidationError, handleUnexpectedError } = require('../lib/http');
+
+module.exports = ({ auditLog }) => {
+  const router = express.Router();
+
+  // Журнал действий с фильтрами по сотруднику, периоду и номеру бронирования
+  router.get('/', async (req, res) => {
+    const { actor, from, to, booking_id, entity_type, action } = req.query;
+
+    const fromDate = from ? parseDateParam(from) : null;
+    const toDate = to ? parseDateParam(to) : null;
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return respondWithValidationError(res, 'Некорректный формат даты в фильтре периода.');
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+
+    try {
+      const { total, rows } = await auditLog.search({
+        actor: actor ? String(actor).trim() : null,
+        from: fromDate,
+        to: toDate,
+        bookingId: booking_id ? String(booking_id).trim() : null,
+        entityType: entity_type ? String(entity_type).trim() : null,
+        action: action ? String(action).trim() : null,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении журнала действий');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { runPointsExpiration } = require('../lib/expiration');
+const { handleUnexpectedError } = require('../lib/http');
+
+const parseDryRun = (req) => {
+  const raw = req.body?.dry_run ?? req.query.dry_run;
+  return raw === true || ['true', '1'].includes(String(raw).toLowerCase());
+};
+
+module.exports = ({ pool, auditLog }) => {
+  const router = express.Router();
+
+  // Ручной запуск сгорания баллов; с dry_run только показывает, что сгорело бы
+  router.post('/', async (req, res) => {
+    const dryRun = parseDryRun(req);
+
+    try {
+      const summary = await runPointsExpiration(pool, {
+        dryRun,
+        actorId: req.session?.uid
+      });
+
+      if (!dryRun && summary.enabled) {
+        await auditLog.record(pool, req, {
+          action: AUDIT_ACTIONS.EXPIRE,
+          entityType: 'bonus_points',
+          after: summary
+        });
+      }
+
+      let message = `Сгорело баллов: ${summary.points_expired} у ${summary.guests_affected} гостей`;
+      if (!summary.enabled) {
+        message = 'Правила сгорания баллов не настроены';
+      } else if (dryRun) {
+        message = `Пробный запуск: сгорело бы ${summary.points_expired} баллов у ${summary.guests_affected} гостей`;
+      }
+
+      res.json({
+        success: true,
+        message,
+        data: summary
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при сгорании баллов');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,104 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const {
+  GUEST_LIST_SQL,
+  BONUS_LIST_SQL,
+  parseGuestListQuery,
+  parseBonusListQuery
+} = require('../lib/listQueries');
+const {
+  GUEST_EXPORT_COLUMNS,
+  BONUS_EXPORT_COLUMNS,
+  parseExportOptions,
+  openExportCursor,
+  createExportStream
+} = require('../lib/export');
+const { respondWithValidationError, handleUnexpectedError } = require('../lib/http');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const todayStamp = () => {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+};
+
+const EXPORTS = {
+  guests: {
+    listSql: GUEST_LIST_SQL,
+    parseQuery: parseGuestListQuery,
+    columns: GUEST_EXPORT_COLUMNS,
+    sheetName: 'Выезды',
+    fileName: 'guests'
+  },
+  bonuses: {
+    listSql: BONUS_LIST_SQL,
+    parseQuery: parseBonusListQuery,
+    columns: BONUS_EXPORT_COLUMNS,
+    sheetName: 'Балансы',
+    fileName: 'bonuses'
+  }
+};
+
+module.exports = ({ pool }) => {
+  const router = express.Router();
+
+  const sendExport = async (req, res, spec) => {
+    const { error: queryError, filters, sort } = spec.parseQuery(req.query);
+    const { error: optionsError, format, delimiter } = parseExportOptions(req.query);
+    if (queryError || optionsError) {
+      return respondWithValidationError(res, queryError || optionsError);
+    }
+
+    let cursor;
+    try {
+      cursor = await openExportCursor(pool, spec.listSql, { filters, sort });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при подготовке выгрузки');
+    }
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${spec.fileName}_${todayStamp()}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await pipeline(
+        Readable.from(
+          createExportStream({
+            format,
+            delimiter,
+            columns: spec.columns,
+            sheetName: spec.sheetName,
+            rows: cursor.rows()
+          })
+        ),
+        res
+      );
+    } catch (error) {
+      // Заголовки уже отправлены: ответ обрывается, чтобы клиент не получил неполный файл как целый
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return handleUnexpectedError(res, error, 'Ошибка при выгрузке');
+      }
+      if (!res.destroyed) {
+        req.log.error('Ошибка при выгрузке', error);
+        res.destroy(error);
+      }
+    } finally {
+      await cursor.close();
+    }
+  };
+
+  // Выгрузки принимают те же фильтры и сортировку, что GET /api/guests и GET /api/bonuses, без limit/offset
+  router.get('/guests', (req, res) => sendExport(req, res, EXPORTS.guests));
+  router.get('/bonuses', (req, res) => sendExport(req, res, EXPORTS.bonuses));
+
+  return router;
+};
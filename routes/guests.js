@@ -0,0 +1,512 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const {
+  lockGuestBalances,
+  applyCheckoutAccrual,
+  revertVisitStats,
+  loadBalanceSummary
+} = require('../lib/balances');
+const {
+  recordCheckoutTransactions,
+  reverseGuestTransactions,
+  findGuestTransactionPhones
+} = require('../lib/ledger');
+const {
+  CHECKOUT_EDITABLE_FIELDS,
+  validateCheckoutInput,
+  toCheckoutInput,
+  parseIdempotencyKey,
+  lockBooking,
+  findCheckoutByIdempotencyKey,
+  findCheckoutByBooking,
+  findCheckoutForUpdate,
+  registerCheckout
+} = require('../lib/checkouts');
+const { parsePagination } = require('../lib/validation');
+const { ensureProfileForPhone, resolvePrimaryPhone } = require('../lib/profiles');
+const { parseGuestListQuery, listGuests } = require('../lib/listQueries');
+const { parseSearchQuery, searchGuests } = require('../lib/guestSearch');
+const {
+  enqueueCheckoutCreatedEvents,
+  enqueueCheckoutUpdatedEvent,
+  enqueueCheckoutVoidedEvents
+} = require('../lib/webhooks');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+const createTransactionsRouter = require('./transactions');
+
+const CHECKOUT_EDIT_WINDOW_HOURS = Number(process.env.CHECKOUT_EDIT_WINDOW_HOURS) || 72;
+
+const parseId = (value) => {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const isWithinEditWindow = (row) =>
+  Date.now() - new Date(row.created_at).getTime() <= CHECKOUT_EDIT_WINDOW_HOURS * 60 * 60 * 1000;
+
+const buildRedemptionErrorExtra = (redemptionError) => ({
+  field: 'bonus_spent',
+  code: redemptionError.code,
+  limits: redemptionError.limits
+});
+
+module.exports = ({ pool, auditLog, requireRole, sessionHasRole, notifier = null }) => {
+  const router = express.Router();
+
+  // Исправлять и аннулировать выезды после окончания окна может только manager и выше
+  const checkEditWindow = (req, row) =>
+    sessionHasRole(req, 'manager') || isWithinEditWindow(row)
+      ? null
+      : {
+          status: 403,
+          message: `Исправлять выезд можно в течение ${CHECKOUT_EDIT_WINDOW_HOURS} ч после регистрации. Обратитесь к менеджеру.`,
+          code: 'EDIT_WINDOW_EXPIRED'
+        };
+
+  // Добавление гостя
+  router.post('/', requireRole('reception'), async (req, res) => {
+    try {
+      const { key: idempotencyKey, error: idempotencyError } = parseIdempotencyKey(req);
+      if (idempotencyError) {
+        return respondWithValidationError(res, idempotencyError);
+      }
+
+      const { error: validationError, values } = validateCheckoutInput(req.body);
+      if (validationError) {
+        return respondWithValidationError(res, validationError);
+      }
+
+      const { guest, accrual, redemptionError, existing, replayed } = await withTransaction(
+        pool,
+        async (db) => {
+          // Повторная отправка той же формы (двойной клик, повтор после сетевой ошибки)
+          // или уже зарегистрированная бронь не создают новую запись
+          await lockBooking(db, values.bookingId);
+          values.phone = await resolvePrimaryPhone(db, values.phone);
+
+          if (idempotencyKey) {
+            const previous = await findCheckoutByIdempotencyKey(db, idempotencyKey);
+            if (previous) {
+              return { existing: previous, replayed: previous.shelter_booking_id === values.bookingId };
+            }
+          }
+
+          const duplicate = await findCheckoutByBooking(db, values.bookingId);
+          if (duplicate) {
+            return { existing: duplicate, replayed: false };
+          }
+
+          const registered = await registerCheckout(db, values, {
+            actorId: req.session?.uid,
+            idempotencyKey
+          });
+          if (registered.redemptionError) {
+            return registered;
+          }
+
+          await auditLog.record(db, req, {
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: 'guest',
+            entityId: registered.guest.id,
+            bookingId: registered.guest.shelter_booking_id,
+            after: registered.guest
+          });
+          await enqueueCheckoutCreatedEvents(db, registered);
+          await notifier?.enqueueCheckoutNotification(db, registered);
+
+          return registered;
+        }
+      );
+
+      if (existing && replayed) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.json({
+          success: true,
+          replayed: true,
+          message: '✅ Выезд уже был зарегистрирован этим запросом',
+          data: existing,
+          bonus_earned: existing.bonus_earned,
+          balance: await loadBalanceSummary(pool, existing.guest_phone)
+        });
+      }
+
+      if (existing) {
+        const isSameBooking = existing.shelter_booking_id === values.bookingId;
+        return respondWithError(
+          res,
+          409,
+          isSameBooking
+            ? `Выезд по брони ${values.bookingId} уже зарегистрирован`
+            : 'Idempotency-Key уже использован для другой брони',
+          {
+            code: isSameBooking ? 'DUPLICATE_BOOKING' : 'IDEMPOTENCY_KEY_REUSED',
+            data: existing
+          }
+        );
+      }
+
+      if (redemptionError) {
+        return respondWithValidationError(
+          res,
+          redemptionError.message,
+          buildRedemptionErrorExtra(redemptionError)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: `✅ Данные гостя успешно добавлены! Начислено баллов: ${accrual.bonusEarned}`,
+        data: guest,
+        bonus_earned: accrual.bonusEarned,
+        balance: {
+          current_balance: accrual.currentBalance,
+          visits_count: accrual.balance.visits_total,
+          last_visit_date: accrual.balance.last_date_visit,
+          loyalty_level: accrual.balance.loyalty_level
+        }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, '❌ Ошибка при добавлении гостя');
+    }
+  });
+
+  // Получение всех гостей (админ)
+  router.get('/', requireRole('manager'), async (req, res) => {
+    const { error: queryError, ...listOptions } = parseGuestListQuery(req.query);
+    if (queryError) {
+      return respondWithValidationError(res, queryError);
+    }
+
+    try {
+      const { total, rows } = await listGuests(pool, listOptions);
+      res.json({
+        success: true,
+        data: rows,
+        pagination: { total, limit: listOptions.limit, offset: listOptions.offset },
+        sort: listOptions.sort
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении списка гостей');
+    }
+  });
+
+  // Подсказки для формы выезда: фамилия или имя, часть номера, номер бронирования Shelter
+  router.get('/search', requireRole('reception'), async (req, res) => {
+    const { error: queryError, ...parsed } = parseSearchQuery(req.query.q);
+    if (queryError) {
+      return respondWithValidationError(res, queryError);
+    }
+
+    const { limit } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 20 });
+
+    try {
+      res.json({
+        success: true,
+        data: await searchGuests(pool, parsed, { limit })
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при поиске гостей');
+    }
+  });
+
+  // Последние выезды для исправления: reception видит записи в пределах окна исправления
+  router.get('/recent', requireRole('reception'), async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const windowOnly = !sessionHasRole(req, 'manager');
+
+    try {
+      const result = await pool.query(
+        `SELECT g.*, s.display_name AS created_by_name
+         FROM guests g
+         LEFT JOIN staff_users s ON s.id = g.created_by
+         WHERE $1::timestamptz IS NULL OR g.created_at >= $1::timestamptz
+         ORDER BY g.created_at DESC, g.id DESC
+         LIMIT $2 OFFSET $3`,
+        [
+          windowOnly ? new Date(Date.now() - CHECKOUT_EDIT_WINDOW_HOURS * 60 * 60 * 1000) : null,
+          limit,
+          offset
+        ]
+      );
+
+      res.json({
+        success: true,
+        data: result.rows.map((row) => ({
+          ...row,
+          editable: !row.voided_at && (!windowOnly || isWithinEditWindow(row))
+        })),
+        edit_window_hours: CHECKOUT_EDIT_WINDOW_HOURS
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении последних выездов');
+    }
+  });
+
+  // Исправление выезда: при изменении телефона, даты или сумм прежние начисление
+  // и списание сторнируются и рассчитываются заново с уровнем этого визита
+  router.patch('/:id', requireRole('reception'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор выезда');
+    }
+
+    const changes = {};
+    CHECKOUT_EDITABLE_FIELDS.forEach((field) => {
+      if (req.body?.[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+
+    if (!Object.keys(changes).length) {
+      return respondWithValidationError(
+        res,
+        `Передайте хотя бы одно из полей: ${CHECKOUT_EDITABLE_FIELDS.join(', ')}.`
+      );
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        const existing = await findCheckoutForUpdate(db, id);
+
+        if (!existing) {
+          return { status: 404, message: 'Выезд не найден' };
+        }
+        if (existing.voided_at) {
+          return { status: 409, message: 'Выезд аннулирован и не может быть изменён', code: 'CHECKOUT_VOIDED' };
+        }
+
+        const windowError = checkEditWindow(req, existing);
+        if (windowError) {
+          return windowError;
+        }
+
+        const { error: validationError, values } = validateCheckoutInput({
+          ...toCheckoutInput(existing),
+          ...changes
+        });
+        if (validationError) {
+          return { status: 400, message: validationError };
+        }
+        if (values.phone !== existing.guest_phone) {
+          values.phone = await resolvePrimaryPhone(db, values.phone);
+        }
+
+        if (values.bookingId !== existing.shelter_booking_id) {
+          await lockBooking(db, values.bookingId);
+          if (await findCheckoutByBooking(db, values.bookingId, { excludeId: id })) {
+            return {
+              status: 409,
+              message: `Выезд по брони ${values.bookingId} уже зарегистрирован`,
+              code: 'DUPLICATE_BOOKING'
+            };
+          }
+        }
+
+        const previous = toCheckoutInput(existing);
+        const isFinancialChange =
+          values.phone !== existing.guest_phone ||
+          values.checkinDate !== previous.checkin_date ||
+          values.totalAmount !== Number(existing.total_amount) ||
+          values.bonusSpent !== Number(existing.bonus_spent || 0);
+
+        let bonusEarned = existing.bonus_earned;
+
+        if (isFinancialChange) {
+          const transactionPhones = await findGuestTransactionPhones(db, id);
+          await lockGuestBalances(db, [existing.guest_phone, values.phone, ...transactionPhones]);
+
+          await reverseGuestTransactions(db, {
+            guestId: id,
+            actorId: req.session?.uid,
+            comment: 'Исправление выезда'
+          });
+          await revertVisitStats(db, existing, { revertLevel: false });
+
+          const accrualResult = await applyCheckoutAccrual(db, {
+            ...values,
+            fixedLevel: existing.loyalty_level
+          });
+
+          if (accrualResult.redemptionError) {
+            return { rollback: true, redemptionError: accrualResult.redemptionError };
+          }
+
+          bonusEarned = accrualResult.bonusEarned;
+          await recordCheckoutTransactions(db, {
+            phone: values.phone,
+            guestId: id,
+            bookingId: values.bookingId,
+            bonusSpent: values.bonusSpent,
+            bonusEarned,
+            actorId: req.session?.uid
+          });
+        }
+
+        // Визит на другой номер переходит к профилю этого номера
+        const profileId =
+          values.phone === existing.guest_phone && existing.profile_id
+            ? existing.profile_id
+            : await ensureProfileForPhone(db, {
+                phone: values.phone,
+                lastName: values.lastName,
+                firstName: values.firstName,
+                actorId: req.session?.uid
+              });
+
+        const result = await db.query(
+          `UPDATE guests
+           SET guest_phone = $2, last_name = $3, first_name = $4, checkin_date = $5,
+               shelter_booking_id = $6, total_amount = $7, bonus_spent = $8, bonus_earned = $9,
+               updated_at = NOW(), updated_by = $10, profile_id = $11
+           WHERE id = $1
+           RETURNING *`,
+          [
+            id,
+            values.phone,
+            values.lastName,
+            values.firstName,
+            values.checkinDate,
+            values.bookingId,
+            values.totalAmount,
+            values.bonusSpent,
+            bonusEarned,
+            req.session?.uid || null,
+            profileId
+          ]
+        );
+        const updated = result.rows[0];
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entityType: 'guest',
+          entityId: id,
+          bookingId: updated.shelter_booking_id,
+          before: existing,
+          after: updated
+        });
+        await enqueueCheckoutUpdatedEvent(db, { existing, updated });
+
+        return { updated };
+      });
+
+      if (outcome.redemptionError) {
+        return respondWithValidationError(
+          res,
+          outcome.redemptionError.message,
+          buildRedemptionErrorExtra(outcome.redemptionError)
+        );
+      }
+
+      if (outcome.status) {
+        return respondWithError(
+          res,
+          outcome.status,
+          outcome.message,
+          outcome.code ? { code: outcome.code } : {}
+        );
+      }
+
+      res.json({
+        success: true,
+        message: '✅ Выезд исправлен',
+        data: outcome.updated,
+        balance: await loadBalanceSummary(pool, outcome.updated.guest_phone)
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при исправлении выезда');
+    }
+  });
+
+  // Аннулирование выезда с обязательной причиной: баллы сторнируются, визит убирается из статистики
+  router.post('/:id/void', requireRole('reception'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор выезда');
+    }
+
+    const reason = String(req.body?.reason || '').trim();
+    if (reason.length < 3 || reason.length > 500) {
+      return respondWithValidationError(
+        res,
+        'Укажите причину аннулирования (от 3 до 500 символов).'
+      );
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        const existing = await findCheckoutForUpdate(db, id);
+
+        if (!existing) {
+          return { status: 404, message: 'Выезд не найден' };
+        }
+        if (existing.voided_at) {
+          return { status: 409, message: 'Выезд уже аннулирован', code: 'CHECKOUT_VOIDED' };
+        }
+
+        const windowError = checkEditWindow(req, existing);
+        if (windowError) {
+          return windowError;
+        }
+
+        const transactionPhones = await findGuestTransactionPhones(db, id);
+        await lockGuestBalances(db, [existing.guest_phone, ...transactionPhones]);
+
+        await reverseGuestTransactions(db, {
+          guestId: id,
+          actorId: req.session?.uid,
+          comment: `Аннулирование: ${reason}`
+        });
+        const levelChange = await revertVisitStats(db, existing, { revertLevel: true });
+
+        const result = await db.query(
+          `UPDATE guests
+           SET voided_at = NOW(), voided_by = $2, void_reason = $3
+           WHERE id = $1
+           RETURNING *`,
+          [id, req.session?.uid || null, reason]
+        );
+        const voided = result.rows[0];
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.VOID,
+          entityType: 'guest',
+          entityId: id,
+          bookingId: voided.shelter_booking_id,
+          before: existing,
+          after: voided
+        });
+        await enqueueCheckoutVoidedEvents(db, { voided, levelChange });
+
+        return { voided };
+      });
+
+      if (outcome.status) {
+        return respondWithError(
+          res,
+          outcome.status,
+          outcome.message,
+          outcome.code ? { code: outcome.code } : {}
+        );
+      }
+
+      res.json({
+        success: true,
+        message: '✅ Выезд аннулирован',
+        data: outcome.voided,
+        balance: await loadBalanceSummary(pool, outcome.voided.guest_phone)
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при аннулировании выезда');
+    }
+  });
+
+  // История операций с баллами гостя и ручные корректировки
+  router.use('/:phone/transactions', createTransactionsRouter({ pool, auditLog, requireRole }));
+
+  return router;
+};
@@ -0,0 +1,70 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { parseImportFile, importCheckouts } = require('../lib/checkoutImport');
+const { respondWithValidationError, handleUnexpectedError } = require('../lib/http');
+
+const CSV_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+const parseDryRun = (req) =>
+  ['true', '1'].includes(String(req.query.dry_run).toLowerCase());
+
+module.exports = ({ pool, auditLog }) => {
+  const router = express.Router();
+
+  // Импорт исторических выездов: тело запроса — CSV-файл. С dry_run все строки проводятся
+  // в транзакции, которая затем откатывается, и возвращается отчёт по строкам.
+  router.post(
+    '/guests',
+    express.text({ type: CSV_CONTENT_TYPES, limit: '5mb' }),
+    async (req, res) => {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return respondWithValidationError(
+          res,
+          'Передайте CSV-файл в теле запроса с заголовком Content-Type: text/csv.'
+        );
+      }
+
+      const { error: parseError, rows } = parseImportFile(req.body);
+      if (parseError) {
+        return respondWithValidationError(res, parseError);
+      }
+
+      const dryRun = parseDryRun(req);
+
+      try {
+        const report = await withTransaction(pool, async (db) => {
+          const result = await importCheckouts(db, rows, {
+            actorId: req.session?.uid,
+            onImported: (client, guest) =>
+              auditLog.record(client, req, {
+                action: AUDIT_ACTIONS.CREATE,
+                entityType: 'guest',
+                entityId: guest.id,
+                bookingId: guest.shelter_booking_id,
+                after: guest
+              })
+          });
+
+          return { ...result, rollback: dryRun };
+        });
+
+        const { summary } = report;
+        res.json({
+          success: true,
+          dry_run: dryRun,
+          message: dryRun
+            ? `Пробный запуск: будет импортировано ${summary.imported} из ${summary.total} строк`
+            : `✅ Импортировано выездов: ${summary.imported} из ${summary.total}`,
+          summary,
+          // В пробном запуске идентификаторы не сохраняются
+          rows: dryRun ? report.rows.map(({ guest_id: guestId, ...row }) => row) : report.rows
+        });
+      } catch (error) {
+        return handleUnexpectedError(res, error, 'Ошибка при импорте выездов');
+      }
+    }
+  );
+
+  return router;
+};
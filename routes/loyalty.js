@@ -0,0 +1,94 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { validateTiers, validateSettings, serializeProgram } = require('../lib/tiers');
+const { loadLoyaltyProgram, replaceTiers, saveSettings } = require('../lib/loyaltyProgram');
+const { respondWithValidationError, handleUnexpectedError } = require('../lib/http');
+
+module.exports = ({ pool, auditLog }) => {
+  const router = express.Router();
+
+  // Текущие уровни и настройки программы лояльности
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: serializeProgram(await loadLoyaltyProgram(pool))
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении программы лояльности');
+    }
+  });
+
+  // Замена списка уровней целиком: порядок в массиве — от начального уровня к высшему
+  router.put('/tiers', async (req, res) => {
+    const { error: validationError, tiers } = validateTiers(req.body?.tiers);
+    if (validationError) {
+      return respondWithValidationError(res, validationError);
+    }
+
+    try {
+      const program = await withTransaction(pool, async (db) => {
+        const before = serializeProgram(await loadLoyaltyProgram(db));
+        await replaceTiers(db, tiers);
+        const after = serializeProgram(await loadLoyaltyProgram(db));
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entityType: 'loyalty_tiers',
+          before: before.tiers,
+          after: after.tiers
+        });
+
+        return after;
+      });
+
+      res.json({
+        success: true,
+        message: '✅ Уровни лояльности сохранены',
+        data: program
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при сохранении уровней лояльности');
+    }
+  });
+
+  // Скользящий период для порогов, правила понижения уровня и сгорания баллов
+  router.patch('/settings', async (req, res) => {
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        const current = await loadLoyaltyProgram(db);
+        const { error: validationError, settings } = validateSettings(req.body, current.settings);
+        if (validationError) {
+          return { validationError };
+        }
+
+        await saveSettings(db, settings, req.session?.uid);
+        const after = serializeProgram(await loadLoyaltyProgram(db));
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entityType: 'loyalty_settings',
+          before: serializeProgram(current).settings,
+          after: after.settings
+        });
+
+        return { program: after };
+      });
+
+      if (outcome.validationError) {
+        return respondWithValidationError(res, outcome.validationError);
+      }
+
+      res.json({
+        success: true,
+        message: '✅ Настройки программы лояльности сохранены',
+        data: outcome.program
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при сохранении настроек программы лояльности');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,115 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { findDuplicates, validateMergeInput, buildMergePlan, mergeProfiles } = require('../lib/merge');
+const { loadProfile } = require('../lib/profiles');
+const { parsePagination } = require('../lib/validation');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const parsePreview = (req) => {
+  const raw = req.body?.preview ?? req.query.preview;
+  return raw === true || ['true', '1'].includes(String(raw).toLowerCase());
+};
+
+module.exports = ({ pool, auditLog }) => {
+  const router = express.Router();
+
+  const respondWithOutcomeError = (res, outcome) =>
+    respondWithError(res, outcome.status, outcome.message, {
+      ...(outcome.code ? { code: outcome.code } : {}),
+      ...(outcome.plan ? { data: outcome.plan } : {})
+    });
+
+  // Возможные дубли: профили с одинаковым именем и номера, под которыми записаны разные имена
+  router.get('/duplicates', async (req, res) => {
+    const { limit } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    try {
+      res.json({
+        success: true,
+        data: await findDuplicates(pool, { limit })
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при поиске дублей');
+    }
+  });
+
+  // Объединение профилей в два шага: с preview возвращает план и confirmation,
+  // без preview выполняет объединение, если confirmation совпадает с текущим планом
+  router.post('/', async (req, res) => {
+    const { error: validationError, values } = validateMergeInput(req.body);
+    if (validationError) {
+      return respondWithValidationError(res, validationError);
+    }
+
+    const preview = parsePreview(req);
+    if (!preview && !values.confirmation) {
+      return respondWithValidationError(
+        res,
+        'Сначала запросите план с preview: true и передайте полученный confirmation.'
+      );
+    }
+
+    try {
+      if (preview) {
+        const outcome = await buildMergePlan(pool, values);
+        if (outcome.status) {
+          return respondWithOutcomeError(res, outcome);
+        }
+
+        return res.json({
+          success: true,
+          preview: true,
+          message: `Будут присоединены профили: ${values.sourceIds.join(', ')}`,
+          data: outcome.plan
+        });
+      }
+
+      const outcome = await withTransaction(pool, async (db) => {
+        const result = await mergeProfiles(db, { ...values, actorId: req.session?.uid });
+        if (result.status) {
+          return result;
+        }
+
+        const profile = await loadProfile(db, values.targetId);
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.MERGE,
+          entityType: 'guest_profile',
+          entityId: values.targetId,
+          before: { target: result.plan.target, sources: result.plan.sources },
+          after: {
+            profile: { ...profile, recent_visits: undefined },
+            phones_moved: result.plan.phones_to_move,
+            visits_moved: result.plan.visits_to_move,
+            balance_transfers: result.plan.balance_transfers
+          }
+        });
+
+        return { profile, plan: result.plan };
+      });
+
+      if (outcome.status) {
+        return respondWithOutcomeError(res, outcome);
+      }
+
+      res.json({
+        success: true,
+        message: `✅ Профили объединены в профиль ${values.targetId}`,
+        data: {
+          profile: outcome.profile,
+          phones_moved: outcome.plan.phones_to_move,
+          visits_moved: outcome.plan.visits_to_move,
+          balance_transfers: outcome.plan.balance_transfers
+        }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при объединении профилей');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,228 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { parseProfileListQuery, listProfiles } = require('../lib/listQueries');
+const {
+  validateProfileInput,
+  findProfileIdByPhone,
+  findPhonesWithHistory,
+  attachPhones,
+  loadProfile,
+  createProfile,
+  updateProfile
+} = require('../lib/profiles');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const UNIQUE_VIOLATION = '23505';
+
+const parseId = (value) => {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// В журнал действий попадают только поля профиля, без сводки и визитов
+const toAuditSnapshot = ({ stats, recent_visits: recentVisits, ...profile }) => profile;
+
+const phoneInUseError = (phone, profileId) => ({
+  status: 409,
+  message: `Номер ${phone} уже привязан к другому профилю`,
+  code: 'PHONE_IN_USE',
+  extra: { phone, profile_id: profileId }
+});
+
+// Номера, которые уже принадлежат другим профилям
+const findPhoneConflict = async (db, phones, profileId = null) => {
+  for (const phone of phones) {
+    const ownerId = await findProfileIdByPhone(db, phone);
+    if (ownerId && ownerId !== profileId) {
+      return phoneInUseError(phone, ownerId);
+    }
+  }
+  return null;
+};
+
+module.exports = ({ pool, auditLog, requireRole }) => {
+  const router = express.Router();
+
+  const respondWithOutcomeError = (res, outcome) =>
+    respondWithError(res, outcome.status, outcome.message, {
+      ...(outcome.code ? { code: outcome.code } : {}),
+      ...(outcome.extra || {})
+    });
+
+  // Список профилей с фильтрами по номеру, фамилии и email
+  router.get('/', requireRole('manager'), async (req, res) => {
+    const { error: queryError, ...listOptions } = parseProfileListQuery(req.query);
+    if (queryError) {
+      return respondWithValidationError(res, queryError);
+    }
+
+    try {
+      const { total, rows } = await listProfiles(pool, listOptions);
+      res.json({
+        success: true,
+        data: await attachPhones(pool, rows),
+        pagination: { total, limit: listOptions.limit, offset: listOptions.offset },
+        sort: listOptions.sort
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении списка профилей');
+    }
+  });
+
+  router.get('/:id', requireRole('reception'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор профиля');
+    }
+
+    try {
+      const profile = await loadProfile(pool, id);
+      if (!profile) {
+        return respondWithError(res, 404, 'Профиль не найден');
+      }
+
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении профиля');
+    }
+  });
+
+  // Создание профиля: номера не должны принадлежать другим профилям
+  router.post('/', requireRole('reception'), async (req, res) => {
+    const { errors, values } = validateProfileInput(req.body || {}, { isCreate: true });
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        const conflict = await findPhoneConflict(db, values.phones);
+        if (conflict) {
+          return conflict;
+        }
+
+        const id = await createProfile(db, values, req.session?.uid);
+        const profile = await loadProfile(db, id);
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.CREATE,
+          entityType: 'guest_profile',
+          entityId: id,
+          after: toAuditSnapshot(profile)
+        });
+
+        return { profile };
+      });
+
+      if (outcome.status) {
+        return respondWithOutcomeError(res, outcome);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: '✅ Профиль гостя создан',
+        data: outcome.profile
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return respondWithError(res, 409, 'Номер уже привязан к другому профилю', { code: 'PHONE_IN_USE' });
+      }
+      return handleUnexpectedError(res, error, 'Ошибка при создании профиля');
+    }
+  });
+
+  // Изменение данных, согласий и номеров. Номер с визитами или баллами отвязать нельзя —
+  // такие профили объединяются отдельно.
+  router.patch('/:id', requireRole('reception'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор профиля');
+    }
+
+    const { errors, values } = validateProfileInput(req.body || {}, { isCreate: false });
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+    if (!Object.keys(values).length) {
+      return respondWithValidationError(res, 'Нет полей для изменения');
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        const existing = await loadProfile(db, id, { forUpdate: true });
+        if (!existing) {
+          return { status: 404, message: 'Профиль не найден' };
+        }
+
+        if (values.phones) {
+          const currentPhones = existing.phones.map((item) => item.phone);
+          const removed = currentPhones.filter((phone) => !values.phones.includes(phone));
+          const withHistory = await findPhonesWithHistory(db, removed);
+
+          if (withHistory.length) {
+            return {
+              status: 409,
+              message: `Номер ${withHistory.join(', ')} нельзя отвязать: по нему есть визиты или операции с баллами`,
+              code: 'PHONE_HAS_HISTORY',
+              extra: { phones: withHistory }
+            };
+          }
+
+          const conflict = await findPhoneConflict(db, values.phones, id);
+          if (conflict) {
+            return conflict;
+          }
+
+          // Баллы профиля учитываются на основном номере: его нельзя сменить, пока по нему есть история
+          const currentPrimary = existing.phones.find((item) => item.is_primary)?.phone;
+          if (
+            currentPrimary &&
+            values.phones[0] !== currentPrimary &&
+            (await findPhonesWithHistory(db, [currentPrimary])).length
+          ) {
+            return {
+              status: 409,
+              message: `Основной номер ${currentPrimary} нельзя сменить: по нему есть визиты или операции с баллами`,
+              code: 'PRIMARY_HAS_HISTORY'
+            };
+          }
+        }
+
+        await updateProfile(db, existing, values, req.session?.uid);
+        const profile = await loadProfile(db, id);
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entityType: 'guest_profile',
+          entityId: id,
+          before: toAuditSnapshot(existing),
+          after: toAuditSnapshot(profile)
+        });
+
+        return { profile };
+      });
+
+      if (outcome.status) {
+        return respondWithOutcomeError(res, outcome);
+      }
+
+      res.json({
+        success: true,
+        message: '✅ Профиль гостя обновлён',
+        data: outcome.profile
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return respondWithError(res, 409, 'Номер уже привязан к другому профилю', { code: 'PHONE_IN_USE' });
+      }
+      return handleUnexpectedError(res, error, 'Ошибка при обновлении профиля');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,39 @@
+const express = require('express');
+const { parseReportQuery, buildSummaryReport, buildSeriesReport } = require('../lib/reports');
+const { respondWithValidationError, handleUnexpectedError } = require('../lib/http');
+
+module.exports = ({ pool }) => {
+  const router = express.Router();
+
+  // Сводка за период: выручка, средний чек, баллы, новые и вернувшиеся гости, уровни лояльности
+  router.get('/summary', async (req, res) => {
+    const { error: queryError, from, to } = parseReportQuery(req.query);
+    if (queryError) {
+      return respondWithValidationError(res, queryError);
+    }
+
+    try {
+      const report = await buildSummaryReport(pool, { from, to });
+      res.json({ success: true, ...report });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при построении отчёта');
+    }
+  });
+
+  // Те же показатели по дням, неделям или месяцам для графиков
+  router.get('/timeseries', async (req, res) => {
+    const { error: queryError, from, to, groupBy } = parseReportQuery(req.query, { series: true });
+    if (queryError) {
+      return respondWithValidationError(res, queryError);
+    }
+
+    try {
+      const report = await buildSeriesReport(pool, { from, to, groupBy });
+      res.json({ success: true, ...report });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при построении отчёта');
+    }
+  });
+
+  return router;
+};
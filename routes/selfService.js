@@ -0,0 +1,82 @@
+const express = require('express');
+const { lookupGuestBalance } = require('../lib/guestBalance');
+const { OTP_CODE_PATTERN } = require('../lib/guestOtp');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const INVALID_CODE_MESSAGE = 'Неверный или просроченный код.';
+
+const parsePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 11 ? digits.slice(-10) : null;
+};
+
+// Что видит гость после проверки кода: без внутренних полей для ресепшена
+const toPublicBalance = (guest) => ({
+  first_name: guest.first_name,
+  loyalty_level: guest.loyalty_level,
+  current_balance: guest.current_balance,
+  visits_count: guest.visits_count,
+  last_visit_date: guest.last_visit_date,
+  next_tier: guest.next_tier,
+  expiring_soon: guest.expiring_soon
+});
+
+// Самообслуживание гостя без входа: код на телефон, затем баланс. otpService — null,
+// если транспорт кодов не настроен.
+module.exports = ({ pool, otpService }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!otpService) {
+      return respondWithError(res, 503, 'Проверка баланса временно недоступна.', {
+        code: 'SELF_SERVICE_DISABLED'
+      });
+    }
+    return next();
+  });
+
+  router.post('/code', async (req, res) => {
+    const phone = parsePhone(req.body?.phone);
+    if (!phone) {
+      return respondWithValidationError(res, 'Укажите номер телефона: +7 и 10 цифр.');
+    }
+
+    try {
+      // Ответ одинаковый, отправлен код или нет
+      await otpService.requestCode(phone, { ip: req.ip });
+      res.json({
+        success: true,
+        message: 'Если номер участвует в программе лояльности, на него отправлен код.',
+        expires_in_minutes: otpService.ttlMinutes
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при запросе кода');
+    }
+  });
+
+  router.post('/verify', async (req, res) => {
+    const phone = parsePhone(req.body?.phone);
+    const code = String(req.body?.code || '').trim();
+    if (!phone || !OTP_CODE_PATTERN.test(code)) {
+      return respondWithValidationError(res, INVALID_CODE_MESSAGE, { code: 'INVALID_CODE' });
+    }
+
+    try {
+      const { valid } = await otpService.verifyCode(phone, code);
+      const { guest } = valid ? await lookupGuestBalance(pool, phone) : {};
+      if (!guest) {
+        return respondWithValidationError(res, INVALID_CODE_MESSAGE, { code: 'INVALID_CODE' });
+      }
+
+      res.json({ success: true, data: toPublicBalance(guest) });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при проверке кода');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+// Данные брони из Shelter PMS для автозаполнения формы выезда. shelterClient — null,
+// если адаптер PMS не настроен.
+module.exports = ({ shelterClient }) => {
+  const router = express.Router();
+
+  router.get('/bookings/:id', async (req, res) => {
+    if (!shelterClient) {
+      return respondWithError(res, 503, 'Интеграция с Shelter PMS не настроена.', {
+        code: 'SHELTER_DISABLED'
+      });
+    }
+
+    const bookingId = String(req.params.id || '').trim();
+    if (!bookingId || bookingId.length > 80) {
+      return respondWithValidationError(res, 'Некорректный номер бронирования.');
+    }
+
+    try {
+      const booking = await shelterClient.getBooking(bookingId);
+      if (!booking) {
+        return respondWithError(res, 404, `Бронь ${bookingId} не найдена в Shelter PMS.`);
+      }
+
+      res.json({ success: true, data: booking });
+    } catch (error) {
+      if (error.status) {
+        return respondWithError(res, error.status, error.message, { code: 'SHELTER_UNAVAILABLE' });
+      }
+      return handleUnexpectedError(res, error, 'Ошибка при запросе брони из Shelter PMS');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const { validateStaffInput } = require('../lib/staff');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const UNIQUE_VIOLATION = '23505';
+
+const parseId = (value) => {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+module.exports = ({ staffStore }) => {
+  const router = express.Router();
+
+  // Список сотрудников
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await staffStore.list()
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении списка сотрудников');
+    }
+  });
+
+  // Создание сотрудника
+  router.post('/', async (req, res) => {
+    const { errors, values } = validateStaffInput(req.body || {}, { isCreate: true });
+
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+
+    try {
+      const user = await staffStore.create(values);
+      res.status(201).json({
+        success: true,
+        message: '✅ Сотрудник добавлен',
+        data: user
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return respondWithError(res, 409, 'Сотрудник с таким логином уже существует');
+      }
+      return handleUnexpectedError(res, error, 'Ошибка при добавлении сотрудника');
+    }
+  });
+
+  // Изменение роли, имени, пароля или блокировка сотрудника
+  router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор сотрудника');
+    }
+
+    const { errors, values } = validateStaffInput(req.body || {}, { isCreate: false });
+
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+
+    const isSelf = req.session?.uid === id;
+    if (isSelf && (values.role !== undefined || values.is_active === false)) {
+      return respondWithValidationError(
+        res,
+        'Нельзя изменить собственную роль или заблокировать свою учётную запись'
+      );
+    }
+
+    try {
+      const user = await staffStore.update(id, values, { keepSessionId: isSelf ? req.session?.sid : null });
+
+      if (!user) {
+        return respondWithError(res, 404, 'Сотрудник не найден');
+      }
+
+      res.json({
+        success: true,
+        message: '✅ Данные сотрудника обновлены',
+        data: user
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return respondWithError(res, 409, 'Сотрудник с таким логином уже существует');
+      }
+      return handleUnexpectedError(res, error, 'Ошибка при обновлении сотрудника');
+    }
+  });
+
+  // Завершение всех сессий сотрудника: например, если он оставил вход открытым на чужом компьютере
+  router.post('/:id/revoke-sessions', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор сотрудника');
+    }
+
+    try {
+      const user = await staffStore.findById(id);
+      if (!user) {
+        return respondWithError(res, 404, 'Сотрудник не найден');
+      }
+
+      const revoked = await staffStore.revokeSessions(id, {
+        exceptSessionId: req.session?.uid === id ? req.session.sid : null
+      });
+      res.json({
+        success: true,
+        message: '✅ Сессии сотрудника завершены',
+        data: { revoked }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при завершении сессий сотрудника');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,124 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { lockGuestBalance, findBalanceForUpdate } = require('../lib/balances');
+const {
+  TRANSACTION_TYPES,
+  getLedgerBalance,
+  appendTransaction,
+  syncCachedBalance,
+  listTransactions
+} = require('../lib/ledger');
+const { normalizePhoneDigits, parsePagination } = require('../lib/validation');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const MAX_ADJUSTMENT = 1_000_000;
+
+module.exports = ({ pool, auditLog, requireRole }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // История операций гостя, новые сверху
+  router.get('/', requireRole('reception'), async (req, res) => {
+    const phone = normalizePhoneDigits(req.params.phone);
+    if (!phone) {
+      return respondWithValidationError(res, 'Неверный формат номера телефона');
+    }
+
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+    try {
+      const [{ total, rows }, balance] = await Promise.all([
+        listTransactions(pool, phone, { limit, offset }),
+        getLedgerBalance(pool, phone)
+      ]);
+
+      res.json({
+        success: true,
+        data: rows,
+        balance,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении истории операций');
+    }
+  });
+
+  // Ручная корректировка баланса с обязательным комментарием
+  router.post('/', requireRole('manager'), async (req, res) => {
+    const phone = normalizePhoneDigits(req.params.phone);
+    if (!phone) {
+      return respondWithValidationError(res, 'Неверный формат номера телефона');
+    }
+
+    const amount = Number(req.body?.amount);
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT) {
+      return respondWithValidationError(
+        res,
+        'Сумма корректировки должна быть ненулевым целым числом не более 1 000 000 по модулю.'
+      );
+    }
+
+    const comment = String(req.body?.comment || '').trim();
+    if (!comment || comment.length > 500) {
+      return respondWithValidationError(
+        res,
+        'Укажите причину корректировки (не более 500 символов).'
+      );
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (db) => {
+        await lockGuestBalance(db, phone);
+
+        if (!(await findBalanceForUpdate(db, phone))) {
+          return { status: 404, message: 'Гость с таким номером не найден' };
+        }
+
+        const currentBalance = await getLedgerBalance(db, phone);
+        if (currentBalance + amount < 0) {
+          return {
+            status: 400,
+            message: `Недостаточно баллов для списания: доступно ${currentBalance}.`
+          };
+        }
+
+        const entry = await appendTransaction(db, {
+          phone,
+          type: TRANSACTION_TYPES.ADJUSTMENT,
+          amount,
+          comment,
+          actorId: req.session?.uid
+        });
+        const balance = await syncCachedBalance(db, phone);
+
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.CREATE,
+          entityType: 'bonus_transaction',
+          entityId: entry.id,
+          after: entry
+        });
+
+        return { entry, balance };
+      });
+
+      if (outcome.status) {
+        return respondWithError(res, outcome.status, outcome.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: '✅ Баланс скорректирован',
+        data: outcome.entry,
+        balance: outcome.balance
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при корректировке баланса');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { withTransaction } = require('../lib/db');
+const { AUDIT_ACTIONS } = require('../lib/audit');
+const { parsePagination } = require('../lib/validation');
+const {
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  validateWebhookInput,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  retryDelivery,
+  enqueueWebhookEvent
+} = require('../lib/webhooks');
+const {
+  respondWithError,
+  respondWithValidationError,
+  handleUnexpectedError
+} = require('../lib/http');
+
+const parseId = (value) => {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Ключ подписи не попадает в журнал действий
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+module.exports = ({ pool, auditLog }) => {
+  const router = express.Router();
+
+  // Список получателей без ключей подписи
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ success: true, data: await listWebhooks(pool) });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении списка вебхуков');
+    }
+  });
+
+  // Новый получатель: ключ подписи генерируется, если не передан, и показывается только в этом ответе
+  router.post('/', async (req, res) => {
+    const { errors, values } = validateWebhookInput(req.body || {}, { isCreate: true });
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+
+    try {
+      const webhook = await withTransaction(pool, async (db) => {
+        const created = await createWebhook(db, values, { actorId: req.session?.uid });
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.CREATE,
+          entityType: 'webhook',
+          entityId: created.id,
+          after: withoutSecret(created)
+        });
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '✅ Вебхук добавлен. Сохраните ключ подписи: повторно он не показывается.',
+        data: webhook
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при добавлении вебхука');
+    }
+  });
+
+  // Изменение адреса, событий, описания, отключение; rotate_secret: true выдаёт новый ключ подписи
+  router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор вебхука');
+    }
+
+    const { errors, values } = validateWebhookInput(req.body || {}, { isCreate: false });
+    const rotateSecret = req.body?.rotate_secret === true;
+    if (errors.length) {
+      return respondWithValidationError(res, errors.join(' '));
+    }
+    if (!Object.keys(values).length && !rotateSecret) {
+      return respondWithValidationError(
+        res,
+        'Передайте хотя бы одно из полей: url, events, description, secret, is_active, rotate_secret.'
+      );
+    }
+
+    try {
+      const webhook = await withTransaction(pool, async (db) => {
+        const before = await findWebhook(db, id);
+        if (!before) {
+          return null;
+        }
+
+        const updated = await updateWebhook(db, id, values, { rotateSecret });
+        await auditLog.record(db, req, {
+          action: AUDIT_ACTIONS.UPDATE,
+          entityType: 'webhook',
+          entityId: id,
+          before,
+          after: { ...withoutSecret(updated), secret_rotated: Boolean(updated.secret) }
+        });
+        return updated;
+      });
+
+      if (!webhook) {
+        return respondWithError(res, 404, 'Вебхук не найден');
+      }
+
+      res.json({
+        success: true,
+        message: webhook.secret
+          ? '✅ Вебхук обновлён. Сохраните новый ключ подписи: повторно он не показывается.'
+          : '✅ Вебхук обновлён',
+        data: webhook
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при обновлении вебхука');
+    }
+  });
+
+  // Журнал доставок получателя с попытками; фильтр status: pending, delivered, failed
+  router.get('/:id/deliveries', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор вебхука');
+    }
+
+    const status = req.query.status ? String(req.query.status).trim() : null;
+    if (status && !Object.values(DELIVERY_STATUSES).includes(status)) {
+      return respondWithValidationError(
+        res,
+        `Параметр status может быть только: ${Object.values(DELIVERY_STATUSES).join(', ')}.`
+      );
+    }
+
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    try {
+      if (!(await findWebhook(pool, id))) {
+        return respondWithError(res, 404, 'Вебхук не найден');
+      }
+
+      const { total, rows } = await listDeliveries(pool, id, { status, limit, offset });
+      res.json({
+        success: true,
+        data: rows,
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при получении журнала доставок');
+    }
+  });
+
+  // Тестовое событие webhook.ping только этому получателю — для проверки адреса и подписи
+  router.post('/:id/ping', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return respondWithValidationError(res, 'Некорректный идентификатор вебхука');
+    }
+
+    try {
+      const webhook = await findWebhook(pool, id);
+      if (!webhook) {
+        return respondWithError(res, 404, 'Вебхук не найден');
+      }
+      if (!webhook.is_active) {
+        return respondWithError(res, 409, 'Вебхук отключён', { code: 'WEBHOOK_INACTIVE' });
+      }
+
+      await enqueueWebhookEvent(pool, PING_EVENT, { webhook_id: id }, { endpointId: id });
+      res.status(202).json({ success: true, message: '✅ Тестовое событие поставлено в очередь' });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при отправке тестового события');
+    }
+  });
+
+  // Повторная отправка доставки, исчерпавшей попытки
+  router.post('/:id/deliveries/:deliveryId/retry', async (req, res) => {
+    const id = parseId(req.params.id);
+    const deliveryId = parseId(req.params.deliveryId);
+    if (!id || !deliveryId) {
+      return respondWithValidationError(res, 'Некорректный идентификатор вебхука или доставки');
+    }
+
+    try {
+      const delivery = await retryDelivery(pool, id, deliveryId);
+      if (!delivery) {
+        return respondWithError(res, 404, 'Доставка со статусом failed не найдена');
+      }
+
+      res.json({ success: true, message: '✅ Доставка поставлена в очередь', data: delivery });
+    } catch (error) {
+      return handleUnexpectedError(res, error, 'Ошибка при повторной отправке');
+    }
+  });
+
+  return router;
+};
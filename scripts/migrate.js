@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Миграции схемы БД: `npm run migrate` применяет новые файлы из migrations/,
+// `npm run migrate -- status` только показывает состояние.
+const { Pool } = require('pg');
+const { buildPoolConfig } = require('../lib/db');
+const { loadMigrations, getMigrationStatus, runMigrations } = require('../lib/migrations');
+
+const printStatus = async () => {
+  const pool = new Pool({ ...buildPoolConfig(), max: 1 });
+
+  try {
+    const migrations = loadMigrations();
+    const { applied, pending, modified, unknown } = await getMigrationStatus(pool, migrations);
+
+    console.log(`Применено миграций: ${applied.length}, ожидают применения: ${pending.length}`);
+    pending.forEach((migration) => console.log(`  ⏳ ${migration.name}`));
+    modified.forEach((migration) => console.log(`  ⚠️ ${migration.name} изменён после применения`));
+    unknown.forEach((row) => console.log(`  ⚠️ ${row.name} применён, но файла нет`));
+
+    return pending.length ? 1 : 0;
+  } finally {
+    await pool.end();
+  }
+};
+
+const migrate = async () => {
+  const applied = await runMigrations(buildPoolConfig());
+  console.log(
+    applied.length
+      ? `✅ Применено миграций: ${applied.length}`
+      : '✅ Схема базы данных актуальна, новых миграций нет'
+  );
+  return 0;
+};
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ Переменная окружения DATABASE_URL не задана.');
+    return 1;
+  }
+
+  const [command = 'up'] = process.argv.slice(2);
+  if (command === 'status') {
+    return printStatus();
+  }
+  if (command === 'up') {
+    return migrate();
+  }
+
+  console.error(`❌ Неизвестная команда «${command}». Доступны: up (по умолчанию), status.`);
+  return 1;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -8,13 +8,46 @@ const crypto = require('crypto'); // Для SHA-256
 const path = require('path');
 const util = require('util');
 const client = require('prom-client'); // Prometheus metrics
+const { createSessionManager, SESSION_ERROR_CODES } = require('./lib/session');
+const {
+  respondWithError,
+  respondWithValidationError,
+  buildPublicErrorMessage,
+  handleUnexpectedError
+} = require('./lib/http');
+const { hasRole, normalizeLogin, createStaffStore } = require('./lib/staff');
+const { createAuditLog } = require('./lib/audit');
+const { createExpirationScheduler } = require('./lib/expiration');
+const { parseBonusListQuery, listBonuses } = require('./lib/listQueries');
+const { lookupGuestBalance } = require('./lib/guestBalance');
+const { createOtpSender } = require('./lib/otpSender');
+const { createGuestOtpService } = require('./lib/guestOtp');
+const { createShelterClient } = require('./lib/shelter');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createNotificationChannels } = require('./lib/notificationChannels');
+const { createNotifier } = require('./lib/notifications');
+const { buildPoolConfig } = require('./lib/db');
+const { logger, createRequestLogger, REQUEST_ID_HEADER } = require('./lib/logger');
+const { loadMigrations, getMigrationStatus, runMigrations } = require('./lib/migrations');
+const createGuestsRouter = require('./routes/guests');
+const createStaffRouter = require('./routes/staff');
+const createAuditRouter = require('./routes/audit');
+const createLoyaltyRouter = require('./routes/loyalty');
+const createExpirationRouter = require('./routes/expiration');
+const createProfilesRouter = require('./routes/profiles');
+const createMergeRouter = require('./routes/merge');
+const createExportRouter = require('./routes/export');
+const createImportRouter = require('./routes/import');
+const createReportsRouter = require('./routes/reports');
+const createSelfServiceRouter = require('./routes/selfService');
+const createShelterRouter = require('./routes/shelter');
+const createWebhooksRouter = require('./routes/webhooks');
 
 const app = express();
 
 // Переменные окружения
 const PORT = Number(process.env.PORT) || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'production';
-const IS_DEVELOPMENT = NODE_ENV === 'development';
 const DATABASE_URL = process.env.DATABASE_URL;
 const DEFAULT_BACKEND_HOST = 'loyalty-api.usadba4.ru';
 const AUTH_DISABLED = String(process.env.AUTH_DISABLED || '').toLowerCase() === 'true';
@@ -67,12 +100,26 @@ const isOriginAllowed = (origin) => {
 
   return WILDCARD_ORIGINS.some((regex) => regex.test(origin));
 };
-const COOKIE_SECRET = process.env.COOKIE_SECRET || 'default_cookie_secret';
+const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 12 * 60 * 60 * 1000;
 const RATE_LIMIT_WINDOW = Number(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000;
 const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX) || 100;
-const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
-const IS_DEBUG_LOGGING_ENABLED = LOG_LEVEL === 'debug';
+// Отдельный, более строгий лимит для публичных эндпоинтов самообслуживания гостей
+const SELF_SERVICE_RATE_LIMIT_WINDOW = Number(process.env.SELF_SERVICE_RATE_LIMIT_WINDOW) || 15 * 60 * 1000;
+const SELF_SERVICE_RATE_LIMIT_MAX = Number(process.env.SELF_SERVICE_RATE_LIMIT_MAX) || 10;
 const STATIC_DIR = path.join(__dirname, 'public');
+// Период фонового сгорания баллов; 0 выключает фоновый запуск (ручной остаётся доступен)
+const POINTS_EXPIRATION_INTERVAL_MINUTES = Number(
+  process.env.POINTS_EXPIRATION_INTERVAL_MINUTES ?? 24 * 60
+);
+// Как часто отправлять накопившиеся вебхуки; 0 выключает отправку (события копятся в очереди)
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? 10);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10_000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const NOTIFICATION_DISPATCH_INTERVAL_SECONDS = Number(process.env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS ?? 15);
+const NOTIFICATION_TIMEOUT_MS = Number(process.env.NOTIFICATION_TIMEOUT_MS) || 10_000;
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const MIGRATE_ON_START = String(process.env.MIGRATE_ON_START || '').toLowerCase() === 'true';
 
 const normalizeHash = (hashValue) => {
   if (typeof hashValue !== 'string') {
@@ -91,30 +138,35 @@ const normalizeHash = (hashValue) => {
   return normalized;
 };
 
+const BOOTSTRAP_ADMIN_LOGIN = normalizeLogin(process.env.BOOTSTRAP_ADMIN_LOGIN || 'admin');
 const PASSWORD_HASH = normalizeHash(process.env.PASSWORD_HASH);
 const PASSWORD_HASH_BUFFER = PASSWORD_HASH ? Buffer.from(PASSWORD_HASH, 'hex') : null;
 
 if (PASSWORD_HASH_BUFFER && PASSWORD_HASH_BUFFER.length !== 32) {
-  console.error('❌ PASSWORD_HASH должен быть валидным SHA-256 (64 hex-символа).');
+  logger.error('PASSWORD_HASH должен быть валидным SHA-256 (64 hex-символа).');
   process.exit(1);
 }
 
 if (!DATABASE_URL) {
-  console.error('❌ Переменная окружения DATABASE_URL не задана. Сервер остановлен.');
+  logger.error('Переменная окружения DATABASE_URL не задана. Сервер остановлен.');
   process.exit(1);
 }
 
 if (!AUTH_DISABLED && !PASSWORD_HASH) {
-  console.error(
-    '❌ Не задан PASSWORD_HASH и отключение авторизации не разрешено. Установите PASSWORD_HASH или AUTH_DISABLED=true.'
-  );
-  process.exit(1);
+  logger.warn('PASSWORD_HASH не задан: вход возможен только для уже созданных сотрудников (staff_users).');
+}
+
+if (!AUTH_DISABLED && !process.env.COOKIE_SECRET) {
+  logger.warn('COOKIE_SECRET не задан: используется случайный ключ, сессии сбросятся после перезапуска.');
 }
 
 // Trust proxy для Amvera/cloud
 app.set('trust proxy', 1);
 app.disable('x-powered-by');
 
+// Идентификатор запроса и журнал доступа; health-check и метрики опрашиваются часто — только в debug
+app.use(createRequestLogger(logger, { quietPaths: ['/health', '/metrics'] }));
+
 // === Prometheus metrics ===
 client.collectDefaultMetrics();
 
@@ -156,19 +208,31 @@ app.get('/app', (req, res) => {
   res.sendFile(path.join(STATIC_DIR, 'index.html'));
 });
 
+// Публичная страница гостя для проверки баланса по коду
+app.use('/balance', express.static(path.join(STATIC_DIR, 'balance')));
+
+// Публичные эндпоинты без сессии: самообслуживание гостей со своим лимитом запросов
+const PUBLIC_API_PREFIX = '/public/';
+
 // Rate limiting: применяем только к /api/*
 const apiRateLimiter = rateLimit({
   windowMs: RATE_LIMIT_WINDOW,
   max: RATE_LIMIT_MAX,
   standardHeaders: true,
   legacyHeaders: false,
-  message: {
-    success: false,
-    message: 'Слишком много запросов, попробуйте позже.'
-  }
+  skip: (req) => req.path.startsWith(PUBLIC_API_PREFIX),
+  handler: (req, res) => respondWithError(res, 429, 'Слишком много запросов, попробуйте позже.')
 });
 app.use('/api', apiRateLimiter);
 
+const selfServiceRateLimiter = rateLimit({
+  windowMs: SELF_SERVICE_RATE_LIMIT_WINDOW,
+  max: SELF_SERVICE_RATE_LIMIT_MAX,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => respondWithError(res, 429, 'Слишком много попыток, попробуйте позже.')
+});
+
 // CORS
 app.use(
   cors({
@@ -179,93 +243,109 @@ app.use(
         callback(new Error('Origin not allowed by CORS policy'), false);
       }
     },
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', REQUEST_ID_HEADER],
+    exposedHeaders: ['Idempotent-Replayed', REQUEST_ID_HEADER],
     credentials: true
   })
 );
 
-// Подключение к БД
-const PG_POOL_MAX = Number(process.env.PG_POOL_MAX) || 10;
-const PG_IDLE_TIMEOUT = Number(process.env.PG_IDLE_TIMEOUT) || 30_000;
-const PG_CONNECTION_TIMEOUT = Number(process.env.PG_CONNECTION_TIMEOUT) || 5_000;
-const PG_STATEMENT_TIMEOUT = Number(process.env.PG_STATEMENT_TIMEOUT) || 10_000;
-const PG_SSL_REJECT_UNAUTHORIZED = String(process.env.PG_SSL_REJECT_UNAUTHORIZED || '')
-  .toLowerCase() !== 'false';
-
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  max: PG_POOL_MAX,
-  idleTimeoutMillis: PG_IDLE_TIMEOUT,
-  connectionTimeoutMillis: PG_CONNECTION_TIMEOUT,
-  statement_timeout: PG_STATEMENT_TIMEOUT,
-  query_timeout: PG_STATEMENT_TIMEOUT,
-  ssl: NODE_ENV === 'production' ? { rejectUnauthorized: PG_SSL_REJECT_UNAUTHORIZED } : false
+// Сессии: все /api/* кроме входа, выхода, конфигурации и /api/public/* требуют подписанную cookie
+const sessions = createSessionManager({
+  ttlMs: SESSION_TTL,
+  secureCookies: NODE_ENV === 'production'
 });
+const PUBLIC_API_PATHS = new Set(['/auth', '/auth/logout', '/config']);
+
+// Кроме подписи и срока cookie проверяется запись сессии в базе: отозванная сессия и заблокированный
+// сотрудник не проходят, а роль и имя берутся текущие, а не те, что были при входе
+const requireSession = async (req, res, next) => {
+  if (
+    AUTH_DISABLED ||
+    req.method === 'OPTIONS' ||
+    PUBLIC_API_PATHS.has(req.path) ||
+    req.path.startsWith(PUBLIC_API_PREFIX)
+  ) {
+    return next();
+  }
 
-pool.on('error', (error) => {
-  console.error('❌ Необработанная ошибка пула БД:', error);
-});
+  const { session, code } = sessions.read(req);
 
-// Вспомогательная функция SHA-256
-function sha256(str) {
-  return crypto.createHash('sha256').update(str, 'utf8').digest('hex');
-}
-
-const respondWithError = (res, statusCode, message) =>
-  res.status(statusCode).json({
-    success: false,
-    message
-  });
+  if (!session) {
+    const message =
+      code === SESSION_ERROR_CODES.EXPIRED
+        ? 'Сессия истекла, войдите снова'
+        : 'Требуется авторизация';
+    return respondWithError(res, 401, message, { code });
+  }
 
-const respondWithValidationError = (res, message) => respondWithError(res, 400, message);
+  try {
+    const user = await staffStore.findSessionUser(session.sid);
+    if (!user) {
+      sessions.clear(res);
+      return respondWithError(res, 401, 'Сессия завершена, войдите снова', {
+        code: SESSION_ERROR_CODES.REVOKED
+      });
+    }
 
-const buildPublicErrorMessage = (error, fallbackMessage) =>
-  IS_DEVELOPMENT && error instanceof Error ? error.message : fallbackMessage;
+    req.session = { ...session, ...toSessionUser(user) };
+    return next();
+  } catch (error) {
+    return handleUnexpectedError(res, error, 'Ошибка при проверке сессии');
+  }
+};
 
-const handleUnexpectedError = (res, error, fallbackMessage) => {
-  if (IS_DEBUG_LOGGING_ENABLED) {
-    console.error(fallbackMessage, error);
+const requireRole = (role) => (req, res, next) => {
+  if (AUTH_DISABLED || hasRole(req.session?.role, role)) {
+    return next();
   }
 
-  return res.status(500).json({
-    success: false,
-    message: buildPublicErrorMessage(error, fallbackMessage)
+  return respondWithError(res, 403, 'Недостаточно прав для этого действия', {
+    code: 'FORBIDDEN'
   });
 };
 
-const normalizeLoyaltyLevel = (value) =>
-  String(value || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, ' ');
-
-const LOYALTY_LEVELS = [
-  { normalized: '1 сезон', display: '1 СЕЗОН' },
-  { normalized: '2 сезона', display: '2 СЕЗОНА' },
-  { normalized: '3 сезона', display: '3 СЕЗОНА' },
-  { normalized: '4 сезона', display: '4 СЕЗОНА' }
-];
-
-const getNextLoyaltyLevel = (currentLevel) => {
-  const normalized = normalizeLoyaltyLevel(currentLevel);
+// Проверка роли внутри обработчика, когда от неё зависят ограничения, а не доступ
+const sessionHasRole = (req, role) => AUTH_DISABLED || hasRole(req.session?.role, role);
 
-  if (!normalized) {
-    return LOYALTY_LEVELS[0].display;
-  }
+app.use('/api', requireSession);
 
-  const currentIndex = LOYALTY_LEVELS.findIndex(
-    (level) => level.normalized === normalized
-  );
+// Подключение к БД
+const POOL_CONFIG = buildPoolConfig(process.env);
+const pool = new Pool(POOL_CONFIG);
 
-  if (currentIndex === -1) {
-    return LOYALTY_LEVELS[0].display;
-  }
+pool.on('error', (error) => {
+  logger.error('Необработанная ошибка пула БД', error);
+});
 
-  const nextIndex = Math.min(currentIndex + 1, LOYALTY_LEVELS.length - 1);
+const staffStore = createStaffStore(pool);
+const auditLog = createAuditLog(pool);
+
+// Коды для самообслуживания гостей; без настроенного транспорта эндпоинты отвечают 503
+const otpSender = createOtpSender(process.env);
+const otpService = otpSender
+  ? createGuestOtpService({ pool, sender: otpSender, secret: process.env.OTP_SECRET || COOKIE_SECRET })
+  : null;
+
+// Брони из Shelter PMS для формы выезда; без адаптера эндпоинт отвечает 503
+const shelterClient = createShelterClient(process.env);
+
+// Уведомления гостям о баллах и уровне; без настроенных каналов выезды проходят без уведомлений
+const notificationChannels = createNotificationChannels(process.env);
+const notifier = notificationChannels
+  ? createNotifier({
+      pool,
+      channels: notificationChannels,
+      intervalMs: Math.max(NOTIFICATION_DISPATCH_INTERVAL_SECONDS, 0) * 1000,
+      timeoutMs: NOTIFICATION_TIMEOUT_MS,
+      maxAttempts: NOTIFICATION_MAX_ATTEMPTS
+    })
+  : null;
 
-  return LOYALTY_LEVELS[nextIndex].display;
-};
+// Вспомогательная функция SHA-256
+function sha256(str) {
+  return crypto.createHash('sha256').update(str, 'utf8').digest('hex');
+}
 
 const safeTimingCompare = (candidateHash, expectedBuffer) => {
   if (!candidateHash || !expectedBuffer) {
@@ -281,47 +361,12 @@ const safeTimingCompare = (candidateHash, expectedBuffer) => {
 
     return crypto.timingSafeEqual(candidateBuffer, expectedBuffer);
   } catch (error) {
-    if (IS_DEBUG_LOGGING_ENABLED) {
-      console.error('Ошибка при сравнении хеша пароля:', error);
-    }
+    logger.debug('Ошибка при сравнении хеша пароля', error);
 
     return false;
   }
 };
 
-function normalizeCheckinDate(dateValue) {
-  if (!dateValue) {
-    return null;
-  }
-
-  const raw = String(dateValue).trim();
-
-  if (!raw) {
-    return null;
-  }
-
-  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
-    return raw;
-  }
-
-  if (/^\d{2}\.\d{2}\.\d{4}$/.test(raw)) {
-    const [day, month, year] = raw.split('.');
-    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-
-  if (/^\d{2}-\d{2}-\d{4}$/.test(raw)) {
-    const [day, month, year] = raw.split('-');
-    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-
-  if (/^\d{4}\.\d{2}\.\d{2}$/.test(raw)) {
-    const [year, month, day] = raw.split('.');
-    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-
-  return null;
-}
-
 // === ЭНДПОИНТЫ ===
 
 // Health-check
@@ -349,14 +394,15 @@ app.get('/metrics', async (req, res) => {
     const metrics = await client.register.metrics();
     res.send(metrics);
   } catch (error) {
-    console.error('Ошибка при формировании метрик:', error);
+    req.log.error('Ошибка при формировании метрик', error);
     res.status(500).end('Metrics collection error');
   }
 });
 
 app.get('/api/config', (req, res) => {
   res.json({
-    authDisabled: AUTH_DISABLED
+    authDisabled: AUTH_DISABLED,
+    shelterEnabled: Boolean(shelterClient)
   });
 });
 
@@ -370,9 +416,51 @@ app.get('/', (req, res) => {
   });
 });
 
-// 🔐 Аутентификация (новый эндпоинт)
-app.post('/api/auth', (req, res) => {
-  const { password } = req.body;
+// Публичные данные сотрудника, которые кладутся в сессию и отдаются фронтенду
+const toSessionUser = (user) => ({
+  uid: user.id,
+  login: user.login,
+  name: user.display_name,
+  role: user.role
+});
+
+const buildSessionResponse = (session) => ({
+  expiresAt: new Date(session.exp).toISOString(),
+  user: {
+    id: session.uid,
+    login: session.login,
+    name: session.name,
+    role: session.role
+  }
+});
+
+// Первичный администратор: пока staff_users пуста, вход под BOOTSTRAP_ADMIN_LOGIN
+// с паролем, совпадающим с PASSWORD_HASH, создаёт учётную запись admin.
+const bootstrapAdmin = async (login, candidatePasswords) => {
+  if (!PASSWORD_HASH || normalizeLogin(login) !== BOOTSTRAP_ADMIN_LOGIN) {
+    return null;
+  }
+
+  const matchingPassword = candidatePasswords.find((pw) =>
+    safeTimingCompare(normalizeHash(sha256(pw)), PASSWORD_HASH_BUFFER)
+  );
+
+  if (!matchingPassword || (await staffStore.count()) > 0) {
+    return null;
+  }
+
+  logger.info('Создан первичный администратор из PASSWORD_HASH', { login: BOOTSTRAP_ADMIN_LOGIN });
+  return staffStore.create({
+    login: BOOTSTRAP_ADMIN_LOGIN,
+    display_name: 'Администратор',
+    role: 'admin',
+    password: matchingPassword
+  });
+};
+
+// 🔐 Аутентификация сотрудника
+app.post('/api/auth', async (req, res) => {
+  const { login, password } = req.body;
 
   if (AUTH_DISABLED) {
     return res.status(200).json({
@@ -381,6 +469,10 @@ app.post('/api/auth', (req, res) => {
     });
   }
 
+  if (!login || typeof login !== 'string' || !login.trim()) {
+    return respondWithValidationError(res, 'Логин обязателен');
+  }
+
   if (!password || typeof password !== 'string') {
     return respondWithValidationError(res, 'Пароль обязателен');
   }
@@ -399,155 +491,122 @@ app.post('/api/auth', (req, res) => {
       )
     )
   );
-  const candidateHashes = candidatePasswords.map((pw) => sha256(pw));
 
-  if (!PASSWORD_HASH) {
-    console.error('❌ Не задан PASSWORD_HASH для проверки пароля');
-    return res.status(500).json({
-      success: false,
-      message: 'Ошибка конфигурации сервера'
-    });
-  }
+  try {
+    let user = null;
+    for (const candidate of candidatePasswords) {
+      user = await staffStore.authenticate(login, candidate);
+      if (user) break;
+    }
 
-  const hashMatches = candidateHashes
-    .map((hash) => normalizeHash(hash))
-    .some((hash) => safeTimingCompare(hash, PASSWORD_HASH_BUFFER));
+    if (!user) {
+      user = await bootstrapAdmin(login, candidatePasswords);
+    }
+
+    if (!user) {
+      return respondWithError(res, 401, 'Неверный логин или пароль');
+    }
 
-  if (hashMatches) {
+    const sid = crypto.randomUUID();
+    await staffStore.saveSession(sid, user.id, new Date(Date.now() + SESSION_TTL));
+    const session = sessions.issue(res, { sid, ...toSessionUser(user) });
     return res.status(200).json({
       success: true,
-      message: 'Доступ разрешён'
-    });
-  } else {
-    return res.status(401).json({
-      success: false,
-      message: 'Неверный пароль'
+      message: 'Доступ разрешён',
+      ...buildSessionResponse(session)
     });
+  } catch (error) {
+    return handleUnexpectedError(res, error, 'Ошибка при проверке учётных данных');
   }
 });
 
-// Добавление гостя
-app.post('/api/guests', async (req, res) => {
+// Продление сессии: перечитывает сотрудника из БД и выдаёт новую cookie с полным сроком действия
+app.post('/api/auth/refresh', async (req, res) => {
+  if (AUTH_DISABLED) {
+    return res.json({ success: true, authDisabled: true });
+  }
+
   try {
-    const {
-      guest_phone,
-      last_name,
-      first_name,
-      checkin_date,
-      loyalty_level,
-      shelter_booking_id,
-      total_amount,
-      bonus_spent
-    } = req.body;
-
-    if (!guest_phone || !last_name || !first_name || !shelter_booking_id || !total_amount) {
-      return respondWithValidationError(
-        res,
-        'Заполните обязательные поля: телефон, фамилия, имя, номер бронирования и сумму.'
-      );
-    }
+    const user = await staffStore.findById(req.session.uid);
 
-    const normalizedPhoneDigits = String(guest_phone).replace(/\D/g, '');
-    if (normalizedPhoneDigits.length < 10) {
-      return respondWithValidationError(
-        res,
-        'Укажите корректный номер телефона гостя.'
-      );
-    }
-    const phoneToStore = normalizedPhoneDigits.slice(-10);
-
-    const lastNameSanitized = String(last_name).trim();
-    const firstNameSanitized = String(first_name).trim();
-    const bookingSanitized = String(shelter_booking_id).trim();
-    const loyaltySanitized = String(loyalty_level || '').trim();
-    const normalizedDate = normalizeCheckinDate(checkin_date);
-
-    if (!lastNameSanitized || !firstNameSanitized) {
-      return respondWithValidationError(
-        res,
-        'Фамилия и имя не могут быть пустыми.'
-      );
+    if (!user || !user.is_active) {
+      sessions.clear(res);
+      return respondWithError(res, 401, 'Учётная запись отключена', {
+        code: SESSION_ERROR_CODES.MISSING
+      });
     }
 
-    if (lastNameSanitized.length > 120 || firstNameSanitized.length > 120) {
-      return respondWithValidationError(
-        res,
-        'Фамилия и имя не должны превышать 120 символов.'
-      );
-    }
+    await staffStore.saveSession(req.session.sid, user.id, new Date(Date.now() + SESSION_TTL));
+    const session = sessions.issue(res, { sid: req.session.sid, ...toSessionUser(user) });
+    return res.json({
+      success: true,
+      ...buildSessionResponse(session)
+    });
+  } catch (error) {
+    return handleUnexpectedError(res, error, 'Ошибка при продлении сессии');
+  }
+});
 
-    if (!bookingSanitized) {
-      return respondWithValidationError(
-        res,
-        'Укажите номер бронирования Shelter.'
-      );
-    }
+// Выход: сессия отзывается на сервере, поэтому скопированная cookie тоже перестаёт действовать
+app.post('/api/auth/logout', async (req, res) => {
+  const { session } = sessions.read(req);
+  sessions.clear(res);
 
-    if (bookingSanitized.length > 80) {
-      return respondWithValidationError(
-        res,
-        'Номер бронирования слишком длинный.'
-      );
+  try {
+    if (session?.sid && !AUTH_DISABLED) {
+      await staffStore.revokeSession(session.sid);
     }
+    res.json({ success: true, message: 'Сеанс завершён' });
+  } catch (error) {
+    return handleUnexpectedError(res, error, 'Ошибка при завершении сеанса');
+  }
+});
 
-    if (!normalizedDate) {
-      return respondWithValidationError(res, 'Некорректный формат даты заезда.');
-    }
+// Управление сотрудниками (только admin)
+app.use('/api/staff', requireRole('admin'), createStaffRouter({ staffStore }));
 
-    if (Number.isNaN(Date.parse(normalizedDate))) {
-      return respondWithValidationError(res, 'Дата заезда не распознана.');
-    }
+// Журнал действий сотрудников
+app.use('/api/audit', requireRole('manager'), createAuditRouter({ auditLog }));
 
-    const amount = Number.parseFloat(total_amount);
-    if (!Number.isFinite(amount) || amount <= 0 || amount > 1_000_000) {
-      return respondWithValidationError(
-        res,
-        'Сумма при выезде должна быть положительным числом не более 1 000 000.'
-      );
-    }
+// Настройка уровней программы лояльности (только admin)
+app.use('/api/admin/loyalty', requireRole('admin'), createLoyaltyRouter({ pool, auditLog }));
 
-    const bonusValueRaw = Number.parseInt(bonus_spent, 10);
-    const bonusValue = Number.isFinite(bonusValueRaw) && bonusValueRaw > 0 ? bonusValueRaw : 0;
-    if (bonusValue > 1_000_000) {
-      return respondWithValidationError(
-        res,
-        'Списанные баллы не могут превышать 1 000 000.'
-      );
-    }
+// Ручной запуск сгорания баллов (только admin)
+app.use('/api/admin/expire-points', requireRole('admin'), createExpirationRouter({ pool, auditLog }));
 
-    const query = `
-      INSERT INTO guests
-      (guest_phone, last_name, first_name, checkin_date, loyalty_level,
-       shelter_booking_id, total_amount, bonus_spent)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
-    `;
-
-    const values = [
-      phoneToStore,
-      lastNameSanitized,
-      firstNameSanitized,
-      normalizedDate,
-      loyaltySanitized || null,
-      bookingSanitized,
-      amount,
-      bonusValue
-    ];
-
-    const result = await pool.query(query, values);
+// Поиск дублей и объединение профилей гостей (только admin)
+app.use('/api/admin/merge', requireRole('admin'), createMergeRouter({ pool, auditLog }));
 
-    res.json({
-      success: true,
-      message: '✅ Данные гостя успешно добавлены!',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    return handleUnexpectedError(res, error, '❌ Ошибка при добавлении гостя');
-  }
-});
+// Исходящие вебхуки: получатели и журнал доставок (только admin)
+app.use('/api/admin/webhooks', requireRole('admin'), createWebhooksRouter({ pool, auditLog }));
+
+// Выгрузки выездов и балансов в CSV и XLSX (manager и admin)
+app.use('/api/export', requireRole('manager'), createExportRouter({ pool }));
+
+// Импорт исторических выездов из CSV (manager и admin)
+app.use('/api/import', requireRole('manager'), createImportRouter({ pool, auditLog }));
+
+// Самообслуживание гостя: баланс по одноразовому коду, без входа сотрудника
+app.use(
+  '/api/public/balance',
+  selfServiceRateLimiter,
+  createSelfServiceRouter({ pool, otpService })
+);
+
+// Данные брони из Shelter PMS для автозаполнения формы выезда
+app.use('/api/shelter', requireRole('reception'), createShelterRouter({ shelterClient }));
+
+// Отчёты по выручке, визитам и баллам за период (manager и admin)
+app.use('/api/reports', requireRole('manager'), createReportsRouter({ pool }));
+
+// Регистрация, исправление и аннулирование выездов, история операций гостя
+app.use('/api/guests', createGuestsRouter({ pool, auditLog, requireRole, sessionHasRole, notifier }));
+
+// Профили гостей: контакты, согласия и номера телефонов
+app.use('/api/profiles', createProfilesRouter({ pool, auditLog, requireRole }));
 
 // Поиск бонусов по телефону
-app.get('/api/bonuses/search', async (req, res) => {
+app.get('/api/bonuses/search', requireRole('reception'), async (req, res) => {
   try {
     const { phone } = req.query;
     if (!phone) {
@@ -558,66 +617,32 @@ app.get('/api/bonuses/search', async (req, res) => {
       return respondWithValidationError(res, 'Неверный формат номера телефона');
     }
 
-    const normalizedPhone = digits.slice(-10);
-
-    const result = await pool.query(
-      `SELECT
-        phone as guest_phone,
-        last_name,
-        first_name,
-        loyalty_level,
-        bonus_balances as current_balance,
-        visits_total as visits_count,
-        last_date_visit as last_visit_date
-      FROM bonuses_balance
-      WHERE phone = $1
-      ORDER BY last_date_visit DESC
-      LIMIT 1`,
-      [normalizedPhone]
-    );
-
-    const guestRecord = result.rows.length ? result.rows[0] : null;
-
-    const responseData = guestRecord
-      ? {
-          ...guestRecord,
-          loyalty_level: getNextLoyaltyLevel(guestRecord.loyalty_level)
-        }
-      : null;
+    const { guest, entryLevel } = await lookupGuestBalance(pool, digits.slice(-10));
 
     res.json({
       success: true,
-      data: responseData
+      data: guest,
+      entry_level: entryLevel
     });
   } catch (error) {
     return handleUnexpectedError(res, error, 'Ошибка при поиске гостя');
   }
 });
 
-// Получение всех гостей (админ)
-app.get('/api/guests', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM guests ORDER BY created_at DESC LIMIT 100'
-    );
-    res.json({
-      success: true,
-      data: result.rows
-    });
-  } catch (error) {
-    return handleUnexpectedError(res, error, 'Ошибка при получении списка гостей');
+// Получение всех бонусов (админ)
+app.get('/api/bonuses', requireRole('manager'), async (req, res) => {
+  const { error: queryError, ...listOptions } = parseBonusListQuery(req.query);
+  if (queryError) {
+    return respondWithValidationError(res, queryError);
   }
-});
 
-// Получение всех бонусов (админ)
-app.get('/api/bonuses', async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM bonuses_balance ORDER BY last_date_visit DESC LIMIT 100'
-    );
+    const { total, rows } = await listBonuses(pool, listOptions);
     res.json({
       success: true,
-      data: result.rows
+      data: rows,
+      pagination: { total, limit: listOptions.limit, offset: listOptions.offset },
+      sort: listOptions.sort
     });
   } catch (error) {
     return handleUnexpectedError(res, error, 'Ошибка при получении данных бонусов');
@@ -626,29 +651,84 @@ app.get('/api/bonuses', async (req, res) => {
 
 // 404
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: '🚫 Маршрут не найден'
-  });
+  respondWithError(res, 404, '🚫 Маршрут не найден');
 });
 
 // Обработчик ошибок
 app.use((error, req, res, next) => {
-  if (IS_DEBUG_LOGGING_ENABLED) console.error('Необработанная ошибка:', error);
-  res.status(500).json({
-    success: false,
-    message: buildPublicErrorMessage(error, 'Внутренняя ошибка сервера')
-  });
+  // Ошибки разбора тела запроса (слишком большой файл, некорректный JSON) — ошибки клиента
+  if (error.type === 'entity.too.large') {
+    return respondWithError(res, 413, 'Слишком большой запрос.');
+  }
+  if (error.type === 'entity.parse.failed') {
+    return respondWithError(res, 400, 'Некорректное тело запроса.');
+  }
+
+  (req.log || logger).error('Необработанная ошибка', error);
+  return respondWithError(res, 500, buildPublicErrorMessage(error, 'Внутренняя ошибка сервера'));
 });
 
-// Запуск
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Сервер запущен на Amvera, порт ${PORT}`);
-  console.log(`📍 Health check: /health`);
-  console.log(`📍 Allowed origins: ${UNIQUE_ALLOWED_ORIGINS.join(', ')}`);
+const expirationScheduler = createExpirationScheduler({
+  pool,
+  intervalMs: Math.max(POINTS_EXPIRATION_INTERVAL_MINUTES, 0) * 60 * 1000
 });
 
-const closeServer = util.promisify(server.close.bind(server));
+const webhookDispatcher = createWebhookDispatcher({
+  pool,
+  intervalMs: Math.max(WEBHOOK_DISPATCH_INTERVAL_SECONDS, 0) * 1000,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS
+});
+
+let server = null;
+
+// Сервер не запускается на устаревшей схеме: новые миграции применяются при MIGRATE_ON_START=true,
+// иначе их нужно применить заранее командой npm run migrate
+const ensureSchemaIsCurrent = async () => {
+  if (MIGRATE_ON_START) {
+    await runMigrations(POOL_CONFIG, { log: (message) => logger.info(message) });
+  }
+
+  const { pending, modified, unknown } = await getMigrationStatus(pool, loadMigrations());
+
+  modified.forEach((migration) => {
+    logger.warn('Файл миграции изменён после применения', { migration: migration.name });
+  });
+  if (unknown.length) {
+    logger.warn('В базе применены миграции, которых нет в коде', {
+      migrations: unknown.map((row) => row.name)
+    });
+  }
+
+  if (pending.length) {
+    throw new Error(
+      `Схема базы данных отстаёт от кода, не применены миграции: ${pending
+        .map((migration) => migration.name)
+        .join(', ')}. Выполните npm run migrate или запустите сервер с MIGRATE_ON_START=true.`
+    );
+  }
+};
+
+// Запуск
+const start = async () => {
+  await ensureSchemaIsCurrent();
+
+  server = app.listen(PORT, () => {
+    logger.info('Сервер запущен', {
+      port: PORT,
+      health_check: '/health',
+      allowed_origins: UNIQUE_ALLOWED_ORIGINS,
+      self_service: otpSender ? otpSender.name : 'выключено',
+      shelter: shelterClient ? shelterClient.name : 'выключено',
+      notifications: notifier
+        ? notifier.channels.map((channel) => `${channel.name} (${channel.transport})`)
+        : 'выключено'
+    });
+  });
+  expirationScheduler.start();
+  webhookDispatcher.start();
+  notifier?.start();
+};
 
 const setupGracefulShutdown = () => {
   let isShuttingDown = false;
@@ -659,25 +739,30 @@ const setupGracefulShutdown = () => {
     }
 
     isShuttingDown = true;
+    expirationScheduler.stop();
+    webhookDispatcher.stop();
+    notifier?.stop();
 
     if (error) {
-      console.error(`Получена ошибка ${signal}, завершаем работу:`, error);
+      logger.error(`Получена ошибка ${signal}, завершаем работу`, error);
     } else {
-      console.log(`Получен сигнал ${signal}, начинаем корректное завершение.`);
+      logger.info(`Получен сигнал ${signal}, начинаем корректное завершение`);
     }
 
-    try {
-      await closeServer();
-      console.log('HTTP-сервер остановлен.');
-    } catch (closeError) {
-      console.error('Ошибка при остановке HTTP-сервера:', closeError);
+    if (server) {
+      try {
+        await util.promisify(server.close.bind(server))();
+        logger.info('HTTP-сервер остановлен');
+      } catch (closeError) {
+        logger.error('Ошибка при остановке HTTP-сервера', closeError);
+      }
     }
 
     try {
       await pool.end();
-      console.log('Пул подключений к БД закрыт.');
+      logger.info('Пул подключений к БД закрыт');
     } catch (poolError) {
-      console.error('Ошибка при закрытии пула БД:', poolError);
+      logger.error('Ошибка при закрытии пула БД', poolError);
     } finally {
       process.exit(error ? 1 : 0);
     }
@@ -700,3 +785,9 @@ const setupGracefulShutdown = () => {
 
 setupGracefulShutdown();
 
+start().catch(async (error) => {
+  logger.error('Сервер не запущен', error);
+  await pool.end().catch(() => {});
+  process.exit(1);
+});
+
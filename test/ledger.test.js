@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordCheckoutTransactions, listTransactions } = require('../lib/ledger');
+const { calculateExpiration } = require('../lib/expiration');
+
+// Журнал в памяти: ровно те запросы, которые делают операции с баллами в lib/ledger.js.
+// created_at — момент записи, как NOW() в базе.
+const createLedgerDb = (clock) => {
+  const rows = [];
+
+  const query = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    const own = rows.filter((row) => row.phone === params[0]);
+
+    if (text.startsWith('SELECT COALESCE(SUM(amount), 0)::int AS balance')) {
+      return { rows: [{ balance: own.reduce((sum, row) => sum + row.amount, 0) }] };
+    }
+    if (text.startsWith('INSERT INTO bonus_transactions')) {
+      const [phone, type, amount, balanceAfter, guestId, bookingId, comment, actorId, reversedId, stayDate] = params;
+      const row = {
+        id: rows.length + 1,
+        phone,
+        type,
+        amount,
+        balance_after: balanceAfter,
+        guest_id: guestId,
+        booking_id: bookingId,
+        comment,
+        actor_id: actorId,
+        reversed_transaction_id: reversedId,
+        stay_date: stayDate,
+        created_at: clock.now()
+      };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    if (text.startsWith('UPDATE bonuses_balance SET bonus_balances')) {
+      return { rows: [] };
+    }
+    if (text.startsWith('SELECT COUNT(*)::int AS total FROM bonus_transactions')) {
+      return { rows: [{ total: own.length }] };
+    }
+    if (text.startsWith('SELECT * FROM bonus_transactions WHERE phone = $1 ORDER BY created_at DESC, id DESC')) {
+      const sorted = [...own].sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+      return { rows: sorted.slice(params[2], params[2] + params[1]) };
+    }
+    throw new Error(`Неожиданный запрос: ${text}`);
+  };
+
+  return { rows, query };
+};
+
+const createClock = (start) => {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    set: (value) => {
+      current = new Date(value);
+    }
+  };
+};
+
+test('импорт в номер с историей: остаток после операции идёт по порядку журнала', async () => {
+  const clock = createClock('2025-03-10T12:00:00Z');
+  const db = createLedgerDb(clock);
+  const phone = '9991234567';
+
+  // Выезды 2025 года, зарегистрированные обычным порядком
+  await recordCheckoutTransactions(db, { phone, guestId: 1, bookingId: 'B2025-1', bonusSpent: 0, bonusEarned: 500 });
+  clock.set('2025-05-20T12:00:00Z');
+  await recordCheckoutTransactions(db, { phone, guestId: 2, bookingId: 'B2025-2', bonusSpent: 200, bonusEarned: 300 });
+
+  // Импорт проживания 2020 года позже, чем эти операции
+  clock.set('2025-06-01T09:00:00Z');
+  const imported = await recordCheckoutTransactions(db, {
+    phone,
+    guestId: 3,
+    bookingId: 'B2020',
+    bonusSpent: 0,
+    bonusEarned: 250,
+    stayDate: '2020-01-05'
+  });
+
+  assert.equal(imported.entries.length, 1);
+  assert.equal(imported.entries[0].stay_date, '2020-01-05');
+  assert.equal(imported.entries[0].created_at.toISOString(), '2025-06-01T09:00:00.000Z');
+  assert.equal(imported.entries[0].balance_after, 850);
+
+  // История от новых к старым: каждый balance_after — остаток после этой записи
+  const { total, rows } = await listTransactions(db, phone, { limit: 20, offset: 0 });
+  assert.equal(total, 4);
+  assert.deepEqual(
+    rows.map((row) => [row.booking_id, row.amount, row.balance_after]),
+    [
+      ['B2020', 250, 850],
+      ['B2025-2', 300, 600],
+      ['B2025-2', -200, 300],
+      ['B2025-1', 500, 500]
+    ]
+  );
+  [...rows].reverse().reduce((balance, row) => {
+    assert.equal(row.balance_after, balance + row.amount);
+    return row.balance_after;
+  }, 0);
+});
+
+test('импорт в номер с историей: срок сгорания считается от дня проживания', () => {
+  const settings = { pointsExpiryMonths: 24, inactivityExpiryMonths: null, expiryWarningDays: 30 };
+  // Так операции приходят из loadExpirationInput: импортированная — по stay_date
+  const entries = [
+    { amount: 250, created_at: '2020-01-05T00:00:00Z' },
+    { amount: 500, created_at: '2025-03-10T12:00:00Z' },
+    { amount: -200, created_at: '2025-05-20T12:00:00Z' }
+  ];
+
+  // Списание гасит самые старые баллы: от импортированных 250 остаётся 50, и они уже сгорели
+  const result = calculateExpiration(entries, settings, { now: new Date('2025-06-01T09:00:00Z') });
+  assert.equal(result.expired, 50);
+  assert.deepEqual(result.expiringSoon, []);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotificationChannels } = require('../lib/notificationChannels');
+
+test('createNotificationChannels: в production без NOTIFICATION_CHANNELS уведомления выключены', () => {
+  assert.equal(createNotificationChannels({ NODE_ENV: 'production' }), null);
+  assert.equal(createNotificationChannels({}), null);
+});
+
+test('createNotificationChannels: в production транспорт канала задаётся явно', () => {
+  assert.throws(
+    () => createNotificationChannels({ NODE_ENV: 'production', NOTIFICATION_CHANNELS: 'email' }),
+    /EMAIL_TRANSPORT/
+  );
+  assert.throws(
+    () => createNotificationChannels({ NOTIFICATION_CHANNELS: 'sms,email', SMS_TRANSPORT: 'file' }),
+    /EMAIL_TRANSPORT/
+  );
+
+  const [email] = createNotificationChannels({
+    NODE_ENV: 'production',
+    NOTIFICATION_CHANNELS: 'email',
+    EMAIL_TRANSPORT: 'smtp',
+    SMTP_HOST: 'smtp.example.com',
+    SMTP_FROM: 'noreply@example.com'
+  });
+  assert.equal(email.transport, 'smtp');
+  assert.equal(email.target, 'smtp.example.com:587');
+});
+
+test('createNotificationChannels: вне production все каналы по умолчанию пишут в файл', () => {
+  const channels = createNotificationChannels({ NODE_ENV: 'development', NOTIFICATION_FILE_PATH: '/tmp/n.jsonl' });
+  assert.deepEqual(
+    channels.map(({ name, transport, target }) => [name, transport, target]),
+    [
+      ['telegram', 'file', '/tmp/n.jsonl'],
+      ['email', 'file', '/tmp/n.jsonl'],
+      ['sms', 'file', '/tmp/n.jsonl']
+    ]
+  );
+});
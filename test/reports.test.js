@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReportQuery } = require('../lib/reports');
+
+test('parseReportQuery: сводка за несколько лет не ограничена числом точек', () => {
+  assert.deepEqual(parseReportQuery({ from: '2022-01-01', to: '2024-12-31' }), {
+    from: '2022-01-01',
+    to: '2024-12-31'
+  });
+  // group_by у сводки не используется и не проверяется
+  assert.equal(parseReportQuery({ from: '2022-01-01', to: '2024-12-31', group_by: 'year' }).error, undefined);
+});
+
+test('parseReportQuery: ряд ограничен 750 точками', () => {
+  const series = { series: true };
+  assert.match(
+    parseReportQuery({ from: '2022-01-01', to: '2024-12-31' }, series).error,
+    /Слишком длинный период для группировки day/
+  );
+  assert.deepEqual(parseReportQuery({ from: '2022-01-01', to: '2024-12-31', group_by: 'month' }, series), {
+    from: '2022-01-01',
+    to: '2024-12-31',
+    groupBy: 'month'
+  });
+  // Ровно 750 дней — ещё можно, 751 — уже нет
+  assert.equal(parseReportQuery({ from: '2022-01-01', to: '2024-01-20' }, series).error, undefined);
+  assert.ok(parseReportQuery({ from: '2022-01-01', to: '2024-01-21' }, series).error);
+  assert.ok(parseReportQuery({ group_by: 'year' }, series).error);
+});
+
+test('parseReportQuery: даты проверяются для обоих отчётов', () => {
+  assert.ok(parseReportQuery({ from: '2024-13-01' }).error);
+  assert.ok(parseReportQuery({ from: '2024-02-01', to: '2024-01-01' }).error);
+  assert.ok(parseReportQuery({ from: '2024-02-01', to: '2024-01-01' }, { series: true }).error);
+});
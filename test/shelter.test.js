@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { normalizeBooking, createShelterClient } = require('../lib/shelter');
+
+// Shelter PMS: GET /bookings/:id отвечает по описанию из routes[id] и считает запросы к каждой брони
+const startPms = async (routes) => {
+  const hits = {};
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const bookingId = decodeURIComponent(req.url.replace(/^\/api\/bookings\//, ''));
+    hits[bookingId] = (hits[bookingId] || 0) + 1;
+    requests.push({ url: req.url, headers: req.headers });
+
+    const route = routes[bookingId] || { status: 404 };
+    setTimeout(() => {
+      res.statusCode = route.status || 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(route.body === undefined ? '{}' : JSON.stringify(route.body));
+    }, route.delayMs || 0);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/`,
+    hits,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+};
+
+const createHttpClient = (pms, env = {}) =>
+  createShelterClient({
+    NODE_ENV: 'production',
+    SHELTER_ADAPTER: 'http',
+    SHELTER_API_URL: pms.url,
+    SHELTER_TIMEOUT_MS: '2000',
+    ...env
+  });
+
+const PMS_BOOKING = {
+  data: {
+    id: 'A-77',
+    lastName: 'Смирнова',
+    firstName: 'Ольга',
+    phone: '+7 (926) 700-10-20',
+    arrivalDate: '2024-07-01T14:00:00',
+    departureDate: '2024-07-04T12:00:00',
+    folioTotal: 45200
+  }
+};
+
+test('shelter http: бронь из ответа PMS приводится к полям формы выезда', async () => {
+  const pms = await startPms({ 'A-77': { body: PMS_BOOKING } });
+  try {
+    const client = createHttpClient(pms, { SHELTER_API_TOKEN: 'pms-token' });
+    assert.equal(client.name, 'http');
+    assert.deepEqual(await client.getBooking('A-77'), {
+      booking_id: 'A-77',
+      last_name: 'Смирнова',
+      first_name: 'Ольга',
+      guest_phone: '9267001020',
+      checkin_date: '2024-07-01',
+      checkout_date: '2024-07-04',
+      total_amount: 45200
+    });
+    assert.equal(pms.requests[0].url, '/api/bookings/A-77');
+    assert.equal(pms.requests[0].headers.authorization, 'Bearer pms-token');
+  } finally {
+    await pms.close();
+  }
+});
+
+test('shelter http: повторный запрос в пределах TTL берётся из кэша', async () => {
+  const pms = await startPms({ 'A-77': { body: PMS_BOOKING } });
+  try {
+    const client = createHttpClient(pms);
+    const first = await client.getBooking('A-77');
+    const second = await client.getBooking('A-77');
+    assert.deepEqual(second, first);
+    assert.equal(pms.hits['A-77'], 1);
+
+    // С нулевым TTL каждый запрос идёт в PMS
+    const uncached = createHttpClient(pms, { SHELTER_CACHE_TTL_SECONDS: '0' });
+    await uncached.getBooking('A-77');
+    await uncached.getBooking('A-77');
+    assert.equal(pms.hits['A-77'], 3);
+  } finally {
+    await pms.close();
+  }
+});
+
+test('shelter http: одновременные запросы одной брони идут в PMS один раз', async () => {
+  const pms = await startPms({ 'A-77': { body: PMS_BOOKING, delayMs: 50 } });
+  try {
+    const client = createHttpClient(pms);
+    const results = await Promise.all([client.getBooking('A-77'), client.getBooking('A-77'), client.getBooking('A-77')]);
+    assert.equal(pms.hits['A-77'], 1);
+    results.forEach((booking) => assert.equal(booking.last_name, 'Смирнова'));
+  } finally {
+    await pms.close();
+  }
+});
+
+test('shelter http: неизвестная бронь — null, и он не кэшируется', async () => {
+  const pms = await startPms({});
+  try {
+    const client = createHttpClient(pms);
+    assert.equal(await client.getBooking('404404'), null);
+    assert.equal(await client.getBooking('404404'), null);
+    assert.equal(pms.hits['404404'], 2);
+  } finally {
+    await pms.close();
+  }
+});
+
+test('shelter http: таймаут — 504, ошибка PMS — 502', async () => {
+  const pms = await startPms({
+    slow: { body: PMS_BOOKING, delayMs: 1000 },
+    broken: { status: 500, body: { error: 'internal' } },
+    unavailable: { status: 503 }
+  });
+  try {
+    const client = createHttpClient(pms, { SHELTER_TIMEOUT_MS: '100' });
+    await assert.rejects(client.getBooking('slow'), { status: 504, message: 'Shelter PMS не ответил вовремя.' });
+    await assert.rejects(client.getBooking('broken'), { status: 502, message: 'Shelter PMS вернул ошибку 500.' });
+    await assert.rejects(client.getBooking('unavailable'), { status: 502 });
+
+    // Ошибка не остаётся в кэше: следующий запрос снова идёт в PMS
+    await assert.rejects(client.getBooking('broken'), { status: 502 });
+    assert.equal(pms.hits.broken, 2);
+  } finally {
+    await pms.close();
+  }
+});
+
+test('shelter http: недоступный PMS — 502', async () => {
+  const pms = await startPms({});
+  await pms.close();
+
+  const client = createHttpClient(pms);
+  await assert.rejects(client.getBooking('A-77'), { status: 502, message: 'Shelter PMS недоступен.' });
+});
+
+test('normalizeBooking: поля по альтернативным именам и из вложенного guest', () => {
+  assert.deepEqual(
+    normalizeBooking(
+      {
+        number: 5,
+        guest: { surname: ' Сидоров ', name: 'Олег', phoneNumber: '8 (903) 111-22-33' },
+        arrival_date: '2024-06-01T14:00:00',
+        departure_date: '2024-06-03',
+        total: '12 500,50'
+      },
+      'ignored'
+    ),
+    {
+      booking_id: '5',
+      last_name: 'Сидоров',
+      first_name: 'Олег',
+      guest_phone: '9031112233',
+      checkin_date: '2024-06-01',
+      checkout_date: '2024-06-03',
+      total_amount: 12500.5
+    }
+  );
+
+  // Без номера в ответе берётся запрошенный, пустые и неверные значения — null
+  assert.deepEqual(normalizeBooking({ phone: '123', checkinDate: 'завтра', totalAmount: '' }, '42'), {
+    booking_id: '42',
+    last_name: '',
+    first_name: '',
+    guest_phone: null,
+    checkin_date: null,
+    checkout_date: null,
+    total_amount: null
+  });
+});
+
+test('shelter mock: встроенные брони ищутся по номеру', async () => {
+  const client = createShelterClient({ NODE_ENV: 'development' });
+  assert.equal(client.name, 'mock');
+
+  const booking = await client.getBooking('100002');
+  assert.equal(booking.last_name, 'Петров');
+  assert.equal(booking.guest_phone, '9165550011');
+  assert.equal(booking.total_amount, 32400.5);
+  assert.equal(await client.getBooking('999999'), null);
+
+  // В production без SHELTER_ADAPTER интеграция выключена
+  assert.equal(createShelterClient({ NODE_ENV: 'production' }), null);
+});
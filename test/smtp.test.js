@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { sendMail } = require('../lib/smtp');
+
+// SMTP-сервер без STARTTLS, как если бы посредник вырезал его из ответа EHLO; запоминает команды клиента
+const startPlainServer = async () => {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1 && !inData) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write('235 ok\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+        index = buffer.indexOf('\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+const MESSAGE = { from: 'Усадьба <noreply@usadba4.ru>', to: 'guest@example.com', subject: 'Баллы', text: 'Начислено 500 баллов' };
+
+test('sendMail: без STARTTLS логин и пароль не отправляются', async () => {
+  const server = await startPlainServer();
+  try {
+    await assert.rejects(
+      sendMail({ host: '127.0.0.1', port: server.port, user: 'robot', password: 'secret', requireTls: false, ...MESSAGE }),
+      /логин и пароль без шифрования не отправляются/
+    );
+    assert.ok(server.commands[0].startsWith('EHLO'));
+    assert.equal(server.commands.some((line) => line.startsWith('AUTH')), false);
+    assert.equal(server.commands.some((line) => line.startsWith('MAIL')), false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendMail: по умолчанию без TLS письмо не отправляется', async () => {
+  const server = await startPlainServer();
+  try {
+    await assert.rejects(
+      sendMail({ host: '127.0.0.1', port: server.port, ...MESSAGE }),
+      /SMTP_REQUIRE_TLS/
+    );
+    assert.equal(server.commands.some((line) => line.startsWith('MAIL')), false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendMail: с requireTls = false письмо без авторизации уходит открытым соединением', async () => {
+  const server = await startPlainServer();
+  try {
+    await sendMail({ host: '127.0.0.1', port: server.port, requireTls: false, ...MESSAGE });
+    assert.deepEqual(
+      server.commands.map((line) => line.split(' ')[0]),
+      ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']
+    );
+    assert.equal(server.commands[1], 'MAIL FROM:<noreply@usadba4.ru>');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateTier, validateTiers, validateSettings } = require('../lib/tiers');
+
+const SETTINGS = {
+  qualificationPeriodDays: 730,
+  inactivityDays: 365,
+  downgradeSteps: 1,
+  pointsExpiryMonths: null,
+  inactivityExpiryMonths: null,
+  expiryWarningDays: 30
+};
+
+const buildProgram = (tiers, settings = {}) => {
+  const result = validateTiers(tiers);
+  assert.equal(result.error, undefined);
+  return { tiers: result.tiers, settings: { ...SETTINGS, ...settings } };
+};
+
+// Лестница по умолчанию из миграции 008 и уровень с порогом по сумме
+const program = buildProgram([
+  { name: '1 СЕЗОН', accrual_percent: 5, max_redemption_percent: 20 },
+  { name: '2 СЕЗОНА', min_visits: 1, accrual_percent: 7, max_redemption_percent: 30 },
+  { name: '3 СЕЗОНА', min_visits: 2, accrual_percent: 10, max_redemption_percent: 40 },
+  { name: '4 СЕЗОНА', min_visits: 3, min_spend: 300000, accrual_percent: 15, max_redemption_percent: 50 }
+]);
+
+const tierName = (stats, referenceDate = '2024-06-01', target = program) =>
+  evaluateTier(target, stats, referenceDate).tier.name;
+
+test('evaluateTier: без визитов — начальный уровень', () => {
+  const result = evaluateTier(program, {}, '2024-06-01');
+  assert.equal(result.tier.name, '1 СЕЗОН');
+  assert.equal(result.nextTier.name, '2 СЕЗОНА');
+  assert.equal(result.downgraded, false);
+  assert.deepEqual(result.stats, { visits: 0, spend: 0, lastVisitDate: null });
+});
+
+test('evaluateTier: порог по визитам включается ровно на границе', () => {
+  assert.equal(tierName({ visits: 1 }), '2 СЕЗОНА');
+  assert.equal(tierName({ visits: 2 }), '3 СЕЗОНА');
+  assert.equal(tierName({ visits: 3 }), '4 СЕЗОНА');
+  assert.equal(evaluateTier(program, { visits: 3 }, '2024-06-01').nextTier, null);
+});
+
+test('evaluateTier: порог по сумме включается ровно на границе', () => {
+  assert.equal(tierName({ visits: 2, spend: 300000 }), '4 СЕЗОНА');
+  assert.equal(tierName({ visits: 2, spend: 299999.99 }), '3 СЕЗОНА');
+});
+
+test('evaluateTier: qualify_mode all требует выполнения всех порогов', () => {
+  const strict = buildProgram([
+    { name: 'Базовый', accrual_percent: 5, max_redemption_percent: 20 },
+    {
+      name: 'Премиум',
+      min_visits: 2,
+      min_spend: 100000,
+      qualify_mode: 'all',
+      accrual_percent: 10,
+      max_redemption_percent: 40
+    }
+  ]);
+
+  assert.equal(tierName({ visits: 5, spend: 99999 }, '2024-06-01', strict), 'Базовый');
+  assert.equal(tierName({ visits: 1, spend: 500000 }, '2024-06-01', strict), 'Базовый');
+  assert.equal(tierName({ visits: 2, spend: 100000 }, '2024-06-01', strict), 'Премиум');
+});
+
+test('evaluateTier: берётся самый высокий уровень с выполненными порогами', () => {
+  const mixed = buildProgram([
+    { name: 'Базовый', accrual_percent: 5, max_redemption_percent: 20 },
+    { name: 'Серебро', min_spend: 200000, accrual_percent: 7, max_redemption_percent: 30 },
+    { name: 'Золото', min_visits: 3, accrual_percent: 10, max_redemption_percent: 40 }
+  ]);
+
+  // Порог «Серебра» не выполнен, но «Золото» выше по порядку — гость получает его
+  const result = evaluateTier(mixed, { visits: 3, spend: 1000 }, '2024-06-01');
+  assert.equal(result.tier.name, 'Золото');
+  assert.equal(result.qualifiedTier.name, 'Золото');
+});
+
+test('evaluateTier: числа в статистике могут прийти строками из БД', () => {
+  assert.equal(tierName({ visits: '2', spend: '1500.50' }), '3 СЕЗОНА');
+  assert.equal(tierName({ visits: null, spend: undefined }), '1 СЕЗОН');
+});
+
+test('evaluateTier: понижение за каждые полные inactivityDays без визитов', () => {
+  const stats = (lastVisitDate) => ({ visits: 3, spend: 0, lastVisitDate });
+
+  const oneStep = evaluateTier(program, stats('2023-06-01'), '2024-05-31');
+  assert.equal(oneStep.tier.name, '3 СЕЗОНА');
+  assert.equal(oneStep.qualifiedTier.name, '4 СЕЗОНА');
+  assert.equal(oneStep.downgraded, true);
+  assert.equal(oneStep.nextTier.name, '4 СЕЗОНА');
+
+  // 364 дня простоя — ещё без понижения, 730 — на две ступени
+  assert.equal(tierName(stats('2023-06-01'), '2024-05-30'), '4 СЕЗОНА');
+  assert.equal(tierName(stats('2022-06-01'), '2024-05-31'), '2 СЕЗОНА');
+});
+
+test('evaluateTier: понижение не опускает ниже начального уровня', () => {
+  const aggressive = { ...program, settings: { ...program.settings, downgradeSteps: 3 } };
+  assert.equal(tierName({ visits: 2, lastVisitDate: '2020-01-01' }, '2024-06-01', aggressive), '1 СЕЗОН');
+});
+
+test('evaluateTier: inactivityDays = null отключает понижение', () => {
+  const noDowngrade = { ...program, settings: { ...program.settings, inactivityDays: null } };
+  const result = evaluateTier(noDowngrade, { visits: 3, lastVisitDate: '2015-01-01' }, '2024-06-01');
+  assert.equal(result.tier.name, '4 СЕЗОНА');
+  assert.equal(result.downgraded, false);
+});
+
+test('evaluateTier: дата последнего визита может быть объектом Date', () => {
+  const result = evaluateTier(program, { visits: 1, lastVisitDate: new Date(2024, 0, 15) }, '2024-06-01');
+  assert.equal(result.stats.lastVisitDate, '2024-01-15');
+  assert.equal(result.tier.name, '2 СЕЗОНА');
+});
+
+test('validateTiers: нормализует уровни и нумерует их по порядку', () => {
+  const { tiers, error } = validateTiers([
+    { name: '  Базовый ', min_visits: '', accrual_percent: '5', max_redemption_percent: 20 },
+    { name: 'Золото', min_visits: '2', accrual_percent: 10, max_redemption_percent: 40 }
+  ]);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(tiers, [
+    {
+      position: 1,
+      name: 'Базовый',
+      minVisits: null,
+      minSpend: null,
+      qualifyMode: 'any',
+      accrualPercent: 5,
+      maxRedemptionPercent: 20
+    },
+    {
+      position: 2,
+      name: 'Золото',
+      minVisits: 2,
+      minSpend: null,
+      qualifyMode: 'any',
+      accrualPercent: 10,
+      maxRedemptionPercent: 40
+    }
+  ]);
+});
+
+test('validateTiers: отклоняет некорректные списки уровней', () => {
+  const base = { name: 'Базовый', accrual_percent: 5, max_redemption_percent: 20 };
+  const gold = { name: 'Золото', min_visits: 2, accrual_percent: 10, max_redemption_percent: 40 };
+  const invalid = {
+    'пустой список': [],
+    'не массив': { tiers: [base] },
+    'больше 10 уровней': Array.from({ length: 11 }, (_, index) =>
+      index ? { ...gold, name: `Уровень ${index}` } : base
+    ),
+    'повтор названия без учёта регистра': [base, { ...gold, name: 'базовый' }],
+    'пустое название': [base, { ...gold, name: '   ' }],
+    'порог у начального уровня': [{ ...base, min_visits: 1 }, gold],
+    'уровень без порогов': [base, { ...gold, min_visits: null }],
+    'дробное число визитов': [base, { ...gold, min_visits: 1.5 }],
+    'отрицательная сумма': [base, { ...gold, min_spend: -1 }],
+    'неизвестный qualify_mode': [base, { ...gold, qualify_mode: 'some' }],
+    'процент больше 100': [base, { ...gold, accrual_percent: 101 }],
+    'процент не задан': [base, { ...gold, max_redemption_percent: undefined }]
+  };
+
+  for (const [label, input] of Object.entries(invalid)) {
+    assert.ok(validateTiers(input).error, label);
+  }
+});
+
+test('validateSettings: частичное обновление сохраняет остальные настройки', () => {
+  const { settings, error } = validateSettings(
+    { inactivity_days: null, points_expiry_months: 24, expiry_warning_days: 0 },
+    SETTINGS
+  );
+
+  assert.equal(error, undefined);
+  assert.deepEqual(settings, {
+    ...SETTINGS,
+    inactivityDays: null,
+    pointsExpiryMonths: 24,
+    expiryWarningDays: 0
+  });
+  assert.deepEqual(validateSettings(undefined, SETTINGS).settings, SETTINGS);
+});
+
+test('validateSettings: отклоняет значения вне допустимых границ', () => {
+  const invalid = [
+    { qualification_period_days: 0 },
+    { qualification_period_days: 3651 },
+    { qualification_period_days: 30.5 },
+    { inactivity_days: 0 },
+    { inactivity_days: 'год' },
+    { downgrade_steps: 11 },
+    { downgrade_steps: null },
+    { points_expiry_months: 121 },
+    { inactivity_expiry_months: 0 },
+    { expiry_warning_days: -1 },
+    { expiry_warning_days: 366 }
+  ];
+
+  for (const input of invalid) {
+    assert.ok(validateSettings(input, SETTINGS).error, JSON.stringify(input));
+  }
+
+  // Границы допустимых значений
+  assert.equal(validateSettings({ qualification_period_days: 3650 }, SETTINGS).error, undefined);
+  assert.equal(validateSettings({ downgrade_steps: 10 }, SETTINGS).error, undefined);
+  assert.equal(validateSettings({ expiry_warning_days: 365 }, SETTINGS).error, undefined);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const {
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  sendDelivery,
+  planNextAttempt,
+  getRetryDelayMs
+} = require('../lib/webhooks');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+// Получатель, который отвечает кодами из statuses по очереди и запоминает запросы
+const startReceiver = async (statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end(res.statusCode < 300 ? 'ok' : 'upstream error');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+const buildDelivery = (attempts = 0) => ({
+  id: 1,
+  event_id: crypto.randomUUID(),
+  event_type: 'checkout.created',
+  attempts,
+  payload: { id: 'evt', type: 'checkout.created', data: { checkout: { id: 7, guest_phone: '9991234567' } } }
+});
+
+// Проверка подписи так, как её описывает README для получателя
+const verifySignature = ({ headers, body }) => {
+  const expected = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()] || '';
+  return (
+    signature.length === `sha256=${expected}`.length &&
+    crypto.timingSafeEqual(Buffer.from(`sha256=${expected}`), Buffer.from(signature))
+  );
+};
+
+test('sendDelivery: получатель видит тело события и верную подпись', async () => {
+  const receiver = await startReceiver([200]);
+  const delivery = buildDelivery();
+
+  try {
+    const result = await sendDelivery(
+      { delivery, endpoint: { url: receiver.url, secret: SECRET } },
+      { timeoutMs: 2000 }
+    );
+
+    assert.deepEqual(result, { responseStatus: 200, error: null });
+    assert.equal(receiver.requests.length, 1);
+
+    const [request] = receiver.requests;
+    assert.deepEqual(JSON.parse(request.body), delivery.payload);
+    assert.equal(request.headers['x-webhook-id'], delivery.event_id);
+    assert.equal(request.headers['x-webhook-event'], 'checkout.created');
+    assert.ok(verifySignature(request));
+    assert.equal(verifySignature({ ...request, body: `${request.body} ` }), false);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('доставка: 5xx повторяется с растущей задержкой, после maxAttempts — failed', async () => {
+  const statuses = [500, 503, 502];
+  const receiver = await startReceiver(statuses);
+  const maxAttempts = 3;
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  let delivery = buildDelivery();
+  const plans = [];
+
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      const result = await sendDelivery(
+        { delivery, endpoint: { url: receiver.url, secret: SECRET } },
+        { timeoutMs: 2000 }
+      );
+      assert.equal(result.responseStatus, statuses[attempt - 1]);
+      assert.match(result.error, /^HTTP 5\d\d: upstream error$/);
+
+      const plan = planNextAttempt(delivery, result.error, { maxAttempts, now });
+      plans.push(plan);
+      delivery = { ...delivery, attempts: plan.attempts };
+    }
+  } finally {
+    await receiver.close();
+  }
+
+  // Каждая попытка — новый запрос с тем же X-Webhook-Id и своей действительной подписью
+  assert.equal(receiver.requests.length, maxAttempts);
+  receiver.requests.forEach((request) => {
+    assert.equal(request.headers['x-webhook-id'], delivery.event_id);
+    assert.ok(verifySignature(request));
+  });
+
+  assert.deepEqual(
+    plans.map((plan) => plan.status),
+    [DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.FAILED]
+  );
+  assert.equal(plans[0].nextAttemptAt.getTime() - now, 30_000);
+  assert.equal(plans[1].nextAttemptAt.getTime() - now, 60_000);
+  assert.equal(plans[2].nextAttemptAt.getTime(), now);
+  assert.equal(plans[2].attempts, maxAttempts);
+});
+
+test('доставка: ответ 2xx после ошибки завершает повторы', async () => {
+  const receiver = await startReceiver([503, 204]);
+  const endpoint = { url: receiver.url, secret: SECRET };
+  const options = { maxAttempts: 8, now: 0 };
+
+  try {
+    const first = await sendDelivery({ delivery: buildDelivery(), endpoint }, { timeoutMs: 2000 });
+    assert.equal(planNextAttempt(buildDelivery(), first.error, options).status, DELIVERY_STATUSES.PENDING);
+
+    const second = await sendDelivery({ delivery: buildDelivery(1), endpoint }, { timeoutMs: 2000 });
+    assert.deepEqual(second, { responseStatus: 204, error: null });
+    assert.deepEqual(planNextAttempt(buildDelivery(1), second.error, options), {
+      status: DELIVERY_STATUSES.DELIVERED,
+      attempts: 2,
+      nextAttemptAt: new Date(0)
+    });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('sendDelivery: недоступный получатель — ошибка без кода ответа', async () => {
+  const receiver = await startReceiver([200]);
+  const { url } = receiver;
+  await receiver.close();
+
+  const result = await sendDelivery(
+    { delivery: buildDelivery(), endpoint: { url, secret: SECRET } },
+    { timeoutMs: 2000 }
+  );
+  assert.equal(result.responseStatus, null);
+  assert.ok(result.error);
+});
+
+test('getRetryDelayMs: задержка удваивается и ограничена 6 часами', () => {
+  assert.deepEqual([1, 2, 3, 4].map(getRetryDelayMs), [30_000, 60_000, 120_000, 240_000]);
+  assert.equal(getRetryDelayMs(20), 6 * 60 * 60 * 1000);
+});